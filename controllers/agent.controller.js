@@ -0,0 +1,145 @@
+const Joi = require('joi');
+const agentService = require('../services/agent.service');
+const auditService = require('../services/audit.service');
+const { AgentAliasError } = agentService;
+
+// Validation schemas
+const aliasSchema = Joi.object({
+  alias: Joi.string().trim().min(1).required(), // agent name as written on old bookings
+  userId: Joi.string().required()
+});
+
+const linkSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+class AgentController {
+  // Accounts a booking can be assigned to (disabled accounts only with ?includeDisabled=true)
+  async getAgents(req, res) {
+    try {
+      const includeDisabled = req.query.includeDisabled === 'true';
+      const accounts = await agentService.getAccounts();
+
+      res.json({
+        success: true,
+        agents: accounts
+          .filter(account => includeDisabled || !account.disabled)
+          .map(({ userId, name, role, disabled }) => ({ userId, name, role, disabled }))
+          .sort((a, b) => a.name.localeCompare(b.name))
+      });
+    } catch (error) {
+      console.error('Get agents error:', error);
+      res.status(500).json({ error: 'Failed to fetch agents' });
+    }
+  }
+
+  async getAliases(req, res) {
+    try {
+      const directory = await agentService.getDirectory();
+      const aliases = await agentService.getAliases();
+
+      res.json({
+        success: true,
+        aliases: aliases.map(({ rowNumber, ...alias }) => {
+          const account = directory.account(alias.userId);
+          return { ...alias, userName: account ? account.name : null };
+        })
+      });
+    } catch (error) {
+      console.error('Get agent aliases error:', error);
+      res.status(500).json({ error: 'Failed to fetch agent aliases' });
+    }
+  }
+
+  // Map a historical agent name to a user account
+  async createAlias(req, res) {
+    try {
+      const { error, value } = aliasSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const alias = await agentService.addAlias(value, req.user);
+
+      await auditService.record(req, {
+        action: 'agent_alias.create',
+        entityType: 'agent_alias',
+        entityId: alias.aliasId,
+        after: { alias: alias.alias, userId: alias.userId }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Agent alias created successfully',
+        alias
+      });
+    } catch (error) {
+      if (error instanceof AgentAliasError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Create agent alias error:', error);
+      res.status(500).json({ error: 'Failed to create agent alias' });
+    }
+  }
+
+  async deleteAlias(req, res) {
+    try {
+      const { aliasId } = req.params;
+
+      const alias = await agentService.removeAlias(aliasId);
+      if (!alias) {
+        return res.status(404).json({ error: 'Agent alias not found' });
+      }
+
+      await auditService.record(req, {
+        action: 'agent_alias.delete',
+        entityType: 'agent_alias',
+        entityId: aliasId,
+        before: { alias: alias.alias, userId: alias.userId }
+      });
+
+      res.json({
+        success: true,
+        message: 'Agent alias deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete agent alias error:', error);
+      res.status(500).json({ error: 'Failed to delete agent alias' });
+    }
+  }
+
+  /**
+   * Link historical bookings to agent accounts through the aliases and user names.
+   * With dryRun only reports what would be linked; unmatchedNames lists the names that still need an alias.
+   */
+  async linkBookings(req, res) {
+    try {
+      const { error, value } = linkSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await agentService.linkBookings(value);
+
+      if (!value.dryRun) {
+        await auditService.record(req, {
+          action: 'booking.link_agents',
+          entityType: 'booking',
+          entityId: '*',
+          after: { linkedDB: result.DB.linked, linkedIntake: result.Intake.linked }
+        });
+      }
+
+      res.json({
+        success: true,
+        dryRun: value.dryRun,
+        ...result
+      });
+    } catch (error) {
+      console.error('Link booking agents error:', error);
+      res.status(500).json({ error: 'Failed to link booking agents' });
+    }
+  }
+}
+
+module.exports = new AgentController();
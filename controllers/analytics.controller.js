@@ -1,8 +1,13 @@
-const sheetsService = require('../services/sheets.service');
-const { parseDateString, parsePrice, mapRowToBooking } = require('../utils/dataParser');
+const bookingRepository = require('../repositories/booking.repository');
+const agentService = require('../services/agent.service');
+const customerService = require('../services/customer.service');
+const { parseDateString } = require('../utils/dataParser');
+const { BOOKING_STATUS, resolveStatus, isArrival, isSale, isCompleted, isCancelled } = require('../utils/bookingStatus');
+const { getBranchScope } = require('../utils/branchScope');
 
 /**
  * Get comprehensive analytics for a specific branch or all branches
+ * (every analytics endpoint only counts bookings within the user's branch scope)
  * Query params: 
  *  - branch (optional - defaults to "All")
  *  - range (optional - "today", "week", "month", "quarter", "year", defaults to "year")
@@ -15,9 +20,9 @@ async function getAnalytics(req, res) {
     const endDate = req.query.endDate;
 
     // Read only from DB sheet (old bookings)
-    const dbRows = await sheetsService.readSheet('DB');
+    const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
 
-    if (dbRows.length < 2) {
+    if (allBookings.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -42,52 +47,13 @@ async function getAnalytics(req, res) {
       });
     }
 
-    // Skip header row
-    const allBookings = dbRows.slice(1);
-
     // Filter by branch if not "All"
     let filteredBookings = allBookings;
     if (branch !== 'All') {
-      filteredBookings = allBookings.filter(row => row[1] === branch);
+      filteredBookings = allBookings.filter(booking => booking.branch === branch);
     }
 
-    // Parse bookings with proper structure - CORRECTED COLUMN MAPPING for 44-column DB sheet
-    let bookings = filteredBookings.map((row, idx) => {
-      // Parse price - remove peso sign and any non-numeric characters except decimal point
-      let price = row[12] || '0';
-      if (typeof price === 'string') {
-        price = price.replace(/[^0-9.]/g, '');
-      }
-      const parsedPrice = parseFloat(price) || 0;
-      
-      return {
-        timestamp: row[0] || '',
-        branch: row[1] || '',
-        status: row[2] || '',
-        date: row[3] || '',
-        firstName: row[4] || '',
-        lastName: row[5] || '',
-        age: parseInt(row[6]) || 0,
-        gender: row[7] || '',
-        treatment: row[8] || '',
-        area: row[9] || '',
-        freebie: row[10] || '',
-        companionTreatment: row[11] || '',
-        totalPrice: parsedPrice,
-        paymentMode: row[13] || '',
-        phone: row[14] || '',
-        socialMedia: row[15] || '',
-        email: row[16] || '',
-        agent: row[17] || '',
-        bookingDetails: row[18] || '',
-        adInteracted: row[19] || '',
-        companionFirstName: row[20] || '',
-        companionLastName: row[21] || '',
-        companionAge: row[22] || '',
-        companionGender: row[23] || '',
-        companionFreebie: row[24] || ''
-      };
-    });
+    let bookings = filteredBookings;
 
     const totalBeforeFilter = bookings.length;
 
@@ -99,42 +65,11 @@ async function getAnalytics(req, res) {
 
     // Calculate analytics
     // For branch performance, use all parsed bookings (not filtered by branch)
-    const allParsedBookings = filteredBookings.map((row) => {
-      let price = row[12] || '0';
-      if (typeof price === 'string') {
-        price = price.replace(/[^0-9.]/g, '');
-      }
-      const parsedPrice = parseFloat(price) || 0;
-      
-      return {
-        timestamp: row[0] || '',
-        branch: row[1] || '',
-        status: row[2] || '',
-        date: row[3] || '',
-        firstName: row[4] || '',
-        lastName: row[5] || '',
-        age: parseInt(row[6]) || 0,
-        gender: row[7] || '',
-        treatment: row[8] || '',
-        area: row[9] || '',
-        freebie: row[10] || '',
-        companionTreatment: row[11] || '',
-        totalPrice: parsedPrice,
-        paymentMode: row[13] || '',
-        phone: row[14] || '',
-        socialMedia: row[15] || '',
-        email: row[16] || '',
-        agent: row[17] || '',
-        bookingDetails: row[18] || '',
-        adInteracted: row[19] || '',
-        companionFirstName: row[20] || '',
-        companionLastName: row[21] || '',
-        companionAge: row[22] || '',
-        companionGender: row[23] || '',
-        companionFreebie: row[24] || ''
-      };
-    });
+    const allParsedBookings = filteredBookings;
     
+    // Agents are grouped by account (see services/agent.service.js)
+    const agentDirectory = await agentService.getDirectory();
+
     const analytics = {
       branch,
       range: startDate && endDate ? `${startDate} to ${endDate}` : range,
@@ -142,7 +77,7 @@ async function getAnalytics(req, res) {
       branchPerformance: branch === 'All' ? calculateBranchPerformance(filterByDateRange(allParsedBookings, range, startDate, endDate)) : [],
       treatmentAnalysis: calculateTreatmentAnalysis(bookings),
       revenueAnalysis: calculateRevenueAnalysis(bookings),
-      agentPerformance: calculateAgentPerformance(bookings),
+      agentPerformance: calculateAgentPerformance(bookings, agentDirectory),
       demographicAnalysis: calculateDemographicAnalysis(bookings),
       timeSeriesData: calculateTimeSeriesData(bookings, range, startDate, endDate),
       marketingChannels: calculateMarketingChannels(bookings)
@@ -248,21 +183,8 @@ function filterByDateRange(bookings, range, startDate, endDate) {
 }
 
 function calculateOverview(bookings) {
-    const normalizeStatus = (status) => (status || '')
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim();
-
     // Only count revenue from completed bookings (Arrived & Bought, Arrived not potential)
-    const completedStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought'
-    ]);
-
-    const completedBookings = bookings.filter(b => {
-      const statusNormalized = normalizeStatus(b.status);
-      return completedStatuses.has(statusNormalized);
-    });
+    const completedBookings = bookings.filter(b => isCompleted(b.status));
 
     const totalBookings = bookings.length;
     const totalRevenue = completedBookings.reduce((sum, b) => sum + b.totalPrice, 0);
@@ -270,10 +192,12 @@ function calculateOverview(bookings) {
     
     const statusCounts = {};
     bookings.forEach(b => {
-      statusCounts[b.status] = (statusCounts[b.status] || 0) + 1;
+      const status = resolveStatus(b.status) || b.status; // group legacy spellings under the canonical name
+      statusCounts[status] = (statusCounts[status] || 0) + 1;
     });
 
-    const uniqueCustomers = new Set(bookings.map(b => b.email.toLowerCase())).size;
+    // Customer profiles where linked; older bookings fall back to email, phone or name
+    const uniqueCustomers = new Set(bookings.map(b => customerService.customerKeyOf(b))).size;
     const repeatCustomerRate = totalBookings > 0 
       ? ((totalBookings - uniqueCustomers) / totalBookings * 100).toFixed(1)
       : 0;
@@ -290,21 +214,8 @@ function calculateOverview(bookings) {
 }
 
 function calculateBranchPerformance(bookings) {
-    const normalizeStatus = (status) => (status || '')
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim();
-
     // Only count revenue from completed bookings
-    const completedStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought'
-    ]);
-
-    const completedBookings = bookings.filter(b => {
-      const statusNormalized = normalizeStatus(b.status);
-      return completedStatuses.has(statusNormalized);
-    });
+    const completedBookings = bookings.filter(b => isCompleted(b.status));
 
     const branches = {};
     
@@ -333,21 +244,8 @@ function calculateBranchPerformance(bookings) {
 }
 
 function calculateTreatmentAnalysis(bookings) {
-    const normalizeStatus = (status) => (status || '')
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim();
-
     // Only count revenue from completed bookings
-    const completedStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought'
-    ]);
-
-    const completedBookings = bookings.filter(b => {
-      const statusNormalized = normalizeStatus(b.status);
-      return completedStatuses.has(statusNormalized);
-    });
+    const completedBookings = bookings.filter(b => isCompleted(b.status));
 
     const treatments = {};
     
@@ -377,21 +275,8 @@ function calculateTreatmentAnalysis(bookings) {
 }
 
 function calculateRevenueAnalysis(bookings) {
-    const normalizeStatus = (status) => (status || '')
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim();
-
     // Only count revenue from completed bookings
-    const completedStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought'
-    ]);
-
-    const completedBookings = bookings.filter(b => {
-      const statusNormalized = normalizeStatus(b.status);
-      return completedStatuses.has(statusNormalized);
-    });
+    const completedBookings = bookings.filter(b => isCompleted(b.status));
 
     const byPaymentMode = {};
     
@@ -432,34 +317,18 @@ function calculateRevenueAnalysis(bookings) {
     };
 }
 
-function calculateAgentPerformance(bookings) {
+function calculateAgentPerformance(bookings, agentDirectory) {
     const agents = {};
     
-    const normalizeStatus = (status) => (status || '')
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim();
-
-    // Define arrival statuses for calculating arrival rate
-    const arrivalStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought',
-      'comeback & bought'
-    ]);
-
-    // Define completed/visited statuses for revenue calculation
-    // Only "Arrived & bought" and "Arrived not potential" count as completed/visited
-    const completedStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought'
-    ]);
+    // Arrivals drive the arrival rate; only completed visits (Arrived & bought, Arrived not potential) count as revenue
     
     bookings.forEach(b => {
-      const agent = b.agent || 'Unknown';
+      const { key: agent, userId, name } = agentDirectory.identify(b);
       
       if (!agents[agent]) {
         agents[agent] = {
-          name: agent,
+          userId,
+          name,
           bookings: 0,
           completedBookings: 0,
           revenue: 0,
@@ -470,13 +339,12 @@ function calculateAgentPerformance(bookings) {
       agents[agent].bookings++;
       
       // Track arrivals for arrival rate calculation
-      const statusNormalized = normalizeStatus(b.status);
-      if (arrivalStatuses.has(statusNormalized)) {
+      if (isArrival(b.status)) {
         agents[agent].arrivals++;
       }
 
       // Only add revenue for completed/visited bookings
-      if (completedStatuses.has(statusNormalized)) {
+      if (isCompleted(b.status)) {
         agents[agent].completedBookings++;
         agents[agent].revenue += b.totalPrice;
       }
@@ -682,9 +550,9 @@ async function getAgentPerformance(req, res) {
     const endDate = req.query.endDate;
     
     // Read from DB sheet
-    const dbRows = await sheetsService.readSheet('DB');
+    const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
     
-    if (dbRows.length < 2) {
+    if (allBookings.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -733,40 +601,7 @@ async function getAgentPerformance(req, res) {
     }
 
     // Parse bookings with date filter
-    const recentBookings = dbRows.slice(1).filter(row => {
-      return filterFunction(row[3]); // row[3] is the date column
-    }).map(row => {
-      // Parse price - remove peso sign and any non-numeric characters except decimal point
-      let price = row[12] || '0';
-      if (typeof price === 'string') {
-        price = price.replace(/[^0-9.]/g, '');
-      }
-      const parsedPrice = parseFloat(price) || 0;
-      
-      return {
-        timestamp: row[0] || '',
-        branch: row[1] || '',
-        status: row[2] || '',
-        date: row[3] || '',
-        firstName: row[4] || '',
-        lastName: row[5] || '',
-        age: parseInt(row[6]) || 0,
-        gender: row[7] || '',
-        treatment: row[8] || '',
-        area: row[9] || '',
-        freebie: row[10] || '',
-        companionTreatment: row[11] || '',
-        totalPrice: parsedPrice,
-        paymentMode: row[13] || '',
-        phone: row[14] || '',
-        socialMedia: row[15] || '',
-        email: row[16] || '',
-        agent: row[17] || '',
-        bookingDetails: row[18] || '',
-        adInteracted: row[19] || '',
-        promoHunterStatus: row[30] || ''
-      };
-    });
+    const recentBookings = allBookings.filter(booking => filterFunction(booking.date));
 
     console.log(`\n========== AGENT PERFORMANCE DEBUG ==========`);
     console.log(`Date range: Last ${days} days`);
@@ -776,42 +611,26 @@ async function getAgentPerformance(req, res) {
         agent: recentBookings[0].agent,
         treatment: recentBookings[0].treatment,
         totalPrice: recentBookings[0].totalPrice,
-        status: recentBookings[0].status,
-        rawPrice: dbRows[1][12]
+        status: recentBookings[0].status
       });
       console.log('Agents found:', [...new Set(recentBookings.map(b => b.agent))]);
       console.log('Total revenue sum:', recentBookings.reduce((sum, b) => sum + b.totalPrice, 0));
     }
     console.log('=========================================\n');
 
-    // Group by agent
+    // Group by agent account, so spelling variants of one agent's name count once
+    const agentDirectory = await agentService.getDirectory();
     const agentStats = {};
     
-    const normalizeStatus = (status) => (status || '')
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim();
-
-    // Define arrival statuses for calculating arrival rate
-    const arrivalStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought',
-      'comeback & bought'
-    ]);
-
-    // Define completed/visited statuses for revenue calculation
-    // Only "Arrived & bought" and "Arrived not potential" count as completed/visited
-    const completedStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought'
-    ]);
+    // Arrivals drive the arrival rate; only completed visits (Arrived & bought, Arrived not potential) count as revenue
     
     recentBookings.forEach(booking => {
-      const agent = booking.agent || 'Unknown';
+      const { key: agent, userId, name } = agentDirectory.identify(booking);
       
       if (!agentStats[agent]) {
         agentStats[agent] = {
-          name: agent,
+          userId,
+          name,
           bookings: 0,
           completedBookings: 0,
           revenue: 0,
@@ -829,28 +648,28 @@ async function getAgentPerformance(req, res) {
       stats.bookings++;
       
       // Track status
-      const statusNormalized = normalizeStatus(booking.status);
-      if (statusNormalized.includes('bought') || statusNormalized.includes('completed')) {
+      const status = resolveStatus(booking.status);
+      if (isSale(status)) {
         stats.converted++;
-      } else if (statusNormalized === 'scheduled') {
+      } else if (status === BOOKING_STATUS.SCHEDULED) {
         stats.scheduled++;
-      } else if (statusNormalized === 'cancelled') {
+      } else if (isCancelled(status)) {
         stats.cancelled++;
       }
       
       // Track arrivals (same logic as sales report)
-      if (arrivalStatuses.has(statusNormalized)) {
+      if (isArrival(status)) {
         stats.arrivals++;
       }
 
       // Only add revenue for completed/visited bookings
-      if (completedStatuses.has(statusNormalized)) {
+      if (isCompleted(status)) {
         stats.completedBookings++;
         stats.revenue += booking.totalPrice;
       }
       
       // Track promo hunters
-      if (statusNormalized === 'promo hunter' || booking.promoHunterStatus) {
+      if (status === BOOKING_STATUS.PROMO_HUNTER || resolveStatus(booking.promoHunterStatus) === BOOKING_STATUS.PROMO_HUNTER) {
         stats.promoHunters++;
       }
       
@@ -894,6 +713,7 @@ async function getAgentPerformance(req, res) {
         .sort((a, b) => b.count - a.count);
       
       return {
+        userId: agent.userId,
         name: agent.name,
         bookings: agent.bookings,
         completedBookings: agent.completedBookings,
@@ -964,9 +784,9 @@ async function getAdPerformance(req, res) {
     const branch = req.query.branch;
     
     // Read from Master DB sheet
-    const rows = await sheetsService.readSheet('DB');
+    const rows = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
     
-    if (rows.length < 2) {
+    if (rows.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -981,41 +801,7 @@ async function getAdPerformance(req, res) {
       });
     }
 
-    // Parse all bookings from DB sheet (44 columns)
-    let allBookings = rows.slice(1).map((row) => {
-      let price = row[12] || '0';
-      if (typeof price === 'string') {
-        price = price.replace(/[^0-9.]/g, '');
-      }
-
-      return {
-        timestamp: row[0] || '',
-        branch: row[1] || '',
-        status: row[2] || '',
-        date: row[3] || '',
-        firstName: row[4] || '',
-        lastName: row[5] || '',
-        age: row[6] || '',
-        gender: row[7] || '',
-        treatment: row[8] || '',
-        area: row[9] || '',
-        freebie: row[10] || '',
-        companionTreatment: row[11] || '',
-        totalPrice: parseFloat(price) || 0,
-        paymentMode: row[13] || '',
-        phone: row[14] || '',
-        socialMedia: row[15] || '',
-        email: row[16] || '',
-        agent: row[17] || '',
-        bookingDetails: row[18] || '',
-        adInteracted: row[19] || '',
-        companionFirstName: row[20] || '',
-        companionLastName: row[21] || '',
-        companionAge: row[22] || '',
-        companionGender: row[23] || '',
-        companionFreebie: row[24] || ''
-      };
-    }).filter(booking => booking.adInteracted && booking.adInteracted.trim() !== '');
+    let allBookings = rows.filter(booking => booking.adInteracted && booking.adInteracted.trim() !== '');
 
     // Filter by date range
     if (startDate && endDate) {
@@ -1076,9 +862,8 @@ async function getAdPerformance(req, res) {
       adMap[adName].totalBookings++;
       adMap[adName].bookings.push(booking);
       
-      // Count conversions (statuses that indicate successful booking)
-      const statusLower = (booking.status || '').toLowerCase();
-      if (statusLower.includes('bought') || statusLower.includes('arrived')) {
+      // Count conversions (customer arrived, whether or not they bought)
+      if (isArrival(booking.status)) {
         adMap[adName].convertedBookings++;
         adMap[adName].totalRevenue += booking.totalPrice;
       }
@@ -1166,9 +951,9 @@ async function getSalesReport(req, res) {
     const selectedBranch = req.query.branch || 'all';
     const startDateParam = req.query.startDate;
     const endDateParam = req.query.endDate;
-    const dbRows = await sheetsService.readSheet('DB');
+    const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
 
-    if (dbRows.length < 2) {
+    if (allBookings.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -1267,11 +1052,6 @@ async function getSalesReport(req, res) {
     let totalBookings = 0;
     let arrivalsByBranch = {};
     let bookingsByBranch = {};
-    const arrivalStatuses = new Set([
-      'arrived not potential',
-      'arrived & bought',
-      'comeback & bought'
-    ]);
     const formatDateKey = (date) => {
       const year = date.getFullYear();
       const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -1279,14 +1059,9 @@ async function getSalesReport(req, res) {
       return `${year}-${month}-${day}`;
     };
 
-    // Process each booking (skip header row)
-    for (let i = 1; i < dbRows.length; i++) {
-      const row = dbRows[i];
-      
-      const branch = row[1];
-      const status = row[2];
-      const dateStr = row[3]; // Date column
-      const price = parsePrice(row[12]); // Total price column M (index 12)
+    // Process each booking
+    for (const booking of allBookings) {
+      const { branch, status, date: dateStr, totalPrice: price } = booking;
 
       // Filter by branch if specified (not "all")
       if (selectedBranch !== 'all' && branch !== selectedBranch) continue;
@@ -1298,14 +1073,14 @@ async function getSalesReport(req, res) {
       if (bookingDate >= startDate && bookingDate <= endDate) {
         totalBookings += 1;
         bookingsByBranch[branch] = (bookingsByBranch[branch] || 0) + 1;
-        if (arrivalStatuses.has(status)) {
+        if (isArrival(status)) {
           totalArrivals += 1;
           arrivalsByBranch[branch] = (arrivalsByBranch[branch] || 0) + 1;
         }
       }
 
       // Only count ACTUAL SALES: "Arrived & bought" or "Comeback & bought"
-      if (status !== 'Arrived & bought' && status !== 'Comeback & bought') continue;
+      if (!isSale(status)) continue;
 
       // Range sales totals
       if (bookingDate >= startDate && bookingDate <= endDate) {
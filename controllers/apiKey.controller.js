@@ -0,0 +1,101 @@
+const Joi = require('joi');
+const apiKeyService = require('../services/apiKey.service');
+const auditService = require('../services/audit.service');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+const { ApiKeyError } = apiKeyService;
+
+// Validation schemas
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(), // what the key is for, e.g. "Website lead form"
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).required(),
+  branches: Joi.array().items(Joi.string().trim().min(1)).default([]), // empty = no branch unless scopes include branches:all
+  expiresInDays: Joi.number().integer().min(1).max(3650).default(apiKeyService.ttlDays)
+});
+
+class ApiKeyController {
+  async getApiKeys(req, res) {
+    try {
+      const { status } = req.query;
+      const apiKeys = await apiKeyService.findAll();
+
+      res.json({
+        success: true,
+        apiKeys: apiKeys
+          .filter(apiKey => !status || apiKey.status === status)
+          .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      });
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+  }
+
+  // Permissions that can be given to a key
+  async getScopes(req, res) {
+    res.json({ success: true, scopes: API_KEY_SCOPES });
+  }
+
+  // The key is returned once in the response; only its hash is stored
+  async createApiKey(req, res) {
+    try {
+      const { error, value } = createApiKeySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { apiKey, key } = await apiKeyService.create(value, req.user);
+
+      await auditService.record(req, {
+        action: 'api_key.create',
+        entityType: 'api_key',
+        entityId: apiKey.keyId,
+        after: { name: apiKey.name, scopes: apiKey.scopes, branches: apiKey.branches, expiresAt: apiKey.expiresAt }
+      });
+
+      console.log(`🔑 API key "${apiKey.name}" created by ${req.user.name}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully - store it now, it will not be shown again',
+        apiKey,
+        key
+      });
+    } catch (error) {
+      if (error instanceof ApiKeyError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Create API key error:', error);
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  }
+
+  async revokeApiKey(req, res) {
+    try {
+      const { keyId } = req.params;
+
+      const apiKey = await apiKeyService.revoke(keyId);
+      if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      if (!apiKey.revokedAt) {
+        await auditService.record(req, {
+          action: 'api_key.revoke',
+          entityType: 'api_key',
+          entityId: keyId,
+          before: { name: apiKey.name, scopes: apiKey.scopes }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
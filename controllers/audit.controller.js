@@ -0,0 +1,42 @@
+const auditService = require('../services/audit.service');
+
+class AuditController {
+  // Query the audit trail with optional entity, actor, action and date filters
+  async getAuditLog(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+
+      const entries = await auditService.query({
+        entityType: req.query.entity,
+        entityId: req.query.entityId,
+        actor: req.query.actor,
+        action: req.query.action,
+        startDate: req.query.startDate,
+        endDate: req.query.endDate
+      });
+
+      // Calculate pagination
+      const total = entries.length;
+      const totalPages = Math.ceil(total / limit);
+      const startIndex = (page - 1) * limit;
+
+      res.json({
+        entries: entries.slice(startIndex, startIndex + limit),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Get audit log error:', error);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  }
+}
+
+module.exports = new AuditController();
@@ -1,7 +1,22 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+const auditService = require('../services/audit.service');
+const invitationService = require('../services/invitation.service');
+const sessionService = require('../services/session.service');
+const userRepository = require('../repositories/user.repository');
+const { SessionError } = sessionService;
+const passwordResetService = require('../services/passwordReset.service');
+const { PasswordResetError } = passwordResetService;
+const mailService = require('../services/mail.service');
+const loginGuard = require('../services/loginGuard.service');
+const twoFactorService = require('../services/twoFactor.service');
+const { TwoFactorError, CHALLENGE_PURPOSE } = twoFactorService;
+const { InvitationError, INVITATION_STATUS } = invitationService;
+const { ROLES, ROLE_NAMES, resolveRole, permissionsFor, describeRoles } = require('../utils/permissions');
+const { parseBranches, formatBranches } = require('../utils/branchScope');
+const { clientIp } = require('../utils/clientIp');
 const Joi = require('joi');
 
 // Validation schemas
@@ -9,7 +24,18 @@ const signupSchema = Joi.object({
   email: Joi.string().email().required(),
   password: Joi.string().min(8).required(),
   name: Joi.string().min(2).required(),
-  role: Joi.string().valid('Admin', 'Agent').required()
+  inviteToken: Joi.string().required()
+});
+
+const invitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...ROLE_NAMES).required(),
+  expiresInHours: Joi.number().integer().min(1).max(720),
+  branches: Joi.array().items(Joi.string().trim().min(1)).default([])
+});
+
+const branchesSchema = Joi.object({
+  branches: Joi.array().items(Joi.string().trim().min(1)).required() // [] removes every assignment (no access without branches:all)
 });
 
 const loginSchema = Joi.object({
@@ -17,6 +43,190 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(8).required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  newPassword: Joi.string().min(8).required()
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string().required(),
+  allSessions: Joi.boolean().default(false) // also end every other session of the user
+});
+
+// Profile edits; at least one field
+const profileSchema = Joi.object({
+  name: Joi.string().trim().min(2),
+  email: Joi.string().email()
+}).min(1);
+
+// Changing your own email needs the password, since the email is where reset links go
+const ownProfileSchema = profileSchema.keys({
+  currentPassword: Joi.string()
+});
+
+const challengeSchema = Joi.object({
+  challengeToken: Joi.string().required()
+});
+
+// Second login step: a code from the authenticator app, or one of the recovery codes
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string(),
+  recoveryCode: Joi.string()
+}).xor('code', 'recoveryCode');
+
+// Code from the authenticator app, to confirm enrollment or regenerate recovery codes
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().required()
+});
+
+const twoFactorLoginEnableSchema = challengeSchema.keys({
+  code: Joi.string().required()
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string(),
+  recoveryCode: Joi.string()
+}).xor('code', 'recoveryCode');
+
+const isDisabled = (schema, userRow) => Boolean(schema.get(userRow, 'disabledAt'));
+
+// Admins that can still log in; deactivating or demoting the last one would lock everyone out
+const countActiveAdmins = (schema, users) => users.slice(1)
+  .filter(user => resolveRole(schema.get(user, 'role')) === ROLES.ADMIN && !isDisabled(schema, user))
+  .length;
+
+/**
+ * Apply name/email edits to a Users row in place.
+ * Returns { before, after } with only the fields that changed.
+ */
+function applyProfileEdits(schema, userRow, edits) {
+  const before = {};
+  const after = {};
+
+  Object.entries(edits).forEach(([key, value]) => {
+    const next = key === 'email' ? value.toLowerCase() : value;
+    if (schema.get(userRow, key) === next) return;
+    before[key] = schema.get(userRow, key);
+    after[key] = next;
+    schema.set(userRow, key, next);
+  });
+
+  return { before, after };
+}
+
+const emailTaken = (schema, users, email, exceptUserId) => users.slice(1).some(user =>
+  schema.get(user, 'email') === email.toLowerCase() && schema.get(user, 'userId') !== exceptUserId
+);
+
+// Profile fields returned after an edit
+const profileOf = (schema, userRow) => ({
+  userId: schema.get(userRow, 'userId'),
+  email: schema.get(userRow, 'email'),
+  name: schema.get(userRow, 'name'),
+  role: schema.get(userRow, 'role')
+});
+
+const sendIpBlocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: 'Too many failed login attempts. Try again later.',
+    code: 'LOGIN_RATE_LIMITED',
+    retryAfter
+  });
+};
+
+const sendAccountLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    error: 'Account is temporarily locked after too many failed login attempts. Try again later or ask an admin to unlock it.',
+    code: 'ACCOUNT_LOCKED',
+    retryAfter
+  });
+};
+
+// Compared against when the email has no usable account, so those logins take as long as a wrong password
+// (a bcrypt hash of a random string, with the cost factor of real password hashes)
+const DUMMY_PASSWORD_HASH = '$2a$10$592OVfrkr7jmRDid4zV7tONRNciablt/hCez4QY.isjmoe6.zRaqW';
+
+// Count a wrong password or 2FA code against an account, auditing the moment it locks
+async function recordAccountFailure(req, user) {
+  const { locked } = await loginGuard.recordFailure(clientIp(req), { userId: user.userId, email: user.email });
+  if (locked) {
+    await auditService.record(req, {
+      action: 'user.locked',
+      entityType: 'user',
+      entityId: user.userId,
+      after: { locked: true },
+      actor: user
+    });
+  }
+}
+
+const sendInvalidChallenge = (res, error) => res.status(401).json({ error: error.message, code: 'INVALID_2FA_CHALLENGE' });
+
+/**
+ * Users row behind a login challenge. Challenges issued before a password change or
+ * "log out everywhere" are refused, like the tokens of that time.
+ */
+async function findChallengedUser(challengeToken, purpose) {
+  const { userId, tokenVersion } = twoFactorService.verifyChallenge(challengeToken, purpose);
+
+  const schema = await schemaService.ensureSchema('Users');
+  const users = await sheetsService.readSheet('Users');
+  const userRow = users.slice(1).find(user => schema.get(user, 'userId') === userId);
+
+  if (!userRow || sessionService.tokenVersionOf(schema, userRow) !== tokenVersion) {
+    throw new TwoFactorError('Invalid login challenge');
+  }
+  return { schema, userRow };
+}
+
+/**
+ * Last step of every login (password only, or password + 2FA): update last_login, end any failure
+ * streak and start a session.
+ */
+async function completeLogin(req, userId) {
+  const { schema, userRow } = await userRepository.withUserRow(userId, (schema, userRow) => {
+    schema.set(userRow, 'lastLogin', new Date().toISOString());
+    loginGuard.clear(schema, userRow);
+    return { schema, userRow };
+  });
+
+  // Access token + refresh token for the new session
+  const tokens = await sessionService.start({
+    userId,
+    email: schema.get(userRow, 'email'),
+    tokenVersion: sessionService.tokenVersionOf(schema, userRow)
+  }, req);
+
+  return {
+    message: 'Login successful',
+    ...tokens,
+    user: {
+      userId,
+      email: schema.get(userRow, 'email'),
+      name: schema.get(userRow, 'name'),
+      role: schema.get(userRow, 'role'),
+      lastLogin: schema.get(userRow, 'lastLogin')
+    }
+  };
+}
+
 class AuthController {
   async signup(req, res) {
     try {
@@ -26,48 +236,55 @@ class AuthController {
         return res.status(400).json({ error: error.details[0].message });
       }
 
-      const { email, password, name, role } = value;
+      const { email, password, name, inviteToken } = value;
+      const userId = uuidv4();
+      let role;
 
-      // Read Users sheet
-      const users = await sheetsService.readSheet('Users');
-      
-      // Check if email already exists
-      const emailExists = users.slice(1).some(user => user[1] === email.toLowerCase());
-      if (emailExists) {
-        return res.status(400).json({ error: 'Email already registered' });
-      }
+      // The invitation decides the role; it is only marked as used once the user row is written
+      const invitation = await invitationService.redeem(inviteToken, email, async (invite) => {
+        // Hash password
+        const passwordHash = await bcrypt.hash(password, 10);
+        const now = new Date().toISOString();
+        role = invite.role;
 
-      // Hash password
-      const passwordHash = await bcrypt.hash(password, 10);
+        await userRepository.withUsers((schema, users) => {
+          // Check if email already exists
+          if (emailTaken(schema, users, email)) {
+            throw new InvitationError('Email already registered');
+          }
 
-      // Generate user ID
-      const userId = uuidv4();
-      const now = new Date().toISOString();
-
-      // Prepare user data (columns: userId, email, passwordHash, name, role, created_at, last_login)
-      const newUser = [
-        userId,
-        email.toLowerCase(),
-        passwordHash,
-        name,
-        role, // Admin or Agent
-        now,  // created_at
-        now   // last_login
-      ];
-
-      // Append to Users sheet
-      await sheetsService.appendRow('Users', newUser);
-
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId, email: email.toLowerCase() },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+          // Append to Users sheet (columns resolved from the Users header row)
+          users.push(schema.toRow({
+            userId,
+            email: email.toLowerCase(),
+            passwordHash,
+            name,
+            role,
+            createdAt: now,
+            lastLogin: now,
+            branches: formatBranches(invite.branches)
+          }));
+        });
+        return userId;
+      });
+
+      // Signup is unauthenticated, so the new user is recorded as their own actor
+      await auditService.record(req, {
+        action: 'user.create',
+        entityType: 'user',
+        entityId: userId,
+        after: { email: email.toLowerCase(), name, role, inviteId: invitation.inviteId },
+        actor: { userId, email: email.toLowerCase(), name }
+      });
+
+      // Roles that require 2FA enroll before their first session, like at login
+      const tokens = twoFactorService.isRequired(role)
+        ? { twoFactorSetupRequired: true, ...twoFactorService.createChallenge({ userId }, CHALLENGE_PURPOSE.SETUP) }
+        : await sessionService.start({ userId, email: email.toLowerCase() }, req);
 
       res.status(201).json({
         message: 'User created successfully',
-        token,
+        ...tokens,
         user: {
           userId,
           email: email.toLowerCase(),
@@ -76,6 +293,9 @@ class AuthController {
         }
       });
     } catch (error) {
+      if (error instanceof InvitationError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Signup error:', error);
       res.status(500).json({ error: 'Failed to create user' });
     }
@@ -91,74 +311,271 @@ class AuthController {
 
       const { email, password } = value;
 
+      // Brute-force protection: IPs with too many failures are blocked for a while
+      const ipRetryAfter = loginGuard.ipRetryAfter(clientIp(req));
+      if (ipRetryAfter > 0) {
+        return sendIpBlocked(res, ipRetryAfter);
+      }
+
+      // Lockout columns are added on first use
+      await schemaService.ensureSchema('Users');
+
       // Read Users sheet
       const users = await sheetsService.readSheet('Users');
       
-      if (users.length < 2) {
+      // Unknown emails and locked accounts get the same response, bcrypt work and delay as a
+      // wrong password, so neither reveals which accounts exist
+      const refuse = async () => {
+        await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+        await loginGuard.recordFailure(clientIp(req), { email });
         return res.status(401).json({ error: 'Invalid credentials' });
+      };
+
+      if (users.length < 2) {
+        return refuse();
       }
 
       // Find user by email
-      const userRow = users.slice(1).find(user => user[1] === email.toLowerCase());
+      const schema = schemaService.fromHeaders('Users', users[0]);
+      const userRow = users.slice(1).find(user => schema.get(user, 'email') === email.toLowerCase());
       
       if (!userRow) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+        return refuse();
+      }
+
+      // Locked accounts are refused before the password is checked
+      const { userId, email: userEmail, passwordHash, name, role } = schema.toObject(userRow);
+      if (loginGuard.accountRetryAfter(schema, userRow) > 0) {
+        return refuse();
       }
 
       // Verify password
-      const [userId, userEmail, passwordHash, name, role] = userRow;
       const isValidPassword = await bcrypt.compare(password, passwordHash);
 
       if (!isValidPassword) {
+        await recordAccountFailure(req, { userId, email: userEmail, name });
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Update last_login
-      const rowIndex = users.findIndex(user => user[1] === email.toLowerCase());
-      if (rowIndex > 0) {
-        userRow[6] = new Date().toISOString(); // Update last_login (column 6)
-        await sheetsService.updateRow('Users', rowIndex + 1, userRow);
+      // Checked after the password so the response does not reveal which accounts exist
+      if (isDisabled(schema, userRow)) {
+        return res.status(403).json({ error: 'Account is disabled. Contact an admin.', code: 'ACCOUNT_DISABLED' });
+      }
+
+      // With 2FA the password only earns a challenge; POST /login/2fa finishes the login.
+      // The failure streak is kept until then, so wrong codes keep counting towards the lock.
+      const tokenVersion = sessionService.tokenVersionOf(schema, userRow);
+      if (twoFactorService.isEnabled(schema, userRow)) {
+        return res.json({
+          message: 'Two-factor code required',
+          twoFactorRequired: true,
+          ...twoFactorService.createChallenge({ userId, tokenVersion }, CHALLENGE_PURPOSE.VERIFY)
+        });
+      }
+
+      // The role requires 2FA but the user has not enrolled: POST /login/2fa/setup and /login/2fa/enable
+      if (twoFactorService.isRequired(role)) {
+        return res.json({
+          message: 'Two-factor authentication must be set up before logging in',
+          twoFactorSetupRequired: true,
+          ...twoFactorService.createChallenge({ userId, tokenVersion }, CHALLENGE_PURPOSE.SETUP)
+        });
+      }
+
+      res.json(await completeLogin(req, userId));
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: 'Failed to login' });
+    }
+  }
+
+  // Second login step: the challenge from /login plus an authenticator or recovery code
+  async loginTwoFactor(req, res) {
+    try {
+      const { error, value } = twoFactorLoginSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const ipRetryAfter = loginGuard.ipRetryAfter(clientIp(req));
+      if (ipRetryAfter > 0) {
+        return sendIpBlocked(res, ipRetryAfter);
+      }
+
+      const { schema, userRow } = await findChallengedUser(value.challengeToken, CHALLENGE_PURPOSE.VERIFY);
+      const { userId, email, name } = schema.toObject(userRow);
+
+      // Wrong codes lock the account just like wrong passwords. The password step already proved
+      // the account exists, so here the lock is reported as such.
+      const accountRetryAfter = loginGuard.accountRetryAfter(schema, userRow);
+      if (accountRetryAfter > 0) {
+        return sendAccountLocked(res, accountRetryAfter);
+      }
+
+      const result = await twoFactorService.verify(userId, value);
+      if (!result) {
+        await recordAccountFailure(req, { userId, email, name });
+        return res.status(401).json({ error: 'Invalid two-factor code', code: 'INVALID_2FA_CODE' });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId, email: userEmail },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      if (result.method === 'recovery') {
+        await auditService.record(req, {
+          action: 'user.2fa_recovery_used',
+          entityType: 'user',
+          entityId: userId,
+          after: { recoveryCodesRemaining: result.recoveryCodesRemaining },
+          actor: { userId, email, name }
+        });
+      }
 
       res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          userId,
-          email: userEmail,
-          name,
-          role,
-          lastLogin: userRow[6]
-        }
+        ...await completeLogin(req, userId),
+        recoveryCodesRemaining: result.recoveryCodesRemaining
       });
     } catch (error) {
-      console.error('Login error:', error);
+      if (error instanceof TwoFactorError) {
+        return sendInvalidChallenge(res, error);
+      }
+      console.error('Two-factor login error:', error);
       res.status(500).json({ error: 'Failed to login' });
     }
   }
 
+  // Login for a role that requires 2FA before the user enrolled: get a secret for the authenticator app
+  async loginTwoFactorSetup(req, res) {
+    try {
+      const { error, value } = challengeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { schema, userRow } = await findChallengedUser(value.challengeToken, CHALLENGE_PURPOSE.SETUP);
+      const setup = await twoFactorService.beginSetup(schema.get(userRow, 'userId'));
+
+      res.json({ success: true, ...setup });
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        return sendInvalidChallenge(res, error);
+      }
+      console.error('Two-factor login setup error:', error);
+      res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+  }
+
+  // ...then confirm it with a code, which enables 2FA and finishes the login
+  async loginTwoFactorEnable(req, res) {
+    try {
+      const { error, value } = twoFactorLoginEnableSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { schema, userRow } = await findChallengedUser(value.challengeToken, CHALLENGE_PURPOSE.SETUP);
+      const { userId, email, name } = schema.toObject(userRow);
+
+      let recoveryCodes;
+      try {
+        recoveryCodes = await twoFactorService.enable(userId, value.code);
+      } catch (enableError) {
+        if (enableError instanceof TwoFactorError) {
+          return res.status(400).json({ error: enableError.message });
+        }
+        throw enableError;
+      }
+
+      await auditService.record(req, {
+        action: 'user.2fa_enable',
+        entityType: 'user',
+        entityId: userId,
+        before: { twoFactorEnabled: false },
+        after: { twoFactorEnabled: true },
+        actor: { userId, email, name }
+      });
+
+      res.json({
+        ...await completeLogin(req, userId),
+        recoveryCodes
+      });
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        return sendInvalidChallenge(res, error);
+      }
+      console.error('Two-factor login enable error:', error);
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+  }
+
+  // Exchange a refresh token for a new access token; the refresh token is rotated
+  async refresh(req, res) {
+    try {
+      const { error, value } = refreshSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const tokens = await sessionService.refresh(value.refreshToken);
+      res.json(tokens);
+    } catch (error) {
+      if (error instanceof SessionError) {
+        return res.status(401).json({ error: error.message, code: 'INVALID_REFRESH_TOKEN' });
+      }
+      console.error('Refresh token error:', error);
+      res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  }
+
+  // End the session of a refresh token, or with allSessions every session and access token of its user
+  async logout(req, res) {
+    try {
+      const { error, value } = logoutSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const userId = await sessionService.revoke(value.refreshToken);
+      if (!userId) {
+        return res.status(401).json({ error: 'Invalid refresh token', code: 'INVALID_REFRESH_TOKEN' });
+      }
+
+      if (value.allSessions) {
+        const tokenVersion = await sessionService.revokeAllForUser(userId);
+
+        await auditService.record(req, {
+          action: 'user.logout_all',
+          entityType: 'user',
+          entityId: userId,
+          before: { tokenVersion: tokenVersion - 1 },
+          after: { tokenVersion },
+          actor: { userId }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: value.allSessions ? 'Logged out of all sessions' : 'Logged out'
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ error: 'Failed to logout' });
+    }
+  }
+
   async me(req, res) {
     try {
       const { userId } = req.user;
 
       // Read Users sheet
       const users = await sheetsService.readSheet('Users');
+      const schema = schemaService.fromHeaders('Users', users[0]);
       
       // Find user by userId
-      const userRow = users.slice(1).find(user => user[0] === userId);
+      const userRow = users.slice(1).find(user => schema.get(user, 'userId') === userId);
       
       if (!userRow) {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      const [id, email, , name, role, createdAt, lastLogin] = userRow;
+      const { userId: id, email, name, role, createdAt, lastLogin, branches } = schema.toObject(userRow);
 
       res.json({
         user: {
@@ -166,8 +583,11 @@ class AuthController {
           email,
           name,
           role,
+          permissions: permissionsFor(role),
+          branches: parseBranches(branches),
           createdAt,
-          lastLogin
+          lastLogin,
+          ...twoFactorService.describe(schema, userRow)
         }
       });
     } catch (error) {
@@ -176,28 +596,30 @@ class AuthController {
     }
   }
 
+  // Roles and the permissions each one grants (utils/permissions.js)
+  async getRoles(req, res) {
+    res.json({ roles: describeRoles() });
+  }
+
   async getAllUsers(req, res) {
     try {
-      const { userId } = req.user;
-
       // Read Users sheet
       const users = await sheetsService.readSheet('Users');
+      const schema = schemaService.fromHeaders('Users', users[0]);
       
-      // Find requesting user to check if admin
-      const requestingUser = users.slice(1).find(user => user[0] === userId);
-      
-      if (!requestingUser || requestingUser[4] !== 'Admin') {
-        return res.status(403).json({ error: 'Access denied. Admin only.' });
-      }
-
       // Map all users (excluding password hash)
       const allUsers = users.slice(1).map(user => ({
-        userId: user[0],
-        email: user[1],
-        name: user[3],
-        role: user[4],
-        createdAt: user[5],
-        lastLogin: user[6]
+        userId: schema.get(user, 'userId'),
+        email: schema.get(user, 'email'),
+        name: schema.get(user, 'name'),
+        role: schema.get(user, 'role'),
+        branches: parseBranches(schema.get(user, 'branches')),
+        createdAt: schema.get(user, 'createdAt'),
+        lastLogin: schema.get(user, 'lastLogin'),
+        disabled: isDisabled(schema, user),
+        disabledAt: schema.get(user, 'disabledAt'),
+        ...loginGuard.describe(schema, user),
+        twoFactorEnabled: twoFactorService.isEnabled(schema, user)
       }));
 
       res.json({
@@ -214,28 +636,11 @@ class AuthController {
     try {
       const { userId } = req.user;
       const { userId: targetUserId } = req.params;
-      const { role } = req.body;
+      const role = resolveRole(req.body.role);
 
       // Validate role
-      if (!['Admin', 'Agent'].includes(role)) {
-        return res.status(400).json({ error: 'Invalid role. Must be Admin or Agent.' });
-      }
-
-      // Read Users sheet
-      const users = await sheetsService.readSheet('Users');
-      
-      // Find requesting user to check if admin
-      const requestingUser = users.slice(1).find(user => user[0] === userId);
-      
-      if (!requestingUser || requestingUser[4] !== 'Admin') {
-        return res.status(403).json({ error: 'Access denied. Admin only.' });
-      }
-
-      // Find target user
-      const targetRowIndex = users.findIndex(user => user[0] === targetUserId);
-      
-      if (targetRowIndex < 1) {
-        return res.status(404).json({ error: 'User not found' });
+      if (!role) {
+        return res.status(400).json({ error: `Invalid role. Must be one of: ${ROLE_NAMES.join(', ')}` });
       }
 
       // Prevent admin from changing their own role
@@ -244,18 +649,31 @@ class AuthController {
       }
 
       // Update role
-      users[targetRowIndex][4] = role;
-      await sheetsService.updateRow('Users', targetRowIndex + 1, users[targetRowIndex]);
+      const result = await userRepository.withUserRow(targetUserId, (schema, targetRow) => {
+        const previousRole = schema.get(targetRow, 'role');
+        schema.set(targetRow, 'role', role);
+        return { previousRole, user: profileOf(schema, targetRow) };
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // The user has to log in again under the new role
+      await sessionService.revokeAllForUser(targetUserId);
+
+      await auditService.record(req, {
+        action: 'user.role_change',
+        entityType: 'user',
+        entityId: targetUserId,
+        before: { role: result.previousRole },
+        after: { role }
+      });
 
       res.json({
         success: true,
         message: 'User role updated successfully',
-        user: {
-          userId: users[targetRowIndex][0],
-          email: users[targetRowIndex][1],
-          name: users[targetRowIndex][3],
-          role: users[targetRowIndex][4]
-        }
+        user: result.user
       });
     } catch (error) {
       console.error('Update user role error:', error);
@@ -263,94 +681,788 @@ class AuthController {
     }
   }
 
-  async changeUserPassword(req, res) {
+  // Clear a user's failed-login streak and lock
+  async unlockUser(req, res) {
     try {
-      const { userId } = req.user;
       const { userId: targetUserId } = req.params;
-      const { newPassword } = req.body;
-
-      // Validate password
-      if (!newPassword || newPassword.length < 8) {
-        return res.status(400).json({ error: 'Password must be at least 8 characters long' });
-      }
 
-      // Read Users sheet
-      const users = await sheetsService.readSheet('Users');
-      
-      // Find requesting user to check if admin
-      const requestingUser = users.slice(1).find(user => user[0] === userId);
-      
-      if (!requestingUser || requestingUser[4] !== 'Admin') {
-        return res.status(403).json({ error: 'Access denied. Admin only.' });
-      }
+      const result = await userRepository.withUserRow(targetUserId, (schema, targetRow) => {
+        const before = loginGuard.describe(schema, targetRow);
+        const cleared = loginGuard.clear(schema, targetRow);
+        return {
+          before,
+          cleared,
+          user: {
+            userId: targetUserId,
+            email: schema.get(targetRow, 'email'),
+            name: schema.get(targetRow, 'name'),
+            ...loginGuard.describe(schema, targetRow)
+          }
+        };
+      });
 
-      // Find target user
-      const targetRowIndex = users.findIndex(user => user[0] === targetUserId);
-      
-      if (targetRowIndex < 1) {
+      if (!result) {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      // Hash new password
-      const passwordHash = await bcrypt.hash(newPassword, 10);
-
-      // Update password
-      users[targetRowIndex][2] = passwordHash;
-      await sheetsService.updateRow('Users', targetRowIndex + 1, users[targetRowIndex]);
+      const { before } = result;
+      if (result.cleared) {
+        await auditService.record(req, {
+          action: 'user.unlock',
+          entityType: 'user',
+          entityId: targetUserId,
+          before: { failedLoginCount: before.failedLoginCount, lockedUntil: before.lockedUntil },
+          after: { failedLoginCount: 0, lockedUntil: '' }
+        });
+      }
 
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'User unlocked successfully',
+        user: result.user
       });
     } catch (error) {
-      console.error('Change password error:', error);
-      res.status(500).json({ error: 'Failed to change password' });
+      console.error('Unlock user error:', error);
+      res.status(500).json({ error: 'Failed to unlock user' });
     }
   }
 
-  async deleteUser(req, res) {
+  // Remove 2FA from an account that lost its device. The user is logged out everywhere;
+  // if their role requires 2FA they enroll again at the next login.
+  async resetUserTwoFactor(req, res) {
     try {
-      const { userId } = req.user;
       const { userId: targetUserId } = req.params;
 
       // Read Users sheet
       const users = await sheetsService.readSheet('Users');
-      
-      // Find requesting user to check if admin
-      const requestingUser = users.slice(1).find(user => user[0] === userId);
-      
-      if (!requestingUser || requestingUser[4] !== 'Admin') {
-        return res.status(403).json({ error: 'Access denied. Admin only.' });
-      }
+      const schema = schemaService.fromHeaders('Users', users[0]);
+      const targetRow = users.slice(1).find(user => schema.get(user, 'userId') === targetUserId);
 
-      // Find target user
-      const targetRowIndex = users.findIndex(user => user[0] === targetUserId);
-      
-      if (targetRowIndex < 1) {
+      if (!targetRow) {
         return res.status(404).json({ error: 'User not found' });
       }
 
-      // Prevent admin from deleting themselves
-      if (userId === targetUserId) {
-        return res.status(400).json({ error: 'Cannot delete your own account' });
+      if (!(await twoFactorService.disable(targetUserId))) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled for this user' });
+      }
+
+      await sessionService.revokeAllForUser(targetUserId);
+
+      await auditService.record(req, {
+        action: 'user.2fa_reset',
+        entityType: 'user',
+        entityId: targetUserId,
+        before: { twoFactorEnabled: true },
+        after: { twoFactorEnabled: false }
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset'
+      });
+    } catch (error) {
+      console.error('Reset two-factor error:', error);
+      res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+    }
+  }
+
+  // Assign the branches a user works at (see utils/branchScope.js)
+  async updateUserBranches(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+
+      const { error, value } = branchesSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
       }
 
-      // Count remaining admins
-      const adminCount = users.slice(1).filter(user => user[4] === 'Admin').length;
-      if (users[targetRowIndex][4] === 'Admin' && adminCount <= 1) {
-        return res.status(400).json({ error: 'Cannot delete the last admin user' });
+      const branches = formatBranches(value.branches);
+      const result = await userRepository.withUserRow(targetUserId, (schema, targetRow) => {
+        const previousBranches = schema.get(targetRow, 'branches');
+        schema.set(targetRow, 'branches', branches);
+        return { previousBranches, user: profileOf(schema, targetRow) };
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
       }
 
-      // Delete user
-      await sheetsService.deleteRow('Users', targetRowIndex + 1);
+      await auditService.record(req, {
+        action: 'user.branches_change',
+        entityType: 'user',
+        entityId: targetUserId,
+        before: { branches: result.previousBranches },
+        after: { branches }
+      });
 
       res.json({
         success: true,
-        message: 'User deleted successfully'
+        message: 'User branches updated successfully',
+        user: {
+          ...result.user,
+          branches: parseBranches(branches)
+        }
       });
     } catch (error) {
-      console.error('Delete user error:', error);
-      res.status(500).json({ error: 'Failed to delete user' });
+      console.error('Update user branches error:', error);
+      res.status(500).json({ error: 'Failed to update user branches' });
+    }
+  }
+
+  async changeUserPassword(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+      const { newPassword } = req.body;
+
+      // Validate password
+      if (!newPassword || newPassword.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters long' });
+      }
+
+      // Hash new password
+      const passwordHash = await bcrypt.hash(newPassword, 10);
+
+      // Update password
+      const previousHash = await userRepository.withUserRow(targetUserId, (schema, targetRow) => {
+        const hash = schema.get(targetRow, 'passwordHash');
+        schema.set(targetRow, 'passwordHash', passwordHash);
+        return hash;
+      });
+
+      if (previousHash === null) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Sessions started with the old password end here
+      await sessionService.revokeAllForUser(targetUserId);
+
+      await auditService.record(req, {
+        action: 'user.password_reset',
+        entityType: 'user',
+        entityId: targetUserId,
+        before: { passwordHash: previousHash },
+        after: { passwordHash }
+      });
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully'
+      });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  }
+
+  // Change your own password. Every other session ends; the caller gets fresh tokens.
+  async changeOwnPassword(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const { error, value } = changePasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const passwordHash = await bcrypt.hash(value.newPassword, 10);
+
+      // The current password is checked against the row that is written, not an earlier read
+      const result = await userRepository.withUserRow(userId, async (schema, userRow) => {
+        const previousHash = schema.get(userRow, 'passwordHash');
+        const isValidPassword = await bcrypt.compare(value.currentPassword, previousHash);
+        if (!isValidPassword) {
+          return { error: 'Current password is incorrect' };
+        }
+
+        schema.set(userRow, 'passwordHash', passwordHash);
+        return { previousHash };
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      const { previousHash } = result;
+
+      // Sessions started with the old password end here, including this one - start a new one for the caller
+      const tokenVersion = await sessionService.revokeAllForUser(userId);
+      const tokens = await sessionService.start({ userId, email: req.user.email, tokenVersion }, req);
+
+      await auditService.record(req, {
+        action: 'user.password_change',
+        entityType: 'user',
+        entityId: userId,
+        before: { passwordHash: previousHash },
+        after: { passwordHash }
+      });
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully',
+        ...tokens
+      });
+    } catch (error) {
+      console.error('Change own password error:', error);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  }
+
+  // Start 2FA enrollment: returns a secret and otpauth:// URI to show as a QR code
+  async setupTwoFactor(req, res) {
+    try {
+      const setup = await twoFactorService.beginSetup(req.user.userId);
+
+      res.json({
+        success: true,
+        message: 'Add the account to your authenticator app, then confirm with a code',
+        ...setup
+      });
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+  }
+
+  // Confirm enrollment with a code from the app; the recovery codes are only shown in this response
+  async enableTwoFactor(req, res) {
+    try {
+      const { error, value } = twoFactorCodeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const recoveryCodes = await twoFactorService.enable(req.user.userId, value.code);
+
+      await auditService.record(req, {
+        action: 'user.2fa_enable',
+        entityType: 'user',
+        entityId: req.user.userId,
+        before: { twoFactorEnabled: false },
+        after: { twoFactorEnabled: true }
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes
+      });
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Two-factor enable error:', error);
+      res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+  }
+
+  // Turn 2FA off; needs the password and a current code (or a recovery code)
+  async disableTwoFactor(req, res) {
+    try {
+      const { userId, role } = req.user;
+
+      const { error, value } = twoFactorDisableSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      if (twoFactorService.isRequired(role)) {
+        return res.status(400).json({
+          error: `Two-factor authentication is required for ${role} accounts`,
+          code: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
+      // Read Users sheet
+      const users = await sheetsService.readSheet('Users');
+      const schema = schemaService.fromHeaders('Users', users[0]);
+      const userRow = users.slice(1).find(user => schema.get(user, 'userId') === userId);
+
+      if (!userRow) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const isValidPassword = await bcrypt.compare(value.password, schema.get(userRow, 'passwordHash'));
+      if (!isValidPassword) {
+        return res.status(400).json({ error: 'Password is incorrect' });
+      }
+
+      const result = await twoFactorService.verify(userId, value);
+      if (!result) {
+        return res.status(400).json({ error: 'Invalid two-factor code', code: 'INVALID_2FA_CODE' });
+      }
+
+      await twoFactorService.disable(userId);
+
+      await auditService.record(req, {
+        action: 'user.2fa_disable',
+        entityType: 'user',
+        entityId: userId,
+        before: { twoFactorEnabled: true },
+        after: { twoFactorEnabled: false }
+      });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Two-factor disable error:', error);
+      res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+  }
+
+  // Replace the recovery codes (all old ones stop working); needs a current code from the app
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const { error, value } = twoFactorCodeSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await twoFactorService.verify(userId, { code: value.code });
+      if (!result) {
+        return res.status(400).json({ error: 'Invalid two-factor code', code: 'INVALID_2FA_CODE' });
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(userId);
+
+      await auditService.record(req, {
+        action: 'user.2fa_recovery_codes',
+        entityType: 'user',
+        entityId: userId,
+        before: { recoveryCodesRemaining: result.recoveryCodesRemaining },
+        after: { recoveryCodesRemaining: recoveryCodes.length }
+      });
+
+      res.json({
+        success: true,
+        recoveryCodes
+      });
+    } catch (error) {
+      if (error instanceof TwoFactorError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+  }
+
+  // Email a one-time reset link. The response is the same whether or not the email is registered.
+  async forgotPassword(req, res) {
+    try {
+      const { error, value } = forgotPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const email = value.email.toLowerCase();
+
+      // Read Users sheet
+      const users = await sheetsService.readSheet('Users');
+      const schema = schemaService.fromHeaders('Users', users[0]);
+      const userRow = users.slice(1).find(user => schema.get(user, 'email') === email);
+
+      // Deactivated accounts get no link; the response stays the same
+      if (userRow && !isDisabled(schema, userRow)) {
+        const token = await passwordResetService.create(schema.get(userRow, 'userId'), req);
+        const frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0].trim();
+
+        try {
+          await mailService.send({
+            to: email,
+            subject: 'Reset your password',
+            text: `Hi ${schema.get(userRow, 'name')},\n\n` +
+              `Someone asked to reset the password for your account. Open this link to choose a new one:\n\n` +
+              `${frontendUrl}/reset-password?token=${token}\n\n` +
+              `The link can be used once and expires in ${passwordResetService.ttlMinutes} minutes. ` +
+              'If you did not ask for this, you can ignore this email.'
+          });
+        } catch (mailError) {
+          // Still answer normally so the response does not reveal which emails are registered
+          console.error(`❌ Failed to send password reset email to ${email}:`, mailError.message);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'If that email is registered, a password reset link has been sent.'
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  }
+
+  // Set a new password with a reset token from forgotPassword. Every session of the user ends.
+  async resetPassword(req, res) {
+    try {
+      const { error, value } = resetPasswordSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      let previousHash;
+      let passwordHash;
+
+      const userId = await passwordResetService.redeem(value.token, async (resetUserId) => {
+        passwordHash = await bcrypt.hash(value.newPassword, 10);
+
+        previousHash = await userRepository.withUserRow(resetUserId, (schema, userRow) => {
+          const hash = schema.get(userRow, 'passwordHash');
+          schema.set(userRow, 'passwordHash', passwordHash);
+          loginGuard.clear(schema, userRow); // proving control of the mailbox also lifts a lockout
+          return hash;
+        });
+
+        if (previousHash === null) {
+          throw new PasswordResetError('Invalid or already used reset token');
+        }
+      });
+
+      await sessionService.revokeAllForUser(userId);
+
+      // Unauthenticated, so the user is recorded as their own actor
+      await auditService.record(req, {
+        action: 'user.password_reset',
+        entityType: 'user',
+        entityId: userId,
+        before: { passwordHash: previousHash },
+        after: { passwordHash },
+        actor: { userId }
+      });
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.'
+      });
+    } catch (error) {
+      if (error instanceof PasswordResetError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Reset password error:', error);
+      res.status(500).json({ error: 'Failed to reset password' });
+    }
+  }
+
+  // Edit a user's name and/or email
+  async updateUser(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+
+      const { error, value } = profileSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await userRepository.withUserRow(targetUserId, (schema, userRow, users) => {
+        if (value.email && emailTaken(schema, users, value.email, targetUserId)) {
+          return { error: 'Email already registered' };
+        }
+
+        return { ...applyProfileEdits(schema, userRow, value), user: profileOf(schema, userRow) };
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      const { before, after } = result;
+      if (Object.keys(after).length > 0) {
+        await auditService.record(req, {
+          action: 'user.update',
+          entityType: 'user',
+          entityId: targetUserId,
+          before,
+          after
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'User updated successfully',
+        user: result.user
+      });
+    } catch (error) {
+      console.error('Update user error:', error);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  }
+
+  // Edit your own name and/or email. Access tokens carry the email, so a new one is returned when it changes.
+  async updateMe(req, res) {
+    try {
+      const { userId } = req.user;
+
+      const { error, value } = ownProfileSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+      const { currentPassword, ...edits } = value;
+
+      const result = await userRepository.withUserRow(userId, async (schema, userRow, users) => {
+        const emailChanges = edits.email && edits.email.toLowerCase() !== schema.get(userRow, 'email');
+
+        if (emailChanges) {
+          if (!currentPassword) {
+            return { error: 'currentPassword is required to change your email' };
+          }
+          const isValidPassword = await bcrypt.compare(currentPassword, schema.get(userRow, 'passwordHash'));
+          if (!isValidPassword) {
+            return { error: 'Current password is incorrect' };
+          }
+          if (emailTaken(schema, users, edits.email, userId)) {
+            return { error: 'Email already registered' };
+          }
+        }
+
+        return {
+          ...applyProfileEdits(schema, userRow, edits),
+          emailChanges,
+          user: profileOf(schema, userRow),
+          tokenVersion: sessionService.tokenVersionOf(schema, userRow)
+        };
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      const { before, after, emailChanges, user } = result;
+      if (Object.keys(after).length > 0) {
+        await auditService.record(req, {
+          action: 'user.update',
+          entityType: 'user',
+          entityId: userId,
+          before,
+          after
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        user,
+        ...(emailChanges && {
+          token: sessionService.createAccessToken({
+            userId,
+            email: user.email,
+            tokenVersion: result.tokenVersion
+          })
+        })
+      });
+    } catch (error) {
+      console.error('Update profile error:', error);
+      res.status(500).json({ error: 'Failed to update profile' });
+    }
+  }
+
+  /**
+   * Deactivate an account: the row stays (bookings keep a real agent behind them) but the user
+   * cannot log in, and every session and access token ends. Reactivate with reactivateUser.
+   */
+  async disableUser(req, res) {
+    try {
+      const { userId } = req.user;
+      const { userId: targetUserId } = req.params;
+
+      // Prevent admin from disabling themselves
+      if (userId === targetUserId) {
+        return res.status(400).json({ error: 'Cannot disable your own account' });
+      }
+
+      // The last-admin check and the write happen under the same lock, so two admins
+      // disabling each other cannot both succeed
+      const disabledAt = new Date().toISOString();
+      const result = await userRepository.withUserRow(targetUserId, (schema, targetRow, users) => {
+        if (isDisabled(schema, targetRow)) {
+          return { error: 'User is already disabled' };
+        }
+
+        if (resolveRole(schema.get(targetRow, 'role')) === ROLES.ADMIN && countActiveAdmins(schema, users) <= 1) {
+          return { error: 'Cannot disable the last active admin user' };
+        }
+
+        schema.set(targetRow, 'disabledAt', disabledAt);
+        return {};
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      await sessionService.revokeAllForUser(targetUserId);
+
+      await auditService.record(req, {
+        action: 'user.disable',
+        entityType: 'user',
+        entityId: targetUserId,
+        before: { disabledAt: '' },
+        after: { disabledAt }
+      });
+
+      res.json({
+        success: true,
+        message: 'User disabled successfully'
+      });
+    } catch (error) {
+      console.error('Disable user error:', error);
+      res.status(500).json({ error: 'Failed to disable user' });
+    }
+  }
+
+  // Undo disableUser; the user logs in again with their existing password
+  async reactivateUser(req, res) {
+    try {
+      const { userId: targetUserId } = req.params;
+
+      const result = await userRepository.withUserRow(targetUserId, (schema, targetRow) => {
+        const disabledAt = schema.get(targetRow, 'disabledAt');
+        if (!disabledAt) {
+          return { error: 'User is not disabled' };
+        }
+
+        schema.set(targetRow, 'disabledAt', '');
+        return { disabledAt, user: profileOf(schema, targetRow) };
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      const { disabledAt } = result;
+
+      await auditService.record(req, {
+        action: 'user.reactivate',
+        entityType: 'user',
+        entityId: targetUserId,
+        before: { disabledAt },
+        after: { disabledAt: '' }
+      });
+
+      res.json({
+        success: true,
+        message: 'User reactivated successfully',
+        user: result.user
+      });
+    } catch (error) {
+      console.error('Reactivate user error:', error);
+      res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+  }
+
+  // Invite someone to sign up with a preset email and role
+  async createInvitation(req, res) {
+    try {
+      const { error, value } = invitationSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const email = value.email.toLowerCase();
+
+      const users = await sheetsService.readSheet('Users');
+      const schema = schemaService.fromHeaders('Users', users[0]);
+      if (users.slice(1).some(user => schema.get(user, 'email') === email)) {
+        return res.status(400).json({ error: 'Email already registered' });
+      }
+
+      const pending = await invitationService.findAll({ status: INVITATION_STATUS.PENDING, email });
+      if (pending.length > 0) {
+        return res.status(400).json({ error: 'A pending invitation already exists for this email. Revoke it first.' });
+      }
+
+      const { invitation, token } = await invitationService.create(value, req.user);
+
+      await auditService.record(req, {
+        action: 'invitation.create',
+        entityType: 'invitation',
+        entityId: invitation.inviteId,
+        after: { email: invitation.email, role: invitation.role, branches: formatBranches(invitation.branches), expiresAt: invitation.expiresAt }
+      });
+
+      console.log(`✉️ Invitation ${invitation.inviteId} issued to ${email} (${invitation.role}) by ${req.user.name}`);
+      res.status(201).json({
+        success: true,
+        message: 'Invitation created. Share the token with the invitee - it is not shown again.',
+        invitation,
+        token
+      });
+    } catch (error) {
+      console.error('Create invitation error:', error);
+      res.status(500).json({ error: 'Failed to create invitation' });
+    }
+  }
+
+  // List invitations (pending by default, ?status=all for every invitation)
+  async getInvitations(req, res) {
+    try {
+      const status = req.query.status || INVITATION_STATUS.PENDING;
+      if (status !== 'all' && !Object.values(INVITATION_STATUS).includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be all or one of: ${Object.values(INVITATION_STATUS).join(', ')}` });
+      }
+
+      const invitations = await invitationService.findAll({ status: status === 'all' ? undefined : status });
+
+      res.json({
+        success: true,
+        invitations
+      });
+    } catch (error) {
+      console.error('Get invitations error:', error);
+      res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+  }
+
+  // Revoke a pending invitation so its token can no longer be used
+  async revokeInvitation(req, res) {
+    try {
+      const { inviteId } = req.params;
+      const invitation = await invitationService.revoke(inviteId);
+      if (!invitation) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+
+      await auditService.record(req, {
+        action: 'invitation.revoke',
+        entityType: 'invitation',
+        entityId: inviteId,
+        before: { status: INVITATION_STATUS.PENDING },
+        after: { status: invitation.status }
+      });
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked',
+        invitation
+      });
+    } catch (error) {
+      if (error instanceof InvitationError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Revoke invitation error:', error);
+      res.status(500).json({ error: 'Failed to revoke invitation' });
     }
   }
 }
@@ -1,31 +1,21 @@
 const { v4: uuidv4 } = require('uuid');
-const sheetsService = require('../services/sheets.service');
-const NodeCache = require('node-cache');
 const Joi = require('joi');
-const { parseDateString, parsePrice, mapRowToBooking } = require('../utils/dataParser');
-
-// Cache with 5 minute TTL
-const cache = new NodeCache({ stdTTL: 300 });
-
-// Helper function to format current timestamp as "Feb 21 2026 10:53 AM"
-const getCurrentTimestamp = () => {
-  const now = new Date();
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  const monthName = months[now.getMonth()];
-  const day = now.getDate();
-  const year = now.getFullYear();
-  const hours = now.getHours();
-  const minutes = now.getMinutes().toString().padStart(2, '0');
-  const displayHours = hours % 12 || 12;
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  
-  return `${monthName} ${day} ${year} ${displayHours}:${minutes} ${ampm}`;
-};
+const bookingRepository = require('../repositories/booking.repository');
+const auditService = require('../services/audit.service');
+const agentService = require('../services/agent.service');
+const promoHunterService = require('../services/promoHunter.service');
+const customerService = require('../services/customer.service');
+const { VersionConflictError, RECORD_STATUS } = require('../repositories/booking.repository');
+const { parseDateString, getCurrentTimestamp } = require('../utils/dataParser');
+const { BOOKING_STATUS, BOOKING_STATUSES, isCancelled, canTransition, describeStatuses } = require('../utils/bookingStatus');
+const { PERMISSIONS, userCan } = require('../utils/permissions');
+const { getBranchScope, isBranchInScope } = require('../utils/branchScope');
+const { clientIp } = require('../utils/clientIp');
 
 // Validation schema for booking creation
 const bookingSchema = Joi.object({
   branch: Joi.string().required(),
-  status: Joi.string().default('Scheduled'),
+  status: Joi.string().valid(...BOOKING_STATUSES).default(BOOKING_STATUS.SCHEDULED),
   firstName: Joi.string().required(),
   lastName: Joi.string().required(),
   age: Joi.number().integer().min(1).max(150).required(),
@@ -48,9 +38,21 @@ const bookingSchema = Joi.object({
   companionGender: Joi.string().valid('Male', 'Female', '').allow('').optional(),
   bookingDetails: Joi.string().allow('').optional(),
   adInteracted: Joi.string().allow('').optional(),
-  agent: Joi.string().required()
+  agentId: Joi.string(), // userId of the agent; defaults to the user creating the booking
+  agent: Joi.string() // legacy: agent name, linked to an account when it matches one
 });
 
+// Validation schema for booking updates (PATCH/PUT): every field optional, only supplied fields change
+const updateBookingSchema = bookingSchema
+  .fork(Object.keys(bookingSchema.describe().keys), (field) => field.optional())
+  .keys({
+    status: Joi.string().valid(...BOOKING_STATUSES), // no default - omitted means unchanged
+    dateTime: Joi.string() // already formatted, e.g. "Feb 25 2026 2:00 PM" (alternative to date + time)
+  })
+  .with('time', 'date')
+  .oxor('dateTime', 'date')
+  .min(1);
+
 class BookingController {
   async createBooking(req, res) {
     try {
@@ -63,147 +65,99 @@ class BookingController {
       const bookingData = value;
       const userId = req.user.userId;
 
+      if (!isBranchInScope(getBranchScope(req.user), bookingData.branch)) {
+        return sendBranchOutOfScope(res, bookingData.branch);
+      }
+
+      // New bookings start as Scheduled; starting anywhere else is a status change like any other
+      if (bookingData.status !== BOOKING_STATUS.SCHEDULED && !userCan(req.user, PERMISSIONS.BOOKINGS_UPDATE_STATUS)) {
+        console.warn(`⚠️ ${req.user?.role} ${req.user?.name} attempted to create a booking with status "${bookingData.status}"`);
+        return res.status(403).json({
+          error: `${req.user?.role} users cannot set booking status`,
+          code: 'RESTRICTED_FIELDS'
+        });
+      }
+
+      // Booking on another agent's behalf takes the same permission as reassigning one;
+      // without it the booking belongs to the caller whatever agent was sent
+      if (!userCan(req.user, PERMISSIONS.BOOKINGS_UPDATE_AGENT) && !userCan(req.user, PERMISSIONS.AGENTS_MANAGE)) {
+        delete bookingData.agentId;
+        delete bookingData.agent;
+      }
+
+      const agentFields = await resolveAgentFields(bookingData, req.user);
+      if (!agentFields) {
+        return sendUnknownAgent(res, bookingData.agentId);
+      }
+      Object.assign(bookingData, agentFields);
+
       // Generate booking ID and timestamp
       const bookingId = uuidv4();
       const timestamp = getCurrentTimestamp();
 
-      // Format date and time to match "Feb 25 2026 12:00 AM" format
-      const formatDateTime = (dateStr, timeStr) => {
-        // dateStr is in format "YYYY-MM-DD" (from date input)
-        // timeStr is in format "HH:MM" (from time input)
-        const [year, month, day] = dateStr.split('-');
-        const [hours, minutes] = timeStr ? timeStr.split(':') : ['00', '00'];
-        
-        const date = new Date(year, parseInt(month) - 1, day, hours, minutes);
-        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const monthName = months[date.getMonth()];
-        const dayNum = date.getDate();
-        const yearNum = date.getFullYear();
-        const displayHours = parseInt(hours) % 12 || 12;
-        const minutesStr = minutes.toString().padStart(2, '0');
-        const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
-        
-        return `${monthName} ${dayNum} ${yearNum} ${displayHours}:${minutesStr} ${ampm}`;
-      };
-      
       const formattedDate = formatDateTime(bookingData.date, bookingData.time);
 
       // Get client IP
-      const customerIp = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+      const customerIp = clientIp(req);
 
       // Check for promo hunter status BEFORE saving
-      const promoHunterResult = await checkPromoHunter(
-        bookingData.firstName,
-        bookingData.lastName,
-        bookingData.email,
-        bookingData.phone,
-        bookingData.socialMedia,
-        bookingData.companionFirstName,
-        bookingData.companionLastName
-      );
+      const promoHunterResult = await checkPromoHunter(bookingData);
+
+      Object.assign(bookingData, await assignCustomers({ ...bookingData, recordId: bookingId }));
 
       // Update booking status if customer is a Promo Hunter
-      let finalStatus = bookingData.status || 'Scheduled';
-      if (promoHunterResult.status === 'Promo hunter') {
-        finalStatus = 'Promo hunter';
+      let finalStatus = bookingData.status || BOOKING_STATUS.SCHEDULED;
+      if (promoHunterResult.status === BOOKING_STATUS.PROMO_HUNTER) {
+        finalStatus = BOOKING_STATUS.PROMO_HUNTER;
       }
 
-      // Prepare row matching Google Sheet columns (Intake sheet: 37 columns A-AK)
-      const newRow = [
-        timestamp,                              // A: Timestamp
-        bookingData.branch,                     // B: Ad Interacted
-        bookingData.branch,                     // C: Branch
-        finalStatus,                            // D: Booking Status (updated if promo hunter)
-        bookingData.firstName,                  // E: First Name
-        bookingData.lastName,                   // F: Last Name
-        bookingData.age,                        // G: Age
-        bookingData.phone,                      // H: Phone
-        bookingData.socialMedia || '',          // I: Facebook / Instagram Name
-        bookingData.email || '',                // J: Email
-        bookingData.treatment,                  // K: Promo/Treatment
-        bookingData.area || '',                 // L: Area
-        bookingData.freebie || '',              // M: Freebie
-        formattedDate,                          // N: Date
-        bookingData.paymentMode,                // O: Mode of payment
-        bookingData.totalPrice,                 // P: Total Price
-        bookingData.gender,                     // Q: Gender
-        bookingData.companionFirstName || '',   // R: Companion First Name
-        bookingData.companionLastName || '',    // S: Companion Last Name
-        bookingData.companionAge || '',         // T: Companion Age
-        bookingData.companionFreebie || '',     // U: Companion Freebie
-        bookingData.companionTreatment || '',   // V: Companion Promo/Treatment
-        bookingData.companionGender || '',      // W: Companion Gender
-        bookingData.bookingDetails || '',       // X: Booking Details
-        bookingData.agent,                      // Y: Agent
-        (bookingData.email || '').toLowerCase(),        // Z: email_norm
-        bookingData.phone.replace(/\D/g, ''),   // AA: phone_norm
-        (bookingData.socialMedia || '').toLowerCase(), // AB: social_norm
-        `${bookingData.firstName} ${bookingData.lastName}`.toLowerCase(), // AC: full_name_norm
-        `${bookingData.companionFirstName || ''} ${bookingData.companionLastName || ''}`.trim().toLowerCase(), // AD: companion_full_name_norm
-        promoHunterResult.status,               // AE: promo_hunter_status
-        promoHunterResult.matchReason,          // AF: match_reason
-        promoHunterResult.matchedSource,        // AG: matched_source
-        promoHunterResult.matchedRow,           // AH: matched_row
-        bookingId,                              // AI: record_id (UUID)
-        'active',                               // AJ: record_status
-        timestamp                               // AK: last_checked_at
-      ];
-
-      // Append to Intake sheet
-      await sheetsService.appendRow('Intake', newRow);
-
-      // Also append to DB Sheet (Master DB) for permanent storage
-      // DB Sheet has 44 columns matching the actual Google Sheet structure
-      const masterDbRow = [
-        timestamp,                              // 0: Timestamp
-        bookingData.branch,                     // 1: Branch
-        bookingData.status || 'Scheduled',      // 2: Booking Status
-        formattedDate,                          // 3: Date
-        bookingData.firstName,                  // 4: First Name
-        bookingData.lastName,                   // 5: Last Name
-        bookingData.age,                        // 6: Age
-        bookingData.gender,                     // 7: Gender
-        bookingData.treatment,                  // 8: Promo/Treatment
-        bookingData.area || '',                 // 9: Area
-        bookingData.freebie || '',              // 10: Freebie
-        bookingData.companionTreatment || '',   // 11: Companion Promo/Treatment
-        bookingData.totalPrice,                 // 12: Total Price
-        bookingData.paymentMode,                // 13: Mode of payment
-        bookingData.phone,                      // 14: Phone
-        bookingData.socialMedia || '',          // 15: Facebook / Instagram Name
-        bookingData.email || '',                // 16: Email
-        bookingData.agent,                      // 17: Agent
-        bookingData.bookingDetails || '',       // 18: Booking Details
-        bookingData.adInteracted || '',         // 19: Ad Interacted
-        bookingData.companionFirstName || '',   // 20: Companion First Name
-        bookingData.companionLastName || '',    // 21: Companion Last Name
-        bookingData.companionAge || '',         // 22: Companion Age
-        bookingData.companionGender || '',      // 23: Companion Gender
-        bookingData.companionFreebie || '',     // 24: Companion Freebie
-        bookingData.email.toLowerCase(),        // 25: email_norm
-        bookingData.phone.replace(/\D/g, ''),   // 26: phone_norm
-        (bookingData.socialMedia || '').toLowerCase(), // 27: social_norm
-        `${bookingData.firstName} ${bookingData.lastName}`.toLowerCase(), // 28: full_name_norm
-        `${bookingData.companionFirstName || ''} ${bookingData.companionLastName || ''}`.trim().toLowerCase(), // 29: companion_full_name_norm
-        promoHunterResult.status,               // 30: promo_hunter_status
-        promoHunterResult.matchReason,          // 31: match_reason
-        promoHunterResult.matchedSource,        // 32: matched_source
-        promoHunterResult.matchedRow,           // 33: matched_row
-        bookingId,                              // 34: record_id
-        'active',                               // 35: record_status
-        timestamp,                              // 36: last_checked_at
-        '',                                     // 37: legacy_full_name
-        '',                                     // 38: exclude_from_dashboards
-        timestamp,                              // 39: dash_booking_created_at
-        formattedDate,                          // 40: dash_appointment_date
-        bookingData.branch,                     // 41: dash_branch
-        finalStatus,                            // 42: dash_booking_status (updated if promo hunter)
-        ''                                      // 43: cancellation_time (empty for new bookings)
-      ];
-      await sheetsService.appendRow('DB', masterDbRow);
-
-      // Clear cache
-      cache.del('old_bookings_all');
+      // The repository writes the Intake and DB rows and fills in normalized and dashboard columns
+      const created = await bookingRepository.create({
+        recordId: bookingId,
+        timestamp,
+        branch: bookingData.branch,
+        status: finalStatus, // updated if promo hunter
+        firstName: bookingData.firstName,
+        lastName: bookingData.lastName,
+        age: bookingData.age,
+        phone: bookingData.phone,
+        socialMedia: bookingData.socialMedia || '',
+        email: bookingData.email || '',
+        treatment: bookingData.treatment,
+        area: bookingData.area || '',
+        freebie: bookingData.freebie || '',
+        date: formattedDate,
+        paymentMode: bookingData.paymentMode,
+        totalPrice: bookingData.totalPrice,
+        gender: bookingData.gender,
+        companionFirstName: bookingData.companionFirstName || '',
+        companionLastName: bookingData.companionLastName || '',
+        companionAge: bookingData.companionAge || '',
+        companionFreebie: bookingData.companionFreebie || '',
+        companionTreatment: bookingData.companionTreatment || '',
+        companionGender: bookingData.companionGender || '',
+        bookingDetails: bookingData.bookingDetails || '',
+        adInteracted: bookingData.adInteracted || '',
+        agent: bookingData.agent,
+        agentId: bookingData.agentId,
+        customerId: bookingData.customerId || '',
+        companionCustomerId: bookingData.companionCustomerId || '',
+        promoHunterStatus: promoHunterResult.status,
+        matchReason: promoHunterResult.matchReason,
+        matchedSource: promoHunterResult.matchedSource,
+        matchedRow: promoHunterResult.matchedRow,
+        matchedRecordIds: promoHunterResult.matchedRecordIds
+      }, {
+        // DB keeps the requested status; dash_booking_status carries the promo hunter flag
+        status: bookingData.status || BOOKING_STATUS.SCHEDULED
+      });
+
+      await auditService.record(req, {
+        action: 'booking.create',
+        entityType: 'booking',
+        entityId: bookingId,
+        after: created
+      });
 
       res.status(201).json({
         message: 'Booking created successfully',
@@ -211,7 +165,9 @@ class BookingController {
           bookingId,
           timestamp,
           ...bookingData,
-          promoHunterStatus: promoHunterResult.status
+          promoHunterStatus: promoHunterResult.status,
+          promoHunterConfidence: promoHunterResult.confidence,
+          promoHunterMatches: promoHunterResult.matches
         }
       });
     } catch (error) {
@@ -228,6 +184,8 @@ class BookingController {
       const branch = req.query.branch || '';
       const status = req.query.status || '';
       const sortOrder = req.query.sortOrder || 'newest'; // 'newest' or 'oldest'
+      // Soft-deleted / excluded bookings are hidden unless asked for by a role with bookings:read:inactive
+      const includeInactive = req.query.includeInactive === 'true' && userCan(req.user, PERMISSIONS.BOOKINGS_READ_INACTIVE);
       
       // Booking Created Date filters (timestamp based)
       const createdDateRange = req.query.createdDateRange;
@@ -239,86 +197,12 @@ class BookingController {
       const appointmentStartDate = req.query.appointmentStartDate;
       const appointmentEndDate = req.query.appointmentEndDate;
       
-      // Try to get from cache
-      let allBookings = cache.get('old_bookings_all');
-
-      if (!allBookings) {
-        // Read from Google Sheets
-        const rows = await sheetsService.readSheet('DB');
-        
-        if (rows.length < 2) {
-          return res.json({
-            bookings: [],
-            pagination: {
-              page: 1,
-              limit,
-              total: 0,
-              totalPages: 0
-            }
-          });
-        }
-
-        const headers = rows[0];
-        
-        // Parse rows into objects - CORRECTED COLUMN MAPPING for 44-column DB sheet
-        allBookings = rows.slice(1).map((row, index) => {
-          // Parse price - remove peso sign and any non-numeric characters except decimal point
-          let price = row[12] || '0';
-          if (typeof price === 'string') {
-            price = price.replace(/[^0-9.]/g, '');
-          }
-          
-          return {
-            rowNumber: index + 2,
-            timestamp: row[0] || '',
-            branch: row[1] || '',
-            status: row[2] || '',
-            date: row[3] || '',
-            firstName: row[4] || '',
-            lastName: row[5] || '',
-            age: row[6] || '',
-            gender: row[7] || '',
-            treatment: row[8] || '',
-            area: row[9] || '',
-            freebie: row[10] || '',
-            companionTreatment: row[11] || '',
-            totalPrice: parseFloat(price) || 0,
-            paymentMode: row[13] || '',
-            phone: row[14] || '',
-            socialMedia: row[15] || '',
-            email: row[16] || '',
-            agent: row[17] || '',
-            bookingDetails: row[18] || '',
-            adInteracted: row[19] || '',
-            companionFirstName: row[20] || '',
-            companionLastName: row[21] || '',
-            companionAge: row[22] || '',
-            companionGender: row[23] || '',
-            companionFreebie: row[24] || ''
-          };
-        });
-
-        // Note: Sheet rows are in chronological order - row 2 is oldest, last row is newest
-        // Cache for 5 minutes
-        cache.set('old_bookings_all', allBookings);
-      }
-
       // Pre-calculate all date boundaries once (outside the filter loop for performance)
       const now = new Date();
       const today = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
       const tomorrow = new Date(today);
       tomorrow.setDate(tomorrow.getDate() + 1);
       
-      // Helper function to safely parse dates with caching
-      const parseDate = (dateStr, isTimestamp = false) => {
-        if (!dateStr) return null;
-        try {
-          return parseDateString(dateStr);
-        } catch {
-          return null;
-        }
-      };
-      
       // Pre-calculate created date filter boundaries
       let createdDateStart = null;
       let createdDateEnd = null;
@@ -373,68 +257,19 @@ class BookingController {
         }
       }
       
-      const searchLower = search ? search.toLowerCase() : null;
-      
-      // Single-pass filtering for performance
-      let filteredBookings = allBookings.filter(booking => {
-        // Branch filter
-        if (branch && branch !== 'All' && booking.branch !== branch) {
-          return false;
-        }
-        
-        // Status filter
-        if (status && status !== 'All' && booking.status !== status) {
-          return false;
-        }
-        
-        // Created date filter
-        if (applyCreatedFilter) {
-          const createdDate = parseDate(booking.timestamp, true);
-          if (createdDate && !isNaN(createdDate.getTime())) {
-            if (createdDate < createdDateStart || createdDate >= createdDateEnd) {
-              return false;
-            }
-          }
-        }
-        
-        // Appointment date filter
-        if (applyAppointmentFilter) {
-          const appointmentDate = parseDate(booking.date, false);
-          if (appointmentDate && !isNaN(appointmentDate.getTime())) {
-            if (appointmentDate < appointmentDateStart || appointmentDate > appointmentDateEnd) {
-              return false;
-            }
-          }
-        }
-        
-        // Search filter
-        if (searchLower) {
-          const searchMatch = (
-            booking.firstName.toLowerCase().includes(searchLower) ||
-            booking.lastName.toLowerCase().includes(searchLower) ||
-            booking.email.toLowerCase().includes(searchLower) ||
-            booking.phone.includes(search) ||
-            booking.agent.toLowerCase().includes(searchLower) ||
-            booking.treatment.toLowerCase().includes(searchLower) ||
-            booking.branch.toLowerCase().includes(searchLower)
-          );
-          if (!searchMatch) {
-            return false;
-          }
-        }
-        
-        return true;
+      // Filtering and sorting (sheet order is oldest first) happen in the repository
+      const filteredBookings = await bookingRepository.query({
+        branch,
+        status,
+        search,
+        createdRange: applyCreatedFilter ? { start: createdDateStart, end: createdDateEnd } : null,
+        appointmentRange: applyAppointmentFilter ? { start: appointmentDateStart, end: appointmentDateEnd } : null,
+        sortOrder,
+        useCache: true,
+        includeInactive,
+        branches: getBranchScope(req.user)
       });
 
-      // Sort bookings based on sortOrder
-      // Sheet is in chronological order (oldest first), so:
-      // - For 'newest': reverse the array (last row = most recent)
-      // - For 'oldest': keep as is (first row after header = oldest)
-      if (sortOrder === 'newest') {
-        filteredBookings.reverse();
-      }
-      // If sortOrder is 'oldest', array is already in correct order
-
       // Calculate pagination
       const total = filteredBookings.length;
       const totalPages = Math.ceil(total / limit);
@@ -461,56 +296,24 @@ class BookingController {
     }
   }
 
+  // Status registry: canonical statuses, their categories and allowed transitions
+  async getStatuses(req, res) {
+    res.json({ statuses: describeStatuses() });
+  }
+
   async getBookingById(req, res) {
     try {
       const { id } = req.params;
 
-      // Try both sheets
-      const newBookings = await sheetsService.readSheet('Intake');
-      const oldBookings = await sheetsService.readSheet('DB');
-
-      // Search in new bookings (has record_id in column AI - index 33)
-      const newBookingRow = newBookings.slice(1).find(row => row[33] === id);
-      
-      // Search in old bookings (has record_id in column AI - index 33)
-      const oldBookingRow = oldBookings.slice(1).find(row => row[33] === id);
+      const booking = await bookingRepository.findByRecordId(id);
 
-      if (!newBookingRow && !oldBookingRow) {
+      // Bookings outside the user's branches are reported as missing rather than forbidden
+      if (!booking || !canAccessBooking(req.user, booking)) {
         return res.status(404).json({ error: 'Booking not found' });
       }
 
-      const bookingRow = newBookingRow || oldBookingRow;
-
-      // Parse booking data matching DB/Intake sheet structure (37-44 columns)
-      const booking = {
-        recordId: bookingRow[33],      // AI: record_id
-        timestamp: bookingRow[0],      // A: Timestamp
-        branch: bookingRow[1],         // B: Branch
-        status: bookingRow[2],         // C: Booking Status
-        date: bookingRow[3],           // D: Date
-        firstName: bookingRow[4],      // E: First Name
-        lastName: bookingRow[5],       // F: Last Name
-        age: bookingRow[6],            // G: Age
-        gender: bookingRow[7],         // H: Gender
-        treatment: bookingRow[8],      // I: Promo/Treatment
-        area: bookingRow[9],           // J: Area
-        freebie: bookingRow[10],       // K: Freebie
-        companionTreatment: bookingRow[11], // L: Companion Promo/Treatment
-        totalPrice: bookingRow[12],    // M: Total Price
-        paymentMode: bookingRow[13],   // N: Mode of payment
-        phone: bookingRow[14],         // O: Phone
-        socialMedia: bookingRow[15],   // P: Facebook/Instagram
-        email: bookingRow[16],         // Q: Email
-        agent: bookingRow[17],         // R: Agent
-        bookingDetails: bookingRow[18], // S: Booking Details
-        adInteracted: bookingRow[19],  // T: Ad Interacted
-        companionFirstName: bookingRow[20],  // U: Companion First Name
-        companionLastName: bookingRow[21],   // V: Companion Last Name
-        companionAge: bookingRow[22],        // W: Companion Age
-        companionGender: bookingRow[23],     // X: Companion Gender
-        companionPhone: bookingRow[24]       // Y: Companion Phone
-      };
-
+      // Clients send this back as If-Match when updating
+      res.set('ETag', toETag(booking));
       return res.json({ booking });
     } catch (error) {
       console.error('Get booking error:', error);
@@ -520,214 +323,133 @@ class BookingController {
 
   async updateBooking(req, res) {
     try {
-      const { id: rowNumber } = req.params;
-      const bookingData = req.body;
+      const { id: recordId } = req.params; // record_id (UUID), stable across sheet row inserts/deletes
       const user = req.user; // Set by auth middleware
 
-      console.log('========== UPDATE BOOKING START ==========');
-      console.log('Updating booking at row number:', rowNumber);
-      console.log('User:', user?.name, 'Role:', user?.role);
-      console.log('Booking data:', JSON.stringify(bookingData, null, 2));
+      // Validate input (partial: only the supplied fields are changed)
+      const { error, value: bookingData } = updateBookingSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
 
-      // Read DB sheet to find the row
-      const dbRows = await sheetsService.readSheet('DB');
-      
-      console.log('Total rows in DB sheet:', dbRows.length);
-      console.log('Header row:', dbRows[0]);
+      // Optimistic concurrency: the client must say which version it edited
+      const ifMatch = req.headers['if-match'];
+      if (!ifMatch) {
+        return res.status(428).json({
+          error: 'If-Match header is required. Send the ETag returned by GET /api/bookings/:id',
+          code: 'PRECONDITION_REQUIRED'
+        });
+      }
 
-      if (!dbRows || dbRows.length < 2) {
-        console.error('No bookings found in DB sheet');
-        return res.status(404).json({ error: 'No bookings found' });
+      const expectedVersion = parseIfMatch(ifMatch);
+      if (expectedVersion === null) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
       }
 
-      // Convert rowNumber to 0-indexed position in dbRows array
-      // rowNumber from frontend = Google Sheet row number (1-indexed)
-      // dbRows[0] = header (Google Sheet row 1)
-      // dbRows[1] = first data (Google Sheet row 2)
-      // So dbRows index = rowNumber - 1
-      const dbRowIndex = parseInt(rowNumber) - 1;
-      
-      console.log('Calculated dbRowIndex:', dbRowIndex);
-      console.log('dbRows array length:', dbRows.length);
+      const existing = await bookingRepository.findByRecordId(recordId, { sheet: 'DB' });
+
+      if (!existing || existing.recordStatus === RECORD_STATUS.INACTIVE || !canAccessBooking(req.user, existing)) {
+        console.error(`Booking ${recordId} not found in DB sheet`);
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      if (bookingData.branch !== undefined && !isBranchInScope(getBranchScope(user), bookingData.branch)) {
+        return sendBranchOutOfScope(res, bookingData.branch);
+      }
 
-      if (dbRowIndex < 1 || dbRowIndex >= dbRows.length) {
-        console.error(`Row index ${dbRowIndex} out of bounds. Array length: ${dbRows.length}`);
-        return res.status(404).json({ 
-          error: `Booking not found. Row ${rowNumber} does not exist in database (total rows: ${dbRows.length})`
+      // Field-level access control: only block modifications to status or agent if values are changing
+      if (bookingData.status !== undefined && bookingData.status !== existing.status &&
+          !userCan(user, PERMISSIONS.BOOKINGS_UPDATE_STATUS)) {
+        console.warn(`⚠️ ${user?.role} ${user?.name} attempted to modify booking status from "${existing.status}" to "${bookingData.status}"`);
+        return res.status(403).json({
+          error: `${user?.role} users cannot modify booking status`,
+          code: 'RESTRICTED_FIELDS'
         });
       }
 
-      // Get the existing row
-      const existingRow = dbRows[dbRowIndex];
-      console.log('Existing row at index', dbRowIndex, ':', existingRow);
-
-      // Role-based access control: Only block modifications to status or agent if values are changing
-      if (user?.role !== 'Admin') {
-        // Check if status is being changed to a different value
-        if (bookingData.status !== undefined && bookingData.status !== existingRow[2]) {
-          console.warn(`⚠️ Agent ${user?.name} attempted to modify booking status from "${existingRow[2]}" to "${bookingData.status}"`);
-          return res.status(403).json({ 
-            error: 'Agents cannot modify booking status',
-            code: 'RESTRICTED_FIELDS'
-          });
-        }
-        
-        // Check if agent is being changed to a different value
-        if (bookingData.agent !== undefined && bookingData.agent !== existingRow[17]) {
-          console.warn(`⚠️ Agent ${user?.name} attempted to modify agent assignment from "${existingRow[17]}" to "${bookingData.agent}"`);
-          return res.status(403).json({ 
-            error: 'Agents cannot modify agent assignment',
-            code: 'RESTRICTED_FIELDS'
-          });
+      // Resending the current agent (full-form saves) is not a change
+      if (bookingData.agentId === existing.agentId) delete bookingData.agentId;
+      if (bookingData.agent === existing.agent) delete bookingData.agent;
+
+      if ((bookingData.agent !== undefined || bookingData.agentId !== undefined) &&
+          !userCan(user, PERMISSIONS.BOOKINGS_UPDATE_AGENT)) {
+        console.warn(`⚠️ ${user?.role} ${user?.name} attempted to modify agent assignment from "${existing.agent}" to "${bookingData.agentId || bookingData.agent}"`);
+        return res.status(403).json({
+          error: `${user?.role} users cannot modify agent assignment`,
+          code: 'RESTRICTED_FIELDS'
+        });
+      }
+
+      if (bookingData.agent !== undefined || bookingData.agentId !== undefined) {
+        const agentFields = await resolveAgentFields(bookingData, null);
+        if (!agentFields) {
+          return sendUnknownAgent(res, bookingData.agentId);
         }
+        Object.assign(bookingData, agentFields);
       }
 
-      // Log all existing columns
-      console.log('========== EXISTING ROW COLUMNS ==========');
-      const columnNames = [
-        '0: Timestamp',
-        '1: Branch',
-        '2: Booking Status',
-        '3: Date',
-        '4: First Name',
-        '5: Last Name',
-        '6: Age',
-        '7: Gender',
-        '8: Treatment',
-        '9: Area',
-        '10: Freebie',
-        '11: Companion Treatment',
-        '12: Total Price',
-        '13: Payment Mode',
-        '14: Phone',
-        '15: Social Media',
-        '16: Email',
-        '17: Agent',
-        '18: Booking Details',
-        '19: Ad Interacted',
-        '20: Companion First Name',
-        '21: Companion Last Name',
-        '22: Companion Age',
-        '23: Companion Gender',
-        '24: Companion Freebie',
-        '25: email_norm',
-        '26: phone_norm',
-        '27: social_norm',
-        '28: full_name_norm',
-        '29: companion_full_name_norm',
-        '30: promo_hunter_status',
-        '31: match_reason',
-        '32: matched_source',
-        '33: matched_row',
-        '34: record_id',
-        '35: record_status',
-        '36: last_checked_at',
-        '37: legacy_full_name',
-        '38: exclude_from_dashboards',
-        '39: dash_booking_created_at',
-        '40: dash_appointment_date',
-        '41: dash_branch',
-        '42: dash_booking_status',
-        '43: cancellation_time'
-      ];
-
-      existingRow.forEach((value, index) => {
-        console.log(`${columnNames[index]}: ${value}`);
-      });
+      // Status changes must follow the transitions in utils/bookingStatus.js
+      if (bookingData.status !== undefined && !canTransition(existing.status, bookingData.status)) {
+        return res.status(400).json({
+          error: `Cannot change status from "${existing.status}" to "${bookingData.status}"`,
+          code: 'INVALID_STATUS_TRANSITION'
+        });
+      }
 
-      // Prepare updated row for DB sheet (44 columns total, indices 0-43)
-      const timestamp = getCurrentTimestamp();
-      
-      // Handle dateTime - if provided, use it; otherwise preserve existing
-      const dateTimeValue = bookingData.dateTime || existingRow[3] || '';
-      
-      // Update normalized fields with safety checks
-      const emailNorm = (bookingData.email || '').toLowerCase();
-      const phoneNorm = (bookingData.phone || '').replace(/\D/g, '');
-      const socialNorm = (bookingData.socialMedia || '').toLowerCase();
-      const fullNameNorm = `${bookingData.firstName || ''} ${bookingData.lastName || ''}`.toLowerCase().trim();
-      const companionFullNameNorm = (bookingData.companionFirstName || '').trim() && (bookingData.companionLastName || '').trim()
-        ? `${bookingData.companionFirstName} ${bookingData.companionLastName}`.toLowerCase().trim()
-        : '';
-      
-      // Track cancellation time if status is being set to Cancelled
-      let cancellationTime = existingRow[43] || ''; // preserve existing cancellation_time
-      if (bookingData.status && bookingData.status.toLowerCase() === 'cancelled') {
-        cancellationTime = timestamp; // set cancellation time to now if cancelled
-        console.log('Setting cancellation_time to:', cancellationTime);
+      // Merge only the supplied fields; every other column of the row is preserved
+      const { dateTime, date, time, ...fields } = bookingData;
+      const changes = { ...fields };
+
+      if (dateTime || date) {
+        changes.date = dateTime || formatDateTime(date, time);
       }
-      
-      const updatedDbRow = [
-        timestamp,                              // 0: Timestamp (updated)
-        bookingData.branch,                     // 1: Branch
-        bookingData.status || 'Scheduled',      // 2: Booking Status
-        dateTimeValue,                          // 3: Date (updated or preserved)
-        bookingData.firstName,                  // 4: First Name
-        bookingData.lastName,                   // 5: Last Name
-        bookingData.age,                        // 6: Age
-        bookingData.gender,                     // 7: Gender
-        bookingData.treatment,                  // 8: Promo/Treatment
-        bookingData.area || '',                 // 9: Area
-        bookingData.freebie || '',              // 10: Freebie
-        bookingData.companionTreatment || '',   // 11: Companion Promo/Treatment
-        bookingData.totalPrice,                 // 12: Total Price
-        bookingData.paymentMode,                // 13: Mode of payment
-        bookingData.phone,                      // 14: Phone
-        bookingData.socialMedia || '',          // 15: Facebook / Instagram Name
-        bookingData.email || '',                // 16: Email
-        bookingData.agent,                      // 17: Agent
-        bookingData.bookingDetails || '',       // 18: Booking Details
-        bookingData.adInteracted || '',         // 19: Ad Interacted
-        bookingData.companionFirstName || '',   // 20: Companion First Name
-        bookingData.companionLastName || '',    // 21: Companion Last Name
-        bookingData.companionAge || '',         // 22: Companion Age
-        bookingData.companionGender || '',      // 23: Companion Gender
-        bookingData.companionFreebie || '',     // 24: Companion Freebie
-        emailNorm,                              // 25: email_norm (updated)
-        phoneNorm,                              // 26: phone_norm (updated)
-        socialNorm,                             // 27: social_norm (updated)
-        fullNameNorm,                           // 28: full_name_norm (updated)
-        companionFullNameNorm,                  // 29: companion_full_name_norm (updated)
-        existingRow[30] || '',                  // 30: promo_hunter_status (preserve)
-        existingRow[31] || '',                  // 31: match_reason (preserve)
-        existingRow[32] || '',                  // 32: matched_source (preserve)
-        existingRow[33] || '',                  // 33: matched_row (preserve)
-        existingRow[34] || '',                  // 34: record_id (preserve)
-        existingRow[35] || 'active',            // 35: record_status (preserve)
-        existingRow[36] || '',                  // 36: last_checked_at (preserve)
-        existingRow[37] || '',                  // 37: legacy_full_name (preserve)
-        existingRow[38] || '',                  // 38: exclude_from_dashboards (preserve)
-        existingRow[39] || '',                  // 39: dash_booking_created_at (preserve)
-        existingRow[40] || '',                  // 40: dash_appointment_date (preserve)
-        bookingData.branch,                     // 41: dash_branch (update to match)
-        bookingData.status || 'Scheduled',      // 42: dash_booking_status (update to match)
-        cancellationTime                        // 43: cancellation_time (track when cancelled)
-      ];
-
-      console.log('========== UPDATED ROW COLUMNS ==========');
-      updatedDbRow.forEach((value, index) => {
-        console.log(`${columnNames[index]}: ${value}`);
-      });
 
-      console.log('Updating row number:', parseInt(rowNumber));
-      // Update the row in DB sheet
-      await sheetsService.updateRow('DB', parseInt(rowNumber), updatedDbRow);
+      // Keep the dashboard mirror columns in step with their sources
+      if (changes.branch !== undefined) {
+        changes.dashBranch = changes.branch;
+      }
+      if (changes.status !== undefined) {
+        changes.dashBookingStatus = changes.status;
+
+        // Track cancellation time when the booking becomes Cancelled
+        if (isCancelled(changes.status) && !isCancelled(existing.status)) {
+          changes.cancellationTime = getCurrentTimestamp();
+        }
+      }
+
+      const updated = await bookingRepository.update(recordId, changes, { expectedVersion, actor: req.user });
+
+      // The row may have been removed from the sheet between the read and the write
+      if (!updated) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
 
-      // IMPORTANT: Clear the cache to reflect changes immediately
-      cache.del('old_bookings_all');
-      console.log('✅ Cache cleared - bookings will refresh immediately');
+      await auditService.record(req, {
+        action: 'booking.update',
+        entityType: 'booking',
+        entityId: recordId,
+        before: existing,
+        after: updated
+      });
 
-      console.log('========== UPDATE BOOKING SUCCESS ==========');
+      console.log(`✏️ Booking ${recordId} updated by ${user?.name}`);
+      res.set('ETag', toETag(updated));
       res.json({
         success: true,
         message: 'Booking updated successfully',
         data: bookingData,
-        rowNumber: parseInt(rowNumber),
-        cancellationTime: cancellationTime
+        booking: updated,
+        recordId,
+        version: updated.recordVersion,
+        cancellationTime: updated.cancellationTime
       });
 
 
     } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendVersionConflict(res, error);
+      }
+
       console.error('========== UPDATE BOOKING ERROR ==========');
       console.error('Error message:', error.message);
       console.error('Error stack:', error.stack);
@@ -735,8 +457,183 @@ class BookingController {
       res.status(500).json({ 
         error: 'Failed to update booking',
         details: error.message,
-        rowNumber: req.params.id
+        recordId: req.params.id
+      });
+    }
+  }
+
+  // Soft delete: the row is kept with record_status = inactive and hidden from lists and reports
+  async deleteBooking(req, res) {
+    try {
+      const { id: recordId } = req.params;
+
+      // If-Match is optional here, but honoured when sent
+      const expectedVersion = req.headers['if-match'] ? parseIfMatch(req.headers['if-match']) : undefined;
+      if (expectedVersion === null) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
+      }
+
+      const existing = await bookingRepository.findByRecordId(recordId, { sheet: 'DB' });
+      if (!existing || existing.recordStatus === RECORD_STATUS.INACTIVE || !canAccessBooking(req.user, existing)) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      const booking = await bookingRepository.softDelete(recordId, { expectedVersion, actor: req.user });
+      if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      await auditService.record(req, {
+        action: 'booking.delete',
+        entityType: 'booking',
+        entityId: recordId,
+        before: existing,
+        after: booking
+      });
+
+      console.log(`🗑️ Booking ${recordId} deleted by ${req.user?.name}`);
+      res.set('ETag', toETag(booking));
+      res.json({
+        success: true,
+        message: 'Booking deleted successfully',
+        booking
       });
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendVersionConflict(res, error);
+      }
+      console.error('Delete booking error:', error);
+      res.status(500).json({ error: 'Failed to delete booking' });
+    }
+  }
+
+  async restoreBooking(req, res) {
+    try {
+      const { id: recordId } = req.params;
+
+      const existing = await bookingRepository.findByRecordId(recordId, { sheet: 'DB' });
+      if (!existing || !canAccessBooking(req.user, existing)) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+      if (existing.recordStatus !== RECORD_STATUS.INACTIVE) {
+        return res.status(400).json({ error: 'Booking is not deleted' });
+      }
+
+      const booking = await bookingRepository.restore(recordId, { actor: req.user });
+
+      await auditService.record(req, {
+        action: 'booking.restore',
+        entityType: 'booking',
+        entityId: recordId,
+        before: existing,
+        after: booking
+      });
+
+      console.log(`♻️ Booking ${recordId} restored by ${req.user?.name}`);
+      res.set('ETag', toETag(booking));
+      res.json({
+        success: true,
+        message: 'Booking restored successfully',
+        booking
+      });
+    } catch (error) {
+      console.error('Restore booking error:', error);
+      res.status(500).json({ error: 'Failed to restore booking' });
+    }
+  }
+
+  // Version history, newest first; each version carries the field diff from the version before it
+  async getBookingHistory(req, res) {
+    try {
+      const { id: recordId } = req.params;
+
+      const history = await bookingRepository.getHistory(recordId);
+      if (!history || !canAccessBooking(req.user, history[history.length - 1].booking)) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      const versions = history.map((entry, index) => ({
+        ...entry,
+        changes: index > 0 ? auditService.diff(history[index - 1].booking, entry.booking) : null
+      }));
+
+      res.json({ recordId, versions: versions.reverse() });
+    } catch (error) {
+      console.error('Get booking history error:', error);
+      res.status(500).json({ error: 'Failed to fetch booking history' });
+    }
+  }
+
+  // Restore an earlier version. The revert is saved as a new version.
+  async revertBooking(req, res) {
+    try {
+      const { id: recordId } = req.params;
+      const version = parseInt(req.params.version);
+
+      if (isNaN(version) || version < 0) {
+        return res.status(400).json({ error: 'Invalid version' });
+      }
+
+      // If-Match is optional here, but honoured when sent
+      const expectedVersion = req.headers['if-match'] ? parseIfMatch(req.headers['if-match']) : undefined;
+      if (expectedVersion === null) {
+        return res.status(400).json({ error: 'Invalid If-Match header' });
+      }
+
+      const existing = await bookingRepository.findByRecordId(recordId, { sheet: 'DB' });
+      if (!existing || !canAccessBooking(req.user, existing)) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      const changes = await bookingRepository.getRevertChanges(recordId, version);
+      if (changes === false) {
+        return res.status(404).json({ error: `Version ${version} not found in booking history` });
+      }
+      if (!changes) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      // A revert is held to the same rules as an edit
+      if (changes.branch !== undefined && !isBranchInScope(getBranchScope(req.user), changes.branch)) {
+        return sendBranchOutOfScope(res, changes.branch);
+      }
+      if (changes.status !== undefined && !canTransition(existing.status, changes.status)) {
+        return res.status(400).json({
+          error: `Cannot change status from "${existing.status}" to "${changes.status}"`,
+          code: 'INVALID_STATUS_TRANSITION'
+        });
+      }
+
+      // Checked against the version read above, so apply only to that version
+      const booking = await bookingRepository.update(recordId, changes, {
+        expectedVersion: expectedVersion !== undefined ? expectedVersion : existing.recordVersion,
+        actor: req.user
+      });
+      if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+      }
+
+      await auditService.record(req, {
+        action: 'booking.revert',
+        entityType: 'booking',
+        entityId: recordId,
+        before: existing,
+        after: booking
+      });
+
+      console.log(`⏪ Booking ${recordId} reverted to version ${version} by ${req.user?.name}`);
+      res.set('ETag', toETag(booking));
+      res.json({
+        success: true,
+        message: `Booking reverted to version ${version}`,
+        booking
+      });
+    } catch (error) {
+      if (error instanceof VersionConflictError) {
+        return sendVersionConflict(res, error);
+      }
+      console.error('Revert booking error:', error);
+      res.status(500).json({ error: 'Failed to revert booking' });
     }
   }
 
@@ -746,10 +643,10 @@ class BookingController {
   // No caching is used to ensure always showing current day's information
   async getDailyReports(req, res) {
     try {
-      const dbRows = await sheetsService.readSheet('DB');
-      console.log(`📊 getDailyReports - Total DB rows: ${dbRows.length}`);
+      const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
+      console.log(`📊 getDailyReports - Total bookings: ${allBookings.length}`);
       
-      if (dbRows.length < 2) {
+      if (allBookings.length === 0) {
         console.log('⚠️ No data in DB sheet');
         return res.json({
           success: true,
@@ -764,7 +661,7 @@ class BookingController {
           }
         });
       }
-      
+
       // Calculate dates FRESH on each request to ensure daily updates
       const today = new Date();
       today.setHours(0, 0, 0, 0);
@@ -816,12 +713,14 @@ class BookingController {
         return cancelledDate && isToday(cancelledDate);
       };
 
-      // Branches list
+      // Branches list (limited to the user's branch scope)
+      const branchScope = getBranchScope(req.user);
       const branches = ['STA LUCIA', 'FELIZ', 'ESTANCIA', 'Spa', 'Clinic', 'Lab', 
                        'Dermatology', 'Wellness', 'Med Spa', 'Aesthetic', 'Hydro', 
                        'Hair Care', 'Anti-Aging', 'Mother Care', 'Other', 
                        'AI SKIN', 'CENTRIS', 'DNA MANILA', 'GENEVA', 'GLORIETTA', 'HERA',
-                       'LIONESSE', 'LUMIA', 'PARIS', 'SM NORTH', 'VENICE'];
+                       'LIONESSE', 'LUMIA', 'PARIS', 'SM NORTH', 'VENICE']
+        .filter(branch => isBranchInScope(branchScope, branch));
 
       // Initialize report objects
       const reports = {
@@ -852,23 +751,23 @@ class BookingController {
       // 6. TomorrowSummary: Scheduled TOMORROW + NOT cancelled (ignores when created)
       
       let processedCount = 0;
-      console.log(`🔄 Processing ${dbRows.length - 1} booking rows...`);
+      console.log(`🔄 Processing ${allBookings.length} booking rows...`);
       
-      for (let i = 1; i < dbRows.length; i++) {
-        const row = dbRows[i];
-        const timestamp = row[0];
-        const branch = row[1];
-        const status = (row[2] || '').toLowerCase();
-        const bookingDateStr = row[3];
-        const firstName = row[4];
-        const lastName = row[5];
-        const price = parsePrice(row[12]);
-        const cancellationTime = row[43];
+      for (let i = 0; i < allBookings.length; i++) {
+        const booking = allBookings[i];
+        const timestamp = booking.timestamp;
+        const branch = booking.branch;
+        const status = booking.status.toLowerCase();
+        const bookingDateStr = booking.date;
+        const firstName = booking.firstName;
+        const lastName = booking.lastName;
+        const price = booking.totalPrice;
+        const cancellationTime = booking.cancellationTime;
 
         // Parse booking date from formatted date column
         const bookingDate = parseBookingDate(bookingDateStr);
         if (!bookingDate) {
-          console.log(`⚠️ Row ${i}: Could not parse booking date: "${bookingDateStr}"`);
+          console.log(`⚠️ Row ${booking.rowNumber}: Could not parse booking date: "${bookingDateStr}"`);
           continue;
         }
 
@@ -877,14 +776,14 @@ class BookingController {
         const createdToday = createdDate && createdDate.getTime() === today.getTime();
         
         // Log first 3 rows and last 12 rows (our demo bookings start at row ~30231)
-        if (i <= 3 || i >= dbRows.length - 12) {
-          console.log(`📝 Row ${i}: ${firstName} ${lastName} | Created: ${createdDate?.toDateString()} (${createdToday ? '✓TODAY' : ''}) | Booking: ${bookingDate.toDateString()} | Status: ${status} | Branch: ${branch}`);
+        if (i < 3 || i >= allBookings.length - 12) {
+          console.log(`📝 Row ${booking.rowNumber}: ${firstName} ${lastName} | Created: ${createdDate?.toDateString()} (${createdToday ? '✓TODAY' : ''}) | Booking: ${bookingDate.toDateString()} | Status: ${status} | Branch: ${branch}`);
         }
         
         processedCount++;
 
         // Section 1: OTS Bookings (Created today + Scheduled for today)
-        if (createdToday && isToday(bookingDate) && !status.includes('cancel')) {
+        if (createdToday && isToday(bookingDate) && !isCancelled(status)) {
           reports.otsBookings.count++;
           reports.otsBookings.revenue += price;
           reports.otsBookings.total++;
@@ -895,7 +794,7 @@ class BookingController {
         }
 
         // Section 2: OVERALL Bookings (Created today + Scheduled for next 7 days, not today)
-        if (createdToday && isNext7Days(bookingDate) && !status.includes('cancel')) {
+        if (createdToday && isNext7Days(bookingDate) && !isCancelled(status)) {
           reports.overallBookings.count++;
           reports.overallBookings.revenue += price;
           reports.overallBookings.total++;
@@ -906,7 +805,7 @@ class BookingController {
         }
 
         // Section 3: Booked Tomorrow per Branch (Created today, scheduled for tomorrow)
-        if (createdToday && isTomorrow(bookingDate) && !status.includes('cancel')) {
+        if (createdToday && isTomorrow(bookingDate) && !isCancelled(status)) {
           if (reports.bookedTomorrow.byBranch[branch]) {
             reports.bookedTomorrow.byBranch[branch].count++;
             reports.bookedTomorrow.byBranch[branch].revenue += price;
@@ -914,7 +813,7 @@ class BookingController {
         }
 
         // Section 4: Booked Next 7 Days per Branch (Any bookings next 7 days)
-        if (isInNext7Days(bookingDate) && !status.includes('cancel')) {
+        if (isInNext7Days(bookingDate) && !isCancelled(status)) {
           if (reports.bookedNext7Days.byBranch[branch]) {
             reports.bookedNext7Days.byBranch[branch].count++;
             reports.bookedNext7Days.byBranch[branch].revenue += price;
@@ -922,7 +821,7 @@ class BookingController {
         }
 
         // Section 5: Cancellations per Branch (Created today + Cancelled today)
-        if (createdToday && status.includes('cancel') && isCancelledToday(cancellationTime)) {
+        if (createdToday && isCancelled(status) && isCancelledToday(cancellationTime)) {
           reports.cancellations.count++;
           reports.cancellations.revenue += price;
           reports.cancellations.total++;
@@ -933,7 +832,7 @@ class BookingController {
         }
 
         // Section 6: Overall Bookings Tomorrow (Scheduled for tomorrow, anytime)
-        if (isTomorrow(bookingDate) && !status.includes('cancel')) {
+        if (isTomorrow(bookingDate) && !isCancelled(status)) {
           reports.overallBookingsTomorrow.count++;
           reports.overallBookingsTomorrow.revenue += price;
           reports.overallBookingsTomorrow.total++;
@@ -964,7 +863,7 @@ class BookingController {
   // Get OTS detailed bookings (Created today + Scheduled today)
   async getOTSBookings(req, res) {
     try {
-      const dbRows = await sheetsService.readSheet('DB');
+      const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
       const today = new Date();
       today.setHours(0, 0, 0, 0);
 
@@ -990,28 +889,28 @@ class BookingController {
       const isToday = (date) => date && date.getTime() === today.getTime();
 
       const bookings = [];
-      for (let i = 1; i < dbRows.length; i++) {
-        const row = dbRows[i];
-        const timestamp = row[0];
-        const bookingDateStr = row[3];
-        const status = (row[2] || '').toLowerCase();
+      for (let i = 0; i < allBookings.length; i++) {
+        const booking = allBookings[i];
+        const timestamp = booking.timestamp;
+        const bookingDateStr = booking.date;
+        const status = booking.status.toLowerCase();
 
         const bookingDate = parseBookingDate(bookingDateStr);
         const createdDate = getDateFromTimestamp(timestamp);
         const createdToday = createdDate && createdDate.getTime() === today.getTime();
 
-        if (createdToday && isToday(bookingDate) && !status.includes('cancel')) {
+        if (createdToday && isToday(bookingDate) && !isCancelled(status)) {
           bookings.push({
-            firstName: row[4] || '',
-            lastName: row[5] || '',
-            branch: row[1] || '',
-            date: row[3] || '',
-            treatment: row[8] || '',
-            totalPrice: row[12] || 0,
-            status: row[2] || '',
-            phone: row[14] || '',
-            email: row[16] || '',
-            agent: row[17] || ''
+            firstName: booking.firstName,
+            lastName: booking.lastName,
+            branch: booking.branch,
+            date: booking.date,
+            treatment: booking.treatment,
+            totalPrice: booking.totalPrice,
+            status: booking.status,
+            phone: booking.phone,
+            email: booking.email,
+            agent: booking.agent
           });
         }
       }
@@ -1026,7 +925,7 @@ class BookingController {
   // Get Overall detailed bookings (Created today + Scheduled next 7 days)
   async getOverallBookings(req, res) {
     try {
-      const dbRows = await sheetsService.readSheet('DB');
+      const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       const tomorrow = new Date(today);
@@ -1056,28 +955,28 @@ class BookingController {
       const isNext7Days = (date) => date && date > today && date <= nextSevenDaysEnd;
 
       const bookings = [];
-      for (let i = 1; i < dbRows.length; i++) {
-        const row = dbRows[i];
-        const timestamp = row[0];
-        const bookingDateStr = row[3];
-        const status = (row[2] || '').toLowerCase();
+      for (let i = 0; i < allBookings.length; i++) {
+        const booking = allBookings[i];
+        const timestamp = booking.timestamp;
+        const bookingDateStr = booking.date;
+        const status = booking.status.toLowerCase();
 
         const bookingDate = parseBookingDate(bookingDateStr);
         const createdDate = getDateFromTimestamp(timestamp);
         const createdToday = createdDate && createdDate.getTime() === today.getTime();
 
-        if (createdToday && isNext7Days(bookingDate) && !status.includes('cancel')) {
+        if (createdToday && isNext7Days(bookingDate) && !isCancelled(status)) {
           bookings.push({
-            firstName: row[4] || '',
-            lastName: row[5] || '',
-            branch: row[1] || '',
-            date: row[3] || '',
-            treatment: row[8] || '',
-            totalPrice: row[12] || 0,
-            status: row[2] || '',
-            phone: row[14] || '',
-            email: row[16] || '',
-            agent: row[17] || ''
+            firstName: booking.firstName,
+            lastName: booking.lastName,
+            branch: booking.branch,
+            date: booking.date,
+            treatment: booking.treatment,
+            totalPrice: booking.totalPrice,
+            status: booking.status,
+            phone: booking.phone,
+            email: booking.email,
+            agent: booking.agent
           });
         }
       }
@@ -1092,7 +991,7 @@ class BookingController {
   // Get Tomorrow detailed bookings (Created today + Scheduled tomorrow)
   async getTomorrowBookings(req, res) {
     try {
-      const dbRows = await sheetsService.readSheet('DB');
+      const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       const tomorrow = new Date(today);
@@ -1120,28 +1019,28 @@ class BookingController {
       const isTomorrow = (date) => date && date.getTime() === tomorrow.getTime();
 
       const bookings = [];
-      for (let i = 1; i < dbRows.length; i++) {
-        const row = dbRows[i];
-        const timestamp = row[0];
-        const bookingDateStr = row[3];
-        const status = (row[2] || '').toLowerCase();
+      for (let i = 0; i < allBookings.length; i++) {
+        const booking = allBookings[i];
+        const timestamp = booking.timestamp;
+        const bookingDateStr = booking.date;
+        const status = booking.status.toLowerCase();
 
         const bookingDate = parseBookingDate(bookingDateStr);
         const createdDate = getDateFromTimestamp(timestamp);
         const createdToday = createdDate && createdDate.getTime() === today.getTime();
 
-        if (createdToday && isTomorrow(bookingDate) && !status.includes('cancel')) {
+        if (createdToday && isTomorrow(bookingDate) && !isCancelled(status)) {
           bookings.push({
-            firstName: row[4] || '',
-            lastName: row[5] || '',
-            branch: row[1] || '',
-            date: row[3] || '',
-            treatment: row[8] || '',
-            totalPrice: row[12] || 0,
-            status: row[2] || '',
-            phone: row[14] || '',
-            email: row[16] || '',
-            agent: row[17] || ''
+            firstName: booking.firstName,
+            lastName: booking.lastName,
+            branch: booking.branch,
+            date: booking.date,
+            treatment: booking.treatment,
+            totalPrice: booking.totalPrice,
+            status: booking.status,
+            phone: booking.phone,
+            email: booking.email,
+            agent: booking.agent
           });
         }
       }
@@ -1156,7 +1055,7 @@ class BookingController {
   // Get Next 7 Days detailed bookings
   async getNext7DaysBookings(req, res) {
     try {
-      const dbRows = await sheetsService.readSheet('DB');
+      const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       const nextSevenDaysEnd = new Date(today);
@@ -1184,25 +1083,25 @@ class BookingController {
       const isInNext7Days = (date) => date && date >= today && date <= nextSevenDaysEnd;
 
       const bookings = [];
-      for (let i = 1; i < dbRows.length; i++) {
-        const row = dbRows[i];
-        const bookingDateStr = row[3];
-        const status = (row[2] || '').toLowerCase();
+      for (let i = 0; i < allBookings.length; i++) {
+        const booking = allBookings[i];
+        const bookingDateStr = booking.date;
+        const status = booking.status.toLowerCase();
 
         const bookingDate = parseBookingDate(bookingDateStr);
 
-        if (isInNext7Days(bookingDate) && !status.includes('cancel')) {
+        if (isInNext7Days(bookingDate) && !isCancelled(status)) {
           bookings.push({
-            firstName: row[4] || '',
-            lastName: row[5] || '',
-            branch: row[1] || '',
-            date: row[3] || '',
-            treatment: row[8] || '',
-            totalPrice: row[12] || 0,
-            status: row[2] || '',
-            phone: row[14] || '',
-            email: row[16] || '',
-            agent: row[17] || ''
+            firstName: booking.firstName,
+            lastName: booking.lastName,
+            branch: booking.branch,
+            date: booking.date,
+            treatment: booking.treatment,
+            totalPrice: booking.totalPrice,
+            status: booking.status,
+            phone: booking.phone,
+            email: booking.email,
+            agent: booking.agent
           });
         }
       }
@@ -1217,7 +1116,7 @@ class BookingController {
   // Get Cancellations detailed bookings (Created today + Cancelled today)
   async getCancellations(req, res) {
     try {
-      const dbRows = await sheetsService.readSheet('DB');
+      const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
       const today = new Date();
       today.setHours(0, 0, 0, 0);
 
@@ -1238,27 +1137,27 @@ class BookingController {
       };
 
       const bookings = [];
-      for (let i = 1; i < dbRows.length; i++) {
-        const row = dbRows[i];
-        const timestamp = row[0];
-        const status = (row[2] || '').toLowerCase();
-        const cancellationTime = row[43];
+      for (let i = 0; i < allBookings.length; i++) {
+        const booking = allBookings[i];
+        const timestamp = booking.timestamp;
+        const status = booking.status.toLowerCase();
+        const cancellationTime = booking.cancellationTime;
 
         const createdDate = getDateFromTimestamp(timestamp);
         const createdToday = createdDate && createdDate.getTime() === today.getTime();
 
-        if (createdToday && status.includes('cancel') && isCancelledToday(cancellationTime)) {
+        if (createdToday && isCancelled(status) && isCancelledToday(cancellationTime)) {
           bookings.push({
-            firstName: row[4] || '',
-            lastName: row[5] || '',
-            branch: row[1] || '',
-            date: row[3] || '',
-            treatment: row[8] || '',
-            totalPrice: row[12] || 0,
-            status: row[2] || '',
-            phone: row[14] || '',
-            email: row[16] || '',
-            agent: row[17] || ''
+            firstName: booking.firstName,
+            lastName: booking.lastName,
+            branch: booking.branch,
+            date: booking.date,
+            treatment: booking.treatment,
+            totalPrice: booking.totalPrice,
+            status: booking.status,
+            phone: booking.phone,
+            email: booking.email,
+            agent: booking.agent
           });
         }
       }
@@ -1273,7 +1172,7 @@ class BookingController {
   // Get Tomorrow Summary detailed bookings (Scheduled tomorrow, any creation date)
   async getTomorrowSummary(req, res) {
     try {
-      const dbRows = await sheetsService.readSheet('DB');
+      const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       const tomorrow = new Date(today);
@@ -1301,25 +1200,25 @@ class BookingController {
       const isTomorrow = (date) => date && date.getTime() === tomorrow.getTime();
 
       const bookings = [];
-      for (let i = 1; i < dbRows.length; i++) {
-        const row = dbRows[i];
-        const bookingDateStr = row[3];
-        const status = (row[2] || '').toLowerCase();
+      for (let i = 0; i < allBookings.length; i++) {
+        const booking = allBookings[i];
+        const bookingDateStr = booking.date;
+        const status = booking.status.toLowerCase();
 
         const bookingDate = parseBookingDate(bookingDateStr);
 
-        if (isTomorrow(bookingDate) && !status.includes('cancel')) {
+        if (isTomorrow(bookingDate) && !isCancelled(status)) {
           bookings.push({
-            firstName: row[4] || '',
-            lastName: row[5] || '',
-            branch: row[1] || '',
-            date: row[3] || '',
-            treatment: row[8] || '',
-            totalPrice: row[12] || 0,
-            status: row[2] || '',
-            phone: row[14] || '',
-            email: row[16] || '',
-            agent: row[17] || ''
+            firstName: booking.firstName,
+            lastName: booking.lastName,
+            branch: booking.branch,
+            date: booking.date,
+            treatment: booking.treatment,
+            totalPrice: booking.totalPrice,
+            status: booking.status,
+            phone: booking.phone,
+            email: booking.email,
+            agent: booking.agent
           });
         }
       }
@@ -1332,125 +1231,118 @@ class BookingController {
   }
 }
 
-// Helper function to check for promo hunter by matching name, email, phone, social media, or companion name
-async function checkPromoHunter(firstName, lastName, email, phone, socialMedia, companionFirstName, companionLastName) {
-  try {
-    const dbRows = await sheetsService.readSheet('DB');
-    
-    if (dbRows.length < 2) {
-      return {
-        status: 'Scheduled',
-        matchReason: '',
-        matchedSource: '',
-        matchedRow: ''
-      };
-    }
+// Format date and time to match "Feb 25 2026 12:00 AM" format
+// dateStr is in format "YYYY-MM-DD" (from date input), timeStr is in format "HH:MM" (from time input)
+function formatDateTime(dateStr, timeStr) {
+  const [year, month, day] = dateStr.split('-');
+  const [hours, minutes] = timeStr ? timeStr.split(':') : ['00', '00'];
+  
+  const date = new Date(year, parseInt(month) - 1, day, hours, minutes);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const monthName = months[date.getMonth()];
+  const dayNum = date.getDate();
+  const yearNum = date.getFullYear();
+  const displayHours = parseInt(hours) % 12 || 12;
+  const minutesStr = minutes.toString().padStart(2, '0');
+  const ampm = parseInt(hours) >= 12 ? 'PM' : 'AM';
+  
+  return `${monthName} ${dayNum} ${yearNum} ${displayHours}:${minutesStr} ${ampm}`;
+}
 
-    const fullName = `${firstName} ${lastName}`.toLowerCase().trim();
-    const normalizedEmail = (email || '').toLowerCase().trim();
-    const normalizedPhone = (phone || '').replace(/\D/g, '').trim(); // Remove non-digits
-    const normalizedSocialMedia = (socialMedia || '').toLowerCase().trim();
-    const companionFullName = companionFirstName && companionLastName 
-      ? `${companionFirstName} ${companionLastName}`.toLowerCase().trim() 
-      : '';
-
-    // Check existing bookings (skip header row)
-    const matches = [];
-    const bookings = dbRows.slice(1);
-
-    for (let i = 0; i < bookings.length; i++) {
-      const row = bookings[i];
-      const rowNumber = i + 2; // +2 because we skip header and array is 0-indexed
-      
-      const existingFirstName = (row[4] || '').toLowerCase().trim();
-      const existingLastName = (row[5] || '').toLowerCase().trim();
-      const existingEmail = (row[16] || '').toLowerCase().trim();
-      const existingPhone = (row[14] || '').replace(/\D/g, '').trim();
-      const existingSocialMedia = (row[15] || '').toLowerCase().trim();
-      const existingCompanionFirstName = (row[20] || '').toLowerCase().trim();
-      const existingCompanionLastName = (row[21] || '').toLowerCase().trim();
-
-      const existingFullName = `${existingFirstName} ${existingLastName}`.trim();
-      const existingCompanionFullName = existingCompanionFirstName && existingCompanionLastName
-        ? `${existingCompanionFirstName} ${existingCompanionLastName}`.trim()
-        : '';
-
-      let matchReason = '';
-      let matchedAs = '';
-
-      // Match by customer name
-      if (existingFullName && fullName && existingFullName === fullName) {
-        matchReason = 'Customer Name Match';
-        matchedAs = 'customer';
-      }
-      // Match by email
-      else if (normalizedEmail && existingEmail && existingEmail === normalizedEmail) {
-        matchReason = 'Email Match';
-        matchedAs = 'customer';
-      }
-      // Match by phone
-      else if (normalizedPhone && existingPhone && existingPhone === normalizedPhone) {
-        matchReason = 'Phone Match';
-        matchedAs = 'customer';
-      }
-      // Match by social media (Facebook / Instagram Name)
-      else if (normalizedSocialMedia && existingSocialMedia && existingSocialMedia === normalizedSocialMedia) {
-        matchReason = 'Social Media Match';
-        matchedAs = 'customer';
-      }
-      // Match by companion name (current customer was a companion before)
-      else if (companionFullName && existingCompanionFullName && existingCompanionFullName === companionFullName) {
-        matchReason = 'Previously Companion';
-        matchedAs = 'companion';
-      }
-      // Match if current companion matches previous customer
-      else if (companionFullName && existingFullName && existingFullName === companionFullName) {
-        matchReason = 'Companion Match (was customer)';
-        matchedAs = 'companion';
-      }
+// ETag for a booking version, e.g. "3"
+function toETag(booking) {
+  return `"${booking.recordVersion || 0}"`;
+}
 
-      if (matchReason) {
-        matches.push({
-          rowNumber,
-          reason: matchReason,
-          source: matchedAs,
-          date: row[3] || '',
-          branch: row[1] || ''
-        });
-      }
-    }
+// If-Match header -> expected version (undefined for "*", null when malformed)
+function parseIfMatch(header) {
+  const value = header.trim();
+  if (value === '*') return undefined;
 
-    // Classify based on number of previous bookings
-    let status = '';
-    if (matches.length === 0) {
-      status = 'Scheduled'; // New customer
-    } else {
-      status = 'Promo hunter'; // Has previous booking(s)
-    }
+  const match = value.match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? parseInt(match[1]) : null;
+}
 
-    // Return detailed match information from FIRST match only (most recent booking)
-    if (matches.length > 0) {
-      const firstMatch = matches[0];
-      
-      return {
-        status,
-        matchReason: firstMatch.reason,
-        matchedSource: `${firstMatch.source} (${firstMatch.branch})`,
-        matchedRow: `Row ${firstMatch.rowNumber}`,
-        matchCount: matches.length
-      };
-    }
+// Stale write: return the current server copy so the UI can show a merge prompt
+function sendVersionConflict(res, error) {
+  console.warn(`⚠️ Version conflict: ${error.message}`);
+  res.set('ETag', toETag(error.current));
+  return res.status(409).json({
+    error: 'Booking was modified by someone else. Review the latest version and try again.',
+    code: 'VERSION_CONFLICT',
+    current: error.current
+  });
+}
+
+// True when the booking's branch is within the user's branch scope (utils/branchScope.js)
+function canAccessBooking(user, booking) {
+  return isBranchInScope(getBranchScope(user), booking.branch);
+}
+
+function sendBranchOutOfScope(res, branch) {
+  return res.status(403).json({
+    error: `You do not have access to branch "${branch}"`,
+    code: 'BRANCH_OUT_OF_SCOPE'
+  });
+}
+
+/**
+ * { agentId, agent } to store on a booking. An agentId must belong to an active account and takes
+ * that account's name; a legacy agent name is linked when it resolves (see services/agent.service.js)
+ * and kept unlinked otherwise; with neither the booking belongs to defaultUser (an API key only lends its name).
+ * Returns null when the agentId is unknown or disabled.
+ */
+async function resolveAgentFields({ agentId, agent }, defaultUser) {
+  if (!agentId && !agent) {
+    // Bookings sent by an integration (API key) have no agent account; the key's name shows instead
+    return defaultUser.apiKeyId
+      ? { agentId: '', agent: defaultUser.name }
+      : { agentId: defaultUser.userId, agent: defaultUser.name };
+  }
+
+  const directory = await agentService.getDirectory();
+
+  if (agentId) {
+    const account = directory.account(agentId);
+    return account && !account.disabled ? { agentId, agent: account.name } : null;
+  }
+
+  const account = directory.resolve(agent);
+  return account ? { agentId: account.userId, agent: account.name } : { agentId: '', agent };
+}
+
+function sendUnknownAgent(res, agentId) {
+  return res.status(400).json({
+    error: `Unknown or disabled agent "${agentId}"`,
+    code: 'UNKNOWN_AGENT'
+  });
+}
 
-    return {
-      status,
-      matchReason: '',
-      matchedSource: '',
-      matchedRow: '',
-      matchCount: 0
-    };
+/**
+ * Promo hunter check for a new booking: scores it against previous bookings (see services/promoHunter.service.js)
+ * and returns the status plus every match with its reasons.
+ * A failed check never blocks the booking - it is saved as "Unknown" for review instead.
+ */
+async function checkPromoHunter(bookingData) {
+  try {
+    return await promoHunterService.check(bookingData);
   } catch (error) {
     console.error('[Promo Hunter Check] Error:', error);
-    return 'Unknown';
+    return promoHunterService.uncheckedResult();
+  }
+}
+
+/**
+ * { customerId, companionCustomerId } of a new booking's customer profiles (see services/customer.service.js).
+ * Like the promo hunter check this never blocks the booking: on failure it is saved unlinked
+ * and picked up by the next link-booking-customers run.
+ */
+async function assignCustomers(bookingData) {
+  try {
+    return await customerService.assignBooking(bookingData);
+  } catch (error) {
+    console.error('[Customer Registry] Error:', error);
+    return {};
   }
 }
 
@@ -0,0 +1,223 @@
+const Joi = require('joi');
+const customerService = require('../services/customer.service');
+const auditService = require('../services/audit.service');
+const { getBranchScope } = require('../utils/branchScope');
+const { CustomerMergeError, MERGE_FIELDS } = customerService;
+
+// Validation schemas
+const linkSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+const mergeSchema = Joi.object({
+  targetId: Joi.string().required(), // canonical profile the others are merged into
+  mergeIds: Joi.array().items(Joi.string().invalid(Joi.ref('...targetId'))).min(1).unique().required(),
+  // field -> customerId whose value survives (defaults to the target's)
+  fields: Joi.object(Object.fromEntries(MERGE_FIELDS.map(field => [field, Joi.string()]))).default({})
+});
+
+const SORT_FIELDS = ['lastBookingAt', 'lifetimeSpend', 'bookingCount', 'visitCount', 'name'];
+
+// The mergeable fields of a profile, as flat values for the audit diff
+const mergeFieldsOf = (profile) => Object.fromEntries(MERGE_FIELDS.map(field => [field, profile[field]]));
+
+class CustomerController {
+  /**
+   * Customer profiles with their totals, most recent booking first unless ?sortBy says otherwise.
+   * ?search narrows the list like GET /search.
+   */
+  async getCustomers(req, res) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const search = req.query.search || '';
+      const sortBy = req.query.sortBy || 'lastBookingAt';
+      if (!SORT_FIELDS.includes(sortBy)) {
+        return res.status(400).json({ error: `sortBy must be one of ${SORT_FIELDS.join(', ')}` });
+      }
+
+      const branches = getBranchScope(req.user);
+      let customers;
+      if (search) {
+        customers = await customerService.search(search, { branches, limit: Infinity });
+      } else {
+        customers = await customerService.getCustomers({ branches });
+        customers.sort((a, b) => {
+          if (sortBy === 'name') {
+            return `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`);
+          }
+          if (sortBy === 'lastBookingAt') {
+            return String(b.lastBookingAt || '').localeCompare(String(a.lastBookingAt || ''));
+          }
+          return b[sortBy] - a[sortBy];
+        });
+      }
+
+      // Calculate pagination
+      const total = customers.length;
+      const totalPages = Math.ceil(total / limit);
+      const startIndex = (page - 1) * limit;
+
+      res.json({
+        success: true,
+        customers: customers.slice(startIndex, startIndex + limit),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages
+        }
+      });
+    } catch (error) {
+      console.error('Get customers error:', error);
+      res.status(500).json({ error: 'Failed to fetch customers' });
+    }
+  }
+
+  /**
+   * Find a customer by email, phone (any format), social handle or name (?q=, best match first)
+   */
+  async searchCustomers(req, res) {
+    try {
+      const q = String(req.query.q || '').trim();
+      if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const customers = await customerService.search(q, { branches: getBranchScope(req.user), limit });
+
+      res.json({
+        success: true,
+        customers
+      });
+    } catch (error) {
+      console.error('Search customers error:', error);
+      res.status(500).json({ error: 'Failed to search customers' });
+    }
+  }
+
+  // One profile with its lifetime spend, visit count and full booking history
+  async getCustomer(req, res) {
+    try {
+      const customer = await customerService.getCustomer(req.params.id, { branches: getBranchScope(req.user) });
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      res.json({
+        success: true,
+        customer
+      });
+    } catch (error) {
+      console.error('Get customer error:', error);
+      res.status(500).json({ error: 'Failed to fetch customer' });
+    }
+  }
+
+  /**
+   * Link existing bookings to customer profiles, creating profiles as needed.
+   * With dryRun only reports how many bookings and profiles it would touch.
+   */
+  async linkBookings(req, res) {
+    try {
+      const { error, value } = linkSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const result = await customerService.linkBookings(value);
+
+      if (!value.dryRun) {
+        await auditService.record(req, {
+          action: 'booking.link_customers',
+          entityType: 'booking',
+          entityId: '*',
+          after: { linkedDB: result.DB, linkedIntake: result.Intake, customersCreated: result.customersCreated }
+        });
+      }
+
+      res.json({
+        success: true,
+        dryRun: value.dryRun,
+        ...result
+      });
+    } catch (error) {
+      console.error('Link booking customers error:', error);
+      res.status(500).json({ error: 'Failed to link booking customers' });
+    }
+  }
+
+  // Proposed groups of duplicate profiles (see customerService.findDuplicates)
+  async getDuplicates(req, res) {
+    try {
+      const groups = await customerService.findDuplicates();
+
+      res.json({
+        success: true,
+        groups
+      });
+    } catch (error) {
+      console.error('Get duplicate customers error:', error);
+      res.status(500).json({ error: 'Failed to find duplicate customers' });
+    }
+  }
+
+  /**
+   * Merge duplicate profiles into one, keeping the chosen contact fields;
+   * their bookings move to the merged profile
+   */
+  async mergeCustomers(req, res) {
+    try {
+      const { error, value } = mergeSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message });
+      }
+
+      const { targetId, mergeIds, fields } = value;
+      const group = [targetId, ...mergeIds];
+      const stray = Object.entries(fields).find(([, customerId]) => !group.includes(customerId));
+      if (stray) {
+        return res.status(400).json({ error: `fields.${stray[0]} must be one of the merged customers` });
+      }
+
+      const result = await customerService.merge(targetId, mergeIds, fields);
+      if (!result) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      await auditService.record(req, {
+        action: 'customer.merge',
+        entityType: 'customer',
+        entityId: targetId,
+        before: mergeFieldsOf(result.before[0]),
+        after: {
+          ...mergeFieldsOf(result.customer),
+          mergedIds: result.mergedIds.join(', '),
+          // The merged profiles as they were; their own details are otherwise only kept in the Customers sheet
+          mergedProfiles: JSON.stringify(result.before.slice(1)),
+          bookingsUpdatedDB: result.DB,
+          bookingsUpdatedIntake: result.Intake
+        }
+      });
+
+      console.log(`🔗 ${mergeIds.length} customer profile(s) merged into ${targetId} by ${req.user?.name}`);
+
+      res.json({
+        success: true,
+        message: 'Customers merged successfully',
+        customer: await customerService.getCustomer(targetId),
+        mergedIds: result.mergedIds,
+        bookingsUpdated: { DB: result.DB, Intake: result.Intake }
+      });
+    } catch (error) {
+      if (error instanceof CustomerMergeError) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Merge customers error:', error);
+      res.status(500).json({ error: 'Failed to merge customers' });
+    }
+  }
+}
+
+module.exports = new CustomerController();
@@ -1,4 +1,7 @@
-const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+const agentService = require('../services/agent.service');
+const { BOOKING_STATUS, resolveStatus, isSale, isCancelled } = require('../utils/bookingStatus');
+const { getBranchScope } = require('../utils/branchScope');
 
 /**
  * Get dashboard overview data
@@ -8,9 +11,9 @@ const sheetsService = require('../services/sheets.service');
 async function getDashboardOverview(req, res) {
   try {
     // Read from Intake sheet (today's bookings)
-    const intakeRows = await sheetsService.readSheet('Intake');
+    const allBookings = await bookingRepository.findAll({ sheet: 'Intake', branches: getBranchScope(req.user) });
     
-    if (intakeRows.length < 2) {
+    if (allBookings.length === 0) {
       return res.json({
         success: true,
         data: {
@@ -23,50 +26,6 @@ async function getDashboardOverview(req, res) {
       });
     }
 
-    // Parse all bookings
-    const allBookings = intakeRows.slice(1).map((row, idx) => {
-      // Parse price - remove peso sign and any non-numeric characters except decimal point
-      let price = row[15] || '0';
-      if (typeof price === 'string') {
-        price = price.replace(/[^0-9.]/g, '');
-      }
-      const parsedPrice = parseFloat(price) || 0;
-      
-      return {
-        recordId: row[34] || '',
-        timestamp: row[0] || '',
-        adInteracted: row[1] || '',
-        branch: row[2] || '',
-        status: row[3] || '',
-        firstName: row[4] || '',
-        lastName: row[5] || '',
-        age: parseInt(row[6]) || 0,
-        phone: row[7] || '',
-        socialMedia: row[8] || '',
-        email: row[9] || '',
-        treatment: row[10] || '',
-        area: row[11] || '',
-        freebie: row[12] || '',
-        date: row[13] || '',
-        paymentMode: row[14] || '',
-        totalPrice: parsedPrice,
-        gender: row[16] || '',
-        companionFirstName: row[17] || '',
-        companionLastName: row[18] || '',
-        companionAge: row[19] || '',
-        companionFreebie: row[20] || '',
-        companionTreatment: row[21] || '',
-        companionGender: row[22] || '',
-        companionPhone: row[25] || '',
-        bookingDetails: row[23] || '',
-        agent: row[24] || '',
-        promoHunterStatus: row[30] || '',
-        matchReason: row[31] || '',
-        matchedSource: row[32] || '',
-        matchedRow: row[33] || ''
-      };
-    });
-
     // Get today's date (start of day)
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -117,7 +76,7 @@ async function getDashboardOverview(req, res) {
     const avgBookingValue = todayStats.bookings > 0 ? todayStats.revenue / todayStats.bookings : 0;
     const yesterdayAvgValue = yesterdayStats.bookings > 0 ? yesterdayStats.revenue / yesterdayStats.bookings : 0;
     
-    const completedToday = todayBookings.filter(b => b.status?.toLowerCase().includes('completed') || b.status?.toLowerCase().includes('bought')).length;
+    const completedToday = todayBookings.filter(b => isSale(b.status)).length;
     const conversionRate = todayStats.bookings > 0 ? (completedToday / todayStats.bookings * 100) : 0;
 
     // Calculate percentage changes
@@ -133,6 +92,7 @@ async function getDashboardOverview(req, res) {
     const branchStats = {};
     const agentStats = {};
     const treatmentStats = {};
+    const agentDirectory = await agentService.getDirectory();
 
     todayBookings.forEach(b => {
       // Branch performance
@@ -143,12 +103,13 @@ async function getDashboardOverview(req, res) {
       branchStats[b.branch].revenue += b.totalPrice;
 
       // Agent performance
-      if (b.agent) {
-        if (!agentStats[b.agent]) {
-          agentStats[b.agent] = { name: b.agent, bookings: 0, revenue: 0 };
+      if (b.agent || b.agentId) {
+        const { key, userId, name } = agentDirectory.identify(b);
+        if (!agentStats[key]) {
+          agentStats[key] = { userId, name, bookings: 0, revenue: 0 };
         }
-        agentStats[b.agent].bookings++;
-        agentStats[b.agent].revenue += b.totalPrice;
+        agentStats[key].bookings++;
+        agentStats[key].revenue += b.totalPrice;
       }
 
       // Treatment popularity
@@ -177,8 +138,9 @@ async function getDashboardOverview(req, res) {
     // Alerts & Notifications
     const highValueThreshold = 50000; // ₱50,000
     const highValueBookings = todayBookings.filter(b => b.totalPrice >= highValueThreshold);
-    const cancelledBookings = todayBookings.filter(b => b.status?.toLowerCase().includes('cancelled') || b.status?.toLowerCase().includes('refund'));
-    const newCustomers = todayBookings.filter(b => b.status?.toLowerCase().includes('new'));
+    const cancelledBookings = todayBookings.filter(b => isCancelled(b.status));
+    // Bookings that passed the promo hunter check keep the Scheduled status (new customer)
+    const newCustomers = todayBookings.filter(b => resolveStatus(b.status) === BOOKING_STATUS.SCHEDULED);
 
     const alerts = {
       highValue: highValueBookings.map(b => ({
@@ -193,7 +155,7 @@ async function getDashboardOverview(req, res) {
         branch: b.branch,
         reason: b.bookingDetails
       })),
-      promoHunters: todayBookings.filter(b => b.status?.toLowerCase().includes('promo hunter')).length,
+      promoHunters: todayBookings.filter(b => resolveStatus(b.status) === BOOKING_STATUS.PROMO_HUNTER).length,
       newCustomers: newCustomers.length
     };
 
@@ -369,33 +331,15 @@ async function getBookingTrend(req, res) {
     const days = parseInt(req.query.days) || 20;
 
     // Read from DB Sheet (master bookings)
-    const dbRows = await sheetsService.readSheet('DB');
+    // Uses the Date column (appointment date)
+    const allBookings = await bookingRepository.findAll({ branches: getBranchScope(req.user) });
     
-    if (dbRows.length < 2) {
+    if (allBookings.length === 0) {
       return res.json({
         success: true,
         data: { dates: [], bookings: [] }
       });
     }
-
-
-    const headers = dbRows[0];
-    const mostRecentRow = dbRows[dbRows.length - 1]; // Last row = most recent
-    
-    for (let i = 0; i < Math.min(headers.length, mostRecentRow.length); i++) {
-      const header = headers[i] || `Column ${i}`;
-      const value = mostRecentRow[i] || '';
-      console.log(`[${i.toString().padStart(2, '0')}] ${header.padEnd(30)} | "${value}"`);
-    }
-
-
-    // Parse all bookings - using Date column (appointment date)
-    const allBookings = dbRows.slice(1).map((row, idx) => {
-      const appointmentDate = row[3] || ''; // Date column at index 3
-      return {
-        date: appointmentDate
-      };
-    });
     
     console.log(`Total bookings in DB: ${allBookings.length}`);
 
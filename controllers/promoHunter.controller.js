@@ -0,0 +1,160 @@
+const Joi = require('joi');
+const promoHunterService = require('../services/promoHunter.service');
+const auditService = require('../services/audit.service');
+const bookingRepository = require('../repositories/booking.repository');
+const { getBranchScope, isBranchInScope } = require('../utils/branchScope');
+const { PromoReviewError, PROMO_REVIEW } = promoHunterService;
+
+const QUEUE_STATUSES = ['pending', ...Object.values(PROMO_REVIEW), 'all'];
+
+// Validation schemas
+const confirmSchema = Joi.object({
+  note: Joi.string().trim().max(500).allow('').default('')
+});
+
+// A dismissal feeds the allow-list, so it has to say why
+const dismissSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(500).required()
+});
+
+/**
+ * Shared by confirmFlag and dismissFlag
+ */
+async function reviewFlag(req, res, decision, schema) {
+  try {
+    const { error, value } = schema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const recordId = req.params.id;
+    const existing = await bookingRepository.findByRecordId(recordId, { sheet: 'DB' });
+
+    // Bookings outside the user's branches are reported as missing rather than forbidden
+    if (!existing || !isBranchInScope(getBranchScope(req.user), existing.branch)) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const result = await promoHunterService.review(recordId, { decision, note: value.note }, req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    await auditService.record(req, {
+      action: decision === PROMO_REVIEW.DISMISSED ? 'booking.promo_dismiss' : 'booking.promo_confirm',
+      entityType: 'booking',
+      entityId: recordId,
+      before: result.before,
+      after: result.booking
+    });
+
+    console.log(`🕵️ Promo hunter flag on ${recordId} ${decision} by ${req.user?.name}`);
+
+    res.json({
+      success: true,
+      message: `Promo hunter flag ${decision}`,
+      allowListed: result.allowListed,
+      booking: result.booking
+    });
+  } catch (error) {
+    if (error instanceof PromoReviewError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Review promo hunter flag error:', error);
+    res.status(500).json({ error: 'Failed to review promo hunter flag' });
+  }
+}
+
+class PromoHunterController {
+  /**
+   * Flagged bookings with their match evidence (match_reason, matched_source, matched_row),
+   * pending review unless ?status says otherwise
+   */
+  async getReviewQueue(req, res) {
+    try {
+      const status = req.query.status || 'pending';
+      if (!QUEUE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of ${QUEUE_STATUSES.join(', ')}` });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const bookings = await promoHunterService.getReviewQueue({ status, branches: getBranchScope(req.user) });
+
+      // Calculate pagination
+      const total = bookings.length;
+      const totalPages = Math.ceil(total / limit);
+      const startIndex = (page - 1) * limit;
+
+      res.json({
+        success: true,
+        status,
+        bookings: bookings.slice(startIndex, startIndex + limit),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages
+        }
+      });
+    } catch (error) {
+      console.error('Get promo hunter review queue error:', error);
+      res.status(500).json({ error: 'Failed to fetch promo hunter review queue' });
+    }
+  }
+
+  async confirmFlag(req, res) {
+    return reviewFlag(req, res, PROMO_REVIEW.CONFIRMED, confirmSchema);
+  }
+
+  // Also allow-lists the matched pairs so they are not flagged again
+  async dismissFlag(req, res) {
+    return reviewFlag(req, res, PROMO_REVIEW.DISMISSED, dismissSchema);
+  }
+
+  async getAllowList(req, res) {
+    try {
+      const entries = await promoHunterService.readAllowList();
+
+      res.json({
+        success: true,
+        entries: entries
+          .map(({ rowNumber, ...entry }) => entry)
+          .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      });
+    } catch (error) {
+      console.error('Get promo hunter allow-list error:', error);
+      res.status(500).json({ error: 'Failed to fetch promo hunter allow-list' });
+    }
+  }
+
+  // The pair can be flagged again; the dismissed booking itself is left as reviewed
+  async deleteAllowListEntry(req, res) {
+    try {
+      const { allowId } = req.params;
+
+      const entry = await promoHunterService.removeAllowListEntry(allowId);
+      if (!entry) {
+        return res.status(404).json({ error: 'Allow-list entry not found' });
+      }
+
+      const { rowNumber, ...before } = entry;
+      await auditService.record(req, {
+        action: 'promo_allow_list.delete',
+        entityType: 'promo_allow_list',
+        entityId: allowId,
+        before
+      });
+
+      res.json({
+        success: true,
+        message: 'Allow-list entry deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete promo hunter allow-list entry error:', error);
+      res.status(500).json({ error: 'Failed to delete allow-list entry' });
+    }
+  }
+}
+
+module.exports = new PromoHunterController();
@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const { parseTrustProxy } = require('./utils/clientIp');
 
 // Import routes
 const authRoutes = require('./routes/auth.routes');
@@ -11,10 +12,19 @@ const bookingRoutes = require('./routes/booking.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const healthRoutes = require('./routes/health.routes');
+const auditRoutes = require('./routes/audit.routes');
+const agentRoutes = require('./routes/agent.routes');
+const apiKeyRoutes = require('./routes/apiKey.routes');
+const promoHunterRoutes = require('./routes/promoHunter.routes');
+const customerRoutes = require('./routes/customer.routes');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Behind a load balancer or reverse proxy, TRUST_PROXY lets req.ip come from X-Forwarded-For
+// (login lockouts, rate limiting, sessions and the audit log all key on it)
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 
@@ -27,7 +37,8 @@ app.use(cors({
     if (allowedOrigins.indexOf(origin) !== -1) return callback(null, true);
     return callback(new Error('CORS policy: origin not allowed'), false);
   },
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag'] // booking version token for If-Match on updates
 }));
 
 // Rate limiting
@@ -46,6 +57,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/agents', agentRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/promo-hunters', promoHunterRoutes);
+app.use('/api/customers', customerRoutes);
 
 // Health check routes
 app.use('/health', healthRoutes);
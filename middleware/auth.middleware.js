@@ -1,8 +1,19 @@
 const jwt = require('jsonwebtoken');
 const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+const apiKeyService = require('../services/apiKey.service');
+const { parseBranches } = require('../utils/branchScope');
+const { clientIp } = require('../utils/clientIp');
 
 const authMiddleware = async (req, res, next) => {
   try {
+    // Integrations authenticate with an API key instead of a user token
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      req.user = await apiKeyService.authenticate(apiKey, clientIp(req));
+      return next();
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
     
@@ -14,30 +25,58 @@ const authMiddleware = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // 2FA login challenges are signed with the same secret but are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
     
     // Fetch user data from Users sheet to get name and role
     const users = await sheetsService.readSheet('Users');
-    const userRow = users.find(row => row[0] === decoded.userId && row[1] === decoded.email);
+    const schema = schemaService.fromHeaders('Users', users[0]);
+    const userRow = users.slice(1).find(row =>
+      schema.get(row, 'userId') === decoded.userId && schema.get(row, 'email') === decoded.email
+    );
     
     if (!userRow) {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // Attach user info to request
-    // Column structure: userId, email, name, password_hash, role, created_at, last_login
+    // Deactivated accounts keep their row but cannot use the API
+    if (schema.get(userRow, 'disabledAt')) {
+      return res.status(401).json({ error: 'Account is disabled', code: 'ACCOUNT_DISABLED' });
+    }
+
+    // Password changes, role changes and "log out everywhere" bump token_version
+    if ((decoded.tokenVersion || 0) !== (parseInt(schema.get(userRow, 'tokenVersion')) || 0)) {
+      return res.status(401).json({ error: 'Token revoked', code: 'TOKEN_REVOKED' });
+    }
+
+    // Attach user info to request (columns resolved from the Users header row)
     req.user = {
-      userId: userRow[0],
-      email: userRow[1],
-      name: userRow[2],
-      role: userRow[4]
+      userId: schema.get(userRow, 'userId'),
+      email: schema.get(userRow, 'email'),
+      name: schema.get(userRow, 'name'),
+      role: schema.get(userRow, 'role'),
+      branches: parseBranches(schema.get(userRow, 'branches'))
     };
 
     next();
   } catch (error) {
+    if (error.name === 'ApiKeyError') {
+      return res.status(401).json({ error: error.message, code: 'INVALID_API_KEY' });
+    }
+
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
     }
-    
+
+    // A broken Users sheet layout is a server problem, not a bad token
+    if (error.name === 'SchemaError') {
+      console.error('Auth middleware error:', error.message);
+      return res.status(500).json({ error: 'Users sheet layout is invalid' });
+    }
+
     return res.status(401).json({ error: 'Invalid token' });
   }
 };
@@ -0,0 +1,22 @@
+const { userCan } = require('../utils/permissions');
+
+/**
+ * Route guard: the authenticated user's role (or the API key's scopes) must grant every listed permission.
+ * Use after authMiddleware, e.g. router.delete('/:id', requirePermission('bookings:delete'), handler)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const role = req.user?.apiKeyId ? 'API key' : req.user?.role;
+  const missing = permissions.filter(permission => !userCan(req.user, permission));
+
+  if (missing.length > 0) {
+    console.warn(`⚠️ ${req.user?.name || 'Unknown user'} (${role || 'no role'}) denied ${req.method} ${req.originalUrl}: missing ${missing.join(', ')}`);
+    return res.status(403).json({
+      error: `Access denied. Missing permission: ${missing.join(', ')}`,
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,690 @@
+const NodeCache = require('node-cache');
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+const { parseDateString, parsePrice, getCurrentTimestamp } = require('../utils/dataParser');
+const { isBranchInScope } = require('../utils/branchScope');
+const { normalizeEmail, normalizePhone, normalizeSocial, normalizeFullName } = require('../utils/identity');
+const IdentityIndex = require('./identityIndex');
+
+// Cache with 5 minute TTL
+const CACHE_TTL_SECONDS = 300;
+const cache = new NodeCache({ stdTTL: CACHE_TTL_SECONDS });
+
+// Sheets that hold booking rows: DB is the master record, Intake mirrors today's new bookings
+const BOOKING_SHEETS = ['DB', 'Intake'];
+
+// record_status values
+const RECORD_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive'
+};
+
+// Fields a revert never restores from a history snapshot (see getRevertChanges)
+const REVERT_EXCLUDED_FIELDS = [
+  'recordId', 'recordStatus', 'recordVersion',
+  // The agent assignment is changed only through an edit, which checks the permission and that the account is active
+  'agent', 'agentId',
+  // Profile links are kept by customer linking and merges; an old snapshot may point at a merged-away profile
+  'customerId', 'companionCustomerId',
+  // The promo hunter flag and its review are set by detection and promoHunterService.review, never by a revert
+  'promoHunterStatus', 'promoReview', 'promoReviewNote', 'promoReviewedAt', 'promoReviewedById', 'promoReviewedByName'
+];
+
+// Normalized column -> the booking fields it is derived from
+const NORMALIZED_SOURCES = {
+  emailNorm: ['email'],
+  phoneNorm: ['phone'],
+  socialNorm: ['socialMedia'],
+  fullNameNorm: ['firstName', 'lastName'],
+  companionFullNameNorm: ['companionFirstName', 'companionLastName']
+};
+
+/**
+ * Thrown by update() when the caller edited an older version of the booking.
+ * Carries the current server copy so the client can offer a merge.
+ */
+class VersionConflictError extends Error {
+  constructor(current) {
+    super(`Booking ${current.recordId} was modified (now at version ${current.recordVersion})`);
+    this.name = 'VersionConflictError';
+    this.current = current;
+  }
+}
+
+/**
+ * Single point of access for booking rows.
+ * Owns parsing (row -> booking object), normalization of identity columns and
+ * serialization (booking object -> row) so controllers only deal in booking objects.
+ */
+class BookingRepository {
+  constructor() {
+    // Writes run one at a time so a version check and its write never interleave with another update
+    this.writeQueue = Promise.resolve();
+
+    // DB bookings by identity key, kept up to date by create() and update() (see getIdentityIndex)
+    this.identityIndex = null;
+    this.identityIndexBuild = null;
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Normalized identity columns used for promo hunter matching (phones in E.164, names canonical; see utils/identity.js)
+   */
+  normalize(booking) {
+    return {
+      emailNorm: normalizeEmail(booking.email),
+      phoneNorm: normalizePhone(booking.phone),
+      socialNorm: normalizeSocial(booking.socialMedia),
+      fullNameNorm: normalizeFullName(booking.firstName, booking.lastName),
+      companionFullNameNorm: normalizeFullName(booking.companionFirstName, booking.companionLastName)
+    };
+  }
+
+  /**
+   * Row -> booking object. Every column known to the sheet schema is exposed,
+   * with age, price and version parsed to numbers (legacy rows without a version are version 0).
+   */
+  toBooking(row, schema, rowNumber) {
+    const raw = schema.toObject(row);
+    const booking = {
+      ...raw,
+      rowNumber,
+      age: parseInt(raw.age) || 0,
+      totalPrice: parsePrice(raw.totalPrice)
+    };
+
+    if (schema.columns.recordVersion) {
+      booking.recordVersion = parseInt(raw.recordVersion) || 0;
+    }
+
+    return booking;
+  }
+
+  /**
+   * Booking object -> { columnKey: cellValue } with normalized columns recomputed.
+   * Only keys present on the booking are emitted, so the result can be merged onto an existing row.
+   */
+  serialize(booking) {
+    const columns = {};
+    Object.entries(booking).forEach(([key, value]) => {
+      if (key !== 'rowNumber' && value !== undefined) {
+        columns[key] = value;
+      }
+    });
+
+    return { ...columns, ...this.normalize(booking) };
+  }
+
+  async readAll(sheetName) {
+    const rows = await sheetsService.readSheet(sheetName);
+    if (rows.length < 2) {
+      return [];
+    }
+
+    const schema = schemaService.fromHeaders(sheetName, rows[0]);
+    return rows.slice(1).map((row, index) => this.toBooking(row, schema, index + 2));
+  }
+
+  /**
+   * True for soft-deleted rows and rows flagged exclude_from_dashboards (TRUE / yes / 1 / x)
+   */
+  isHidden(booking) {
+    const excluded = String(booking.excludeFromDashboards || '').trim().toLowerCase();
+    return String(booking.recordStatus || '').trim().toLowerCase() === RECORD_STATUS.INACTIVE ||
+      ['true', 'yes', '1', 'x'].includes(excluded);
+  }
+
+  /**
+   * All bookings in sheet order (row 2 is oldest, last row is newest).
+   * Options:
+   *  - sheet: 'DB' (default) or 'Intake'
+   *  - useCache: serve from the 5 minute cache instead of re-reading the sheet
+   *  - includeInactive: also return soft-deleted and excluded rows (hidden by default)
+   *  - branches: only return bookings of these branches (a branch scope from utils/branchScope.js; null for all)
+   */
+  async findAll({ sheet = 'DB', useCache = false, includeInactive = false, branches = null } = {}) {
+    if (!BOOKING_SHEETS.includes(sheet)) {
+      throw new Error(`Unknown booking sheet "${sheet}"`);
+    }
+
+    const cacheKey = `bookings_${sheet}`;
+    let bookings = useCache ? cache.get(cacheKey) : undefined;
+
+    if (!bookings) {
+      bookings = await this.readAll(sheet);
+      cache.set(cacheKey, bookings);
+    }
+
+    return bookings.filter(booking =>
+      (includeInactive || !this.isHidden(booking)) && isBranchInScope(branches, booking.branch)
+    );
+  }
+
+  /**
+   * Find a booking by its record_id (UUID). The DB sheet is the master copy;
+   * Intake is only checked for rows that never made it to DB.
+   * Soft-deleted bookings are returned too (check recordStatus). Pass { sheet } to look in one sheet only
+   * and { useCache } to look in the cached read (see findAll).
+   */
+  async findByRecordId(recordId, { sheet, useCache = false } = {}) {
+    if (!recordId) return null;
+
+    for (const sheetName of sheet ? [sheet] : BOOKING_SHEETS) {
+      const bookings = await this.findAll({ sheet: sheetName, useCache, includeInactive: true });
+      const booking = bookings.find(b => b.recordId === recordId);
+      if (booking) return booking;
+    }
+
+    return null;
+  }
+
+  /**
+   * Filter and sort bookings from the DB sheet.
+   * Filters (all optional):
+   *  - branch, status: exact match ('All' or empty disables)
+   *  - search: matches name, email, phone, agent, treatment or branch
+   *  - createdRange: { start, end } on the booking timestamp (end exclusive)
+   *  - appointmentRange: { start, end } on the appointment date (end inclusive)
+   *  - sortOrder: 'newest' (default) or 'oldest'
+   *  - useCache, includeInactive, branches: see findAll
+   */
+  async query(filters = {}) {
+    const {
+      branch,
+      status,
+      search,
+      createdRange,
+      appointmentRange,
+      sortOrder = 'newest',
+      useCache = false,
+      includeInactive = false,
+      branches = null
+    } = filters;
+
+    const allBookings = await this.findAll({ useCache, includeInactive, branches });
+    const searchLower = search ? search.toLowerCase() : null;
+
+    // Helper function to safely parse dates
+    const parseDate = (dateStr) => {
+      if (!dateStr) return null;
+      try {
+        const parsed = parseDateString(dateStr);
+        return parsed && !isNaN(parsed.getTime()) ? parsed : null;
+      } catch {
+        return null;
+      }
+    };
+
+    // Single-pass filtering for performance
+    const filtered = allBookings.filter(booking => {
+      // Branch filter
+      if (branch && branch !== 'All' && booking.branch !== branch) {
+        return false;
+      }
+
+      // Status filter
+      if (status && status !== 'All' && booking.status !== status) {
+        return false;
+      }
+
+      // Created date filter
+      if (createdRange) {
+        const createdDate = parseDate(booking.timestamp);
+        if (createdDate && (createdDate < createdRange.start || createdDate >= createdRange.end)) {
+          return false;
+        }
+      }
+
+      // Appointment date filter
+      if (appointmentRange) {
+        const appointmentDate = parseDate(booking.date);
+        if (appointmentDate && (appointmentDate < appointmentRange.start || appointmentDate > appointmentRange.end)) {
+          return false;
+        }
+      }
+
+      // Search filter
+      if (searchLower) {
+        const searchMatch = (
+          booking.firstName.toLowerCase().includes(searchLower) ||
+          booking.lastName.toLowerCase().includes(searchLower) ||
+          booking.email.toLowerCase().includes(searchLower) ||
+          booking.phone.includes(search) ||
+          booking.agent.toLowerCase().includes(searchLower) ||
+          booking.treatment.toLowerCase().includes(searchLower) ||
+          booking.branch.toLowerCase().includes(searchLower)
+        );
+        if (!searchMatch) {
+          return false;
+        }
+      }
+
+      return true;
+    });
+
+    // Sheet is in chronological order (oldest first), so 'newest' reverses it
+    if (sortOrder === 'newest') {
+      filtered.reverse();
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Append a new booking to both the Intake and DB sheets.
+   * The caller supplies the booking fields (including promo hunter results);
+   * record_id, timestamps, normalized columns and dashboard columns are filled in here.
+   * dbOverrides lets the DB copy differ from Intake (e.g. its status column).
+   */
+  async create(booking, dbOverrides = {}) {
+    return this.withWriteLock(async () => {
+      const timestamp = booking.timestamp || getCurrentTimestamp();
+      const record = {
+        ...booking,
+        timestamp,
+        recordStatus: booking.recordStatus || RECORD_STATUS.ACTIVE,
+        lastCheckedAt: timestamp
+      };
+
+      const intakeSchema = await schemaService.ensureSchema('Intake');
+      await sheetsService.appendRow('Intake', intakeSchema.toRow(this.serialize(record)));
+
+      const dbRecord = {
+        ...record,
+        legacyFullName: '',
+        excludeFromDashboards: '',
+        dashBookingCreatedAt: timestamp,
+        dashAppointmentDate: record.date,
+        dashBranch: record.branch,
+        dashBookingStatus: record.status,
+        cancellationTime: '', // empty for new bookings
+        recordVersion: 1,
+        ...dbOverrides
+      };
+
+      const dbSchema = await schemaService.ensureSchema('DB');
+      const dbRow = dbSchema.toRow(this.serialize(dbRecord));
+      const appended = await sheetsService.appendRow('DB', dbRow);
+
+      this.invalidate();
+      this.indexAppended(dbRow, dbSchema, appended);
+      return { ...dbRecord, totalPrice: parsePrice(dbRecord.totalPrice) };
+    });
+  }
+
+  /**
+   * Merge changes into the DB row holding recordId and bump its record_version.
+   * The row is located fresh on every write, so rows inserted or deleted in the sheet
+   * never redirect an edit to another booking. Columns not present in changes are preserved;
+   * a normalized column is recomputed only when one of its source fields actually changes.
+   * The previous version is snapshotted to the BookingHistory sheet first (see getHistory/revert).
+   * Options:
+   *  - expectedVersion: record_version the caller last saw; throws VersionConflictError if the row has moved on
+   *  - actor: { userId, name } of the user making the change, stored with the snapshot
+   * Returns the updated booking, or null if no row has that record_id.
+   */
+  async update(recordId, changes, { expectedVersion, actor } = {}) {
+    if (!recordId) return null;
+
+    return this.withWriteLock(async () => {
+      await schemaService.ensureSchema('DB');
+
+      const located = await this.locate('DB', recordId);
+      if (!located) return null;
+
+      const { schema, row: existingRow, rowNumber } = located;
+      const current = this.toBooking(existingRow, schema, rowNumber);
+
+      if (expectedVersion !== undefined && expectedVersion !== current.recordVersion) {
+        throw new VersionConflictError(current);
+      }
+
+      const existing = schema.toObject(existingRow);
+      await this.saveSnapshot(existing, current.recordVersion, actor);
+
+      const normalized = this.normalize({ ...existing, ...changes });
+      const columns = {};
+
+      Object.entries(changes).forEach(([key, value]) => {
+        if (key !== 'rowNumber' && value !== undefined) {
+          columns[key] = value;
+        }
+      });
+
+      Object.entries(NORMALIZED_SOURCES).forEach(([normKey, sources]) => {
+        const sourceChanged = sources.some(source =>
+          changes[source] !== undefined && String(changes[source]) !== String(existing[source])
+        );
+        if (sourceChanged) {
+          columns[normKey] = normalized[normKey];
+        }
+      });
+
+      columns.recordId = recordId;
+      columns.recordVersion = current.recordVersion + 1;
+
+      const updatedRow = schema.toRow(columns, existingRow);
+      await sheetsService.updateRow('DB', rowNumber, updatedRow);
+
+      const updated = this.toBooking(updatedRow, schema, rowNumber);
+      this.invalidate();
+      if (this.identityIndex) {
+        this.identityIndex.add(updated);
+      }
+      return updated;
+    });
+  }
+
+  /**
+   * Find the row holding recordId in a booking sheet, read fresh (never cached).
+   * Returns { schema, row, rowNumber } or null.
+   */
+  async locate(sheetName, recordId) {
+    const rows = await sheetsService.readSheet(sheetName);
+    if (rows.length < 2) return null;
+
+    const schema = schemaService.fromHeaders(sheetName, rows[0]);
+    const rowIndex = rows.findIndex((row, index) => index > 0 && schema.get(row, 'recordId') === recordId);
+
+    return rowIndex < 1 ? null : { schema, row: rows[rowIndex], rowNumber: rowIndex + 1 };
+  }
+
+  /**
+   * Append the row as it was at version to the BookingHistory sheet
+   */
+  async saveSnapshot(booking, version, actor = {}) {
+    const schema = await schemaService.ensureSchema('BookingHistory');
+
+    await sheetsService.appendRow('BookingHistory', schema.toRow({
+      historyId: uuidv4(),
+      recordId: booking.recordId,
+      recordVersion: version,
+      snapshot: JSON.stringify({ ...booking, recordVersion: version }),
+      replacedAt: new Date().toISOString(),
+      replacedById: actor?.userId || '',
+      replacedByName: actor?.name || ''
+    }));
+  }
+
+  /**
+   * Every stored version of a booking, oldest first: the snapshots from BookingHistory
+   * followed by the current DB row. Each entry is { version, booking, replacedAt, replacedBy, current }.
+   * Returns null if no DB row has that record_id.
+   */
+  async getHistory(recordId) {
+    const located = await this.locate('DB', recordId);
+    if (!located) return null;
+
+    const current = located.schema.toObject(located.row);
+    const schema = await schemaService.getSchema('BookingHistory');
+    const rows = await sheetsService.readSheet('BookingHistory');
+
+    const versions = rows.slice(1)
+      .map(row => schema.toObject(row))
+      .filter(entry => entry.recordId === recordId)
+      .map(entry => {
+        let snapshot = {};
+        try {
+          snapshot = JSON.parse(entry.snapshot || '{}');
+        } catch {
+          console.error(`⚠️ Unreadable history snapshot ${entry.historyId} for booking ${recordId}`);
+        }
+        return {
+          version: parseInt(entry.recordVersion) || 0,
+          booking: snapshot,
+          replacedAt: entry.replacedAt,
+          replacedBy: { userId: entry.replacedById, name: entry.replacedByName },
+          current: false
+        };
+      });
+
+    const currentVersion = parseInt(current.recordVersion) || 0;
+    versions.push({
+      version: currentVersion,
+      booking: { ...current, recordVersion: currentVersion },
+      replacedAt: '',
+      replacedBy: null,
+      current: true
+    });
+
+    return versions.sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Changes that restore the booking fields of an earlier version. Applying them is an ordinary
+   * update(), so it bumps record_version and the replaced state is itself kept in the history;
+   * the caller checks them (status transition, branch scope) first.
+   * The fields in REVERT_EXCLUDED_FIELDS are never reverted.
+   * Returns the changes, null if the booking does not exist, or false if that version is unknown.
+   */
+  async getRevertChanges(recordId, version) {
+    const history = await this.getHistory(recordId);
+    if (!history) return null;
+
+    const target = history.find(entry => entry.version === version && !entry.current);
+    if (!target) return false;
+
+    const changes = { ...target.booking };
+    REVERT_EXCLUDED_FIELDS.forEach(field => delete changes[field]);
+    return changes;
+  }
+
+  /**
+   * Soft delete: mark the booking inactive in DB (and its Intake copy, if any).
+   * The row stays in the sheet and can be brought back with restore().
+   * Returns the updated DB booking, or null if no row has that record_id.
+   */
+  async softDelete(recordId, options = {}) {
+    return this.setRecordStatus(recordId, RECORD_STATUS.INACTIVE, options);
+  }
+
+  async restore(recordId, options = {}) {
+    return this.setRecordStatus(recordId, RECORD_STATUS.ACTIVE, options);
+  }
+
+  async setRecordStatus(recordId, recordStatus, options) {
+    const updated = await this.update(recordId, { recordStatus }, options);
+    if (!updated) return null;
+
+    // Intake mirrors today's bookings for the dashboard - keep its copy in step
+    await this.updateIntakeCopy(recordId, { recordStatus });
+
+    return updated;
+  }
+
+  /**
+   * Write changes to the Intake copy of a booking, if it has one. Intake is only a mirror,
+   * so there is no version check or history; DB changes go through update().
+   */
+  async updateIntakeCopy(recordId, changes) {
+    return this.withWriteLock(async () => {
+      const located = await this.locate('Intake', recordId);
+      if (!located) return false;
+
+      const { schema, row, rowNumber } = located;
+      await sheetsService.updateRow('Intake', rowNumber, schema.toRow(changes, row));
+      this.invalidate();
+      return true;
+    });
+  }
+
+  /**
+   * Assign a record_id to every legacy booking row that has none.
+   * Blank rows are skipped. Returns the number of rows updated per sheet.
+   */
+  async backfillRecordIds() {
+    return this.withWriteLock(async () => {
+      const result = {};
+
+      for (const sheetName of BOOKING_SHEETS) {
+        const rows = await sheetsService.readSheet(sheetName);
+        const updates = [];
+
+        if (rows.length > 1) {
+          const schema = schemaService.fromHeaders(sheetName, rows[0]);
+          rows.forEach((row, index) => {
+            if (index === 0 || schema.get(row, 'recordId') || row.every(cell => !cell)) return;
+            updates.push({ rowIndex: index + 1, values: schema.set([...row], 'recordId', uuidv4()) });
+          });
+        }
+
+        await sheetsService.updateRows(sheetName, updates);
+        result[sheetName] = updates.length;
+      }
+
+      this.invalidate();
+      this.identityIndex = null; // entries are keyed by record_id, so rebuild with the new ones
+      return result;
+    });
+  }
+
+  /**
+   * Link legacy bookings to agent accounts: every row with an Agent name but no agent_id gets the
+   * userId resolveAgent(name) returns (null leaves the row alone). The Agent text itself is kept.
+   * With dryRun nothing is written.
+   * Returns per sheet { linked, unmatched } plus unmatchedNames: { name: rowCount } across both sheets.
+   */
+  async backfillAgentIds(resolveAgent, { dryRun = false } = {}) {
+    return this.withWriteLock(async () => {
+      const result = { unmatchedNames: {} };
+
+      for (const sheetName of BOOKING_SHEETS) {
+        const schema = dryRun ? await schemaService.getSchema(sheetName) : await schemaService.ensureSchema(sheetName);
+        const rows = await sheetsService.readSheet(sheetName);
+        const updates = [];
+        let unmatched = 0;
+
+        rows.forEach((row, index) => {
+          const agent = String(schema.get(row, 'agent') || '').trim();
+          if (index === 0 || !agent || schema.get(row, 'agentId')) return;
+
+          const userId = resolveAgent(agent);
+          if (userId) {
+            updates.push({ rowIndex: index + 1, values: schema.toRow({ agentId: userId }, row) });
+          } else {
+            unmatched++;
+            result.unmatchedNames[agent] = (result.unmatchedNames[agent] || 0) + 1;
+          }
+        });
+
+        if (!dryRun) {
+          await sheetsService.updateRows(sheetName, updates);
+        }
+        result[sheetName] = { linked: updates.length, unmatched };
+      }
+
+      if (!dryRun) {
+        this.invalidate();
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Point bookings at customer profiles. assignments maps record_id -> { customerId, companionCustomerId }
+   * (either may be left out); rows of both sheets are updated where a value differs.
+   * Does not bump record_version - the link is bookkeeping, not an edit of the booking.
+   * Returns the number of rows updated per sheet.
+   */
+  async assignCustomerIds(assignments) {
+    return this.withWriteLock(async () => {
+      const result = {};
+
+      for (const sheetName of BOOKING_SHEETS) {
+        const schema = await schemaService.ensureSchema(sheetName);
+        const rows = await sheetsService.readSheet(sheetName);
+        const updates = [];
+
+        rows.forEach((row, index) => {
+          const assignment = index > 0 && assignments.get(schema.get(row, 'recordId'));
+          if (!assignment) return;
+
+          const changes = {};
+          ['customerId', 'companionCustomerId'].forEach(key => {
+            if (assignment[key] !== undefined && assignment[key] !== schema.get(row, key)) {
+              changes[key] = assignment[key];
+            }
+          });
+          if (Object.keys(changes).length === 0) return;
+
+          const values = schema.toRow(changes, row);
+          updates.push({ rowIndex: index + 1, values });
+          if (sheetName === 'DB' && this.identityIndex) {
+            this.identityIndex.add(this.toBooking(values, schema, index + 1));
+          }
+        });
+
+        await sheetsService.updateRows(sheetName, updates);
+        result[sheetName] = updates.length;
+      }
+
+      this.invalidate();
+      return result;
+    });
+  }
+
+  /**
+   * Identity index of the DB sheet (repositories/identityIndex.js). Built on first use and rebuilt
+   * once it is as old as the read cache, which also picks up rows edited directly in the spreadsheet;
+   * in between, create() and update() keep it current. Builds are queued with the writes, so
+   * no write can land between reading the sheet and indexing it.
+   */
+  async getIdentityIndex() {
+    if (this.identityIndex && Date.now() - this.identityIndex.builtAt < CACHE_TTL_SECONDS * 1000) {
+      return this.identityIndex;
+    }
+
+    if (!this.identityIndexBuild) {
+      this.identityIndexBuild = this.withWriteLock(async () => {
+        const index = new IdentityIndex(await this.readAll('DB'));
+        console.log(`🗂️ Identity index built (${index.size} bookings)`);
+        this.identityIndex = index;
+        return index;
+      }).finally(() => {
+        this.identityIndexBuild = null;
+      });
+    }
+
+    return this.identityIndexBuild;
+  }
+
+  /**
+   * Visible DB bookings that share an email, phone, social handle or name key with the booking's
+   * customer or companion - the only ones a promo hunter check needs to score
+   */
+  async findIdentityCandidates(booking) {
+    const index = await this.getIdentityIndex();
+    return index.candidates(booking).filter(candidate => !this.isHidden(candidate));
+  }
+
+  // Add a freshly appended DB row to the identity index; its row number comes from the append response
+  indexAppended(row, schema, appendResponse) {
+    if (!this.identityIndex) return;
+
+    const range = appendResponse?.updates?.updatedRange || '';
+    const match = range.match(/![A-Z]+(\d+)/);
+    if (!match) {
+      this.identityIndex = null; // position unknown - rebuild on next use
+      return;
+    }
+
+    this.identityIndex.add(this.toBooking(row, schema, parseInt(match[1])));
+  }
+
+  // Drop cached reads after any write
+  invalidate() {
+    cache.flushAll();
+  }
+}
+
+const bookingRepository = new BookingRepository();
+
+module.exports = bookingRepository;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.RECORD_STATUS = RECORD_STATUS;
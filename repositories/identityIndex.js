@@ -0,0 +1,92 @@
+const { normalizeEmail, normalizePhone, normalizeSocial, parseName } = require('../utils/identity');
+
+/**
+ * Lookup key of a person's name: the given initial with the whole family name, so "A. Santos" and
+ * "Ana Santos" share a bucket but the other Santoses do not (a bucket per family name would make every
+ * common surname a candidate of every booking that has it)
+ */
+function nameKeys(name) {
+  if (!name) return [];
+  return [`name:${name.given[0][0]}|${name.family}`];
+}
+
+/**
+ * Keys a booking is filed under: the customer's email, phone (E.164) and social handle,
+ * plus the name keys of both the customer and the companion
+ */
+function identityKeys(booking) {
+  const email = normalizeEmail(booking.email);
+  const phone = normalizePhone(booking.phone);
+  const social = normalizeSocial(booking.socialMedia);
+
+  return [
+    email && `email:${email}`,
+    phone && `phone:${phone}`,
+    social && `social:${social}`,
+    ...nameKeys(parseName(booking.firstName, booking.lastName)),
+    ...nameKeys(parseName(booking.companionFirstName, booking.companionLastName))
+  ].filter(Boolean);
+}
+
+// Bookings without a record_id (legacy rows) are tracked by row number
+const entryId = (booking) => booking.recordId || `row:${booking.rowNumber}`;
+
+/**
+ * In-memory index of bookings by identity key (see identityKeys), so finding the bookings
+ * that could belong to the same person does not need a scan of the whole sheet.
+ * Candidates still have to be scored (services/promoHunter.service.js): sharing a key only
+ * means "worth comparing".
+ */
+class IdentityIndex {
+  constructor(bookings = []) {
+    this.entries = new Map(); // entry id -> { booking, keys }
+    this.buckets = new Map(); // key -> Set of entry ids
+    this.builtAt = Date.now();
+    bookings.forEach(booking => this.add(booking));
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  add(booking) {
+    const id = entryId(booking);
+    this.remove(id);
+
+    const keys = identityKeys(booking);
+    this.entries.set(id, { booking, keys });
+    keys.forEach(key => {
+      if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+      this.buckets.get(key).add(id);
+    });
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    entry.keys.forEach(key => {
+      const bucket = this.buckets.get(key);
+      bucket.delete(id);
+      if (bucket.size === 0) this.buckets.delete(key);
+    });
+    this.entries.delete(id);
+  }
+
+  /**
+   * Indexed bookings sharing at least one identity key with the given booking, in sheet order
+   */
+  candidates(booking) {
+    const ids = new Set();
+    identityKeys(booking).forEach(key => {
+      (this.buckets.get(key) || []).forEach(id => ids.add(id));
+    });
+
+    return [...ids]
+      .map(id => this.entries.get(id).booking)
+      .sort((a, b) => a.rowNumber - b.rowNumber);
+  }
+}
+
+module.exports = IdentityIndex;
+module.exports.identityKeys = identityKeys;
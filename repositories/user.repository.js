@@ -0,0 +1,67 @@
+const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+
+/**
+ * Single point of write access for the Users sheet.
+ * A user is changed by rewriting their whole row, so every writer - admin actions, profile edits,
+ * login failure counters, 2FA state, token_version - goes through the one write lock here.
+ * With separate locks (or none) two overlapping writes would each put back the other's stale copy
+ * of the row, e.g. a failed-login counter undoing a role change or a disable.
+ */
+class UserRepository {
+  constructor() {
+    this.writeQueue = Promise.resolve();
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run task(schema, users) under the write lock on a fresh read of the Users sheet (missing managed
+   * columns are added first). task edits rows of users in place and may push new rows; once it returns,
+   * every changed row is written back and new rows are appended. Nothing is written if it throws.
+   * Returns what task returned.
+   * task must not call anything that takes this lock itself (e.g. sessionService.revokeAllForUser).
+   */
+  async withUsers(task) {
+    return this.withWriteLock(async () => {
+      const schema = await schemaService.ensureSchema('Users');
+      const users = await sheetsService.readSheet('Users');
+      const original = users.map(row => JSON.stringify(row));
+
+      const result = await task(schema, users);
+
+      const updates = [];
+      users.slice(1, original.length).forEach((row, index) => {
+        if (JSON.stringify(row) !== original[index + 1]) {
+          updates.push({ rowIndex: index + 2, values: row });
+        }
+      });
+      if (updates.length > 0) {
+        await sheetsService.updateRows('Users', updates);
+      }
+
+      for (const row of users.slice(original.length)) {
+        await sheetsService.appendRow('Users', row);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * withUsers for one user: task(schema, userRow, users) edits userRow in place.
+   * Returns what task returned, or null (without running task) if there is no such user.
+   */
+  async withUserRow(userId, task) {
+    return this.withUsers(async (schema, users) => {
+      const userRow = users.find((row, index) => index > 0 && schema.get(row, 'userId') === userId);
+      return userRow ? task(schema, userRow, users) : null;
+    });
+  }
+}
+
+module.exports = new UserRepository();
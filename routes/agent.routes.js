@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const agentController = require('../controllers/agent.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Agent accounts (for the booking form's agent picker)
+router.get('/', requirePermission(PERMISSIONS.BOOKINGS_READ), agentController.getAgents);
+
+// Historical agent names -> accounts, and the migration that applies them to bookings
+router.get('/aliases', requirePermission(PERMISSIONS.AGENTS_MANAGE), agentController.getAliases);
+router.post('/aliases', requirePermission(PERMISSIONS.AGENTS_MANAGE), agentController.createAlias);
+router.delete('/aliases/:aliasId', requirePermission(PERMISSIONS.AGENTS_MANAGE), agentController.deleteAlias);
+router.post('/link-bookings', requirePermission(PERMISSIONS.AGENTS_MANAGE), agentController.linkBookings); // body: { dryRun }
+
+module.exports = router;
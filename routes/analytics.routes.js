@@ -2,17 +2,19 @@ const express = require('express');
 const router = express.Router();
 const { getAnalytics, getAgentPerformance, getAdPerformance, getSalesReport } = require('../controllers/analytics.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // Get analytics (protected route)
-router.get('/', authMiddleware, getAnalytics);
+router.get('/', authMiddleware, requirePermission(PERMISSIONS.ANALYTICS_READ), getAnalytics);
 
 // Get agent performance (protected route)
-router.get('/agent-performance', authMiddleware, getAgentPerformance);
+router.get('/agent-performance', authMiddleware, requirePermission(PERMISSIONS.ANALYTICS_READ), getAgentPerformance);
 
 // Get ad performance (protected route)
-router.get('/ad-performance', authMiddleware, getAdPerformance);
+router.get('/ad-performance', authMiddleware, requirePermission(PERMISSIONS.ANALYTICS_READ), getAdPerformance);
 
 // Get sales report (protected route)
-router.get('/sales-report', authMiddleware, getSalesReport);
+router.get('/sales-report', authMiddleware, requirePermission(PERMISSIONS.ANALYTICS_READ), getSalesReport);
 
 module.exports = router;
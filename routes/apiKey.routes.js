@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKey.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// All routes require authentication and are for admins only
+router.use(authMiddleware);
+router.use(requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+router.get('/', apiKeyController.getApiKeys); // ?status=active|expired|revoked
+router.get('/scopes', apiKeyController.getScopes);
+router.post('/', apiKeyController.createApiKey);
+router.delete('/:keyId', apiKeyController.revokeApiKey);
+
+module.exports = router;
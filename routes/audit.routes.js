@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Audit trail
+// Query: entity (booking|user|invitation|agent_alias), entityId, actor (userId or email), action, startDate, endDate, page, limit
+router.get('/', requirePermission(PERMISSIONS.AUDIT_READ), auditController.getAuditLog);
+
+module.exports = router;
@@ -2,16 +2,41 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
-// Public routes
+// Public routes (signup requires an invitation token)
 router.post('/signup', authController.signup);
 router.post('/login', authController.login);
+router.post('/login/2fa', authController.loginTwoFactor); // second step, with the challenge token from /login
+router.post('/login/2fa/setup', authController.loginTwoFactorSetup); // enrollment when the role requires 2FA
+router.post('/login/2fa/enable', authController.loginTwoFactorEnable);
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout); // identified by the refresh token, works after the access token expired
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
 
 // Protected routes
 router.get('/me', authMiddleware, authController.me);
-router.get('/users', authMiddleware, authController.getAllUsers);
-router.put('/users/:userId/role', authMiddleware, authController.updateUserRole);
-router.put('/users/:userId/password', authMiddleware, authController.changeUserPassword);
-router.delete('/users/:userId', authMiddleware, authController.deleteUser);
+router.put('/me', authMiddleware, authController.updateMe);
+router.put('/me/password', authMiddleware, authController.changeOwnPassword);
+router.post('/me/2fa/setup', authMiddleware, authController.setupTwoFactor);
+router.post('/me/2fa/enable', authMiddleware, authController.enableTwoFactor);
+router.post('/me/2fa/disable', authMiddleware, authController.disableTwoFactor);
+router.post('/me/2fa/recovery-codes', authMiddleware, authController.regenerateRecoveryCodes);
+router.get('/roles', authMiddleware, authController.getRoles);
+router.get('/users', authMiddleware, requirePermission(PERMISSIONS.USERS_READ), authController.getAllUsers);
+router.put('/users/:userId/role', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.updateUserRole);
+router.post('/users/:userId/unlock', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.unlockUser);
+router.delete('/users/:userId/2fa', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.resetUserTwoFactor);
+router.put('/users/:userId/branches', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.updateUserBranches);
+router.put('/users/:userId/password', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.changeUserPassword);
+router.put('/users/:userId', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.updateUser);
+router.post('/users/:userId/disable', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.disableUser);
+router.post('/users/:userId/reactivate', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.reactivateUser);
+router.delete('/users/:userId', authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE), authController.disableUser); // users are never hard deleted
+router.post('/invitations', authMiddleware, requirePermission(PERMISSIONS.INVITATIONS_MANAGE), authController.createInvitation);
+router.get('/invitations', authMiddleware, requirePermission(PERMISSIONS.INVITATIONS_MANAGE), authController.getInvitations);
+router.delete('/invitations/:inviteId', authMiddleware, requirePermission(PERMISSIONS.INVITATIONS_MANAGE), authController.revokeInvitation);
 
 module.exports = router;
@@ -2,21 +2,31 @@ const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/booking.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 // Booking routes
-router.post('/', bookingController.createBooking);
-router.get('/daily-reports', bookingController.getDailyReports);
-router.get('/daily-reports/ots', bookingController.getOTSBookings);
-router.get('/daily-reports/overall', bookingController.getOverallBookings);
-router.get('/daily-reports/tomorrow', bookingController.getTomorrowBookings);
-router.get('/daily-reports/next7days', bookingController.getNext7DaysBookings);
-router.get('/daily-reports/cancellations', bookingController.getCancellations);
-router.get('/daily-reports/tomorrow-summary', bookingController.getTomorrowSummary);
-router.get('/old', bookingController.getOldBookings);
-router.get('/:id', bookingController.getBookingById);
-router.put('/:id', bookingController.updateBooking);
+router.post('/', requirePermission(PERMISSIONS.BOOKINGS_CREATE), bookingController.createBooking);
+router.get('/daily-reports', requirePermission(PERMISSIONS.REPORTS_READ), bookingController.getDailyReports);
+router.get('/daily-reports/ots', requirePermission(PERMISSIONS.REPORTS_READ), bookingController.getOTSBookings);
+router.get('/daily-reports/overall', requirePermission(PERMISSIONS.REPORTS_READ), bookingController.getOverallBookings);
+router.get('/daily-reports/tomorrow', requirePermission(PERMISSIONS.REPORTS_READ), bookingController.getTomorrowBookings);
+router.get('/daily-reports/next7days', requirePermission(PERMISSIONS.REPORTS_READ), bookingController.getNext7DaysBookings);
+router.get('/daily-reports/cancellations', requirePermission(PERMISSIONS.REPORTS_READ), bookingController.getCancellations);
+router.get('/daily-reports/tomorrow-summary', requirePermission(PERMISSIONS.REPORTS_READ), bookingController.getTomorrowSummary);
+router.get('/old', requirePermission(PERMISSIONS.BOOKINGS_READ), bookingController.getOldBookings);
+router.get('/statuses', requirePermission(PERMISSIONS.BOOKINGS_READ), bookingController.getStatuses);
+// :id is the booking's record_id (run `npm run backfill-record-ids` for legacy rows without one)
+router.get('/:id', requirePermission(PERMISSIONS.BOOKINGS_READ), bookingController.getBookingById);
+// Changing status or agent additionally needs bookings:update:status / bookings:update:agent (checked in the handler)
+router.patch('/:id', requirePermission(PERMISSIONS.BOOKINGS_UPDATE), bookingController.updateBooking);
+router.put('/:id', requirePermission(PERMISSIONS.BOOKINGS_UPDATE), bookingController.updateBooking); // same partial-update semantics as PATCH
+router.delete('/:id', requirePermission(PERMISSIONS.BOOKINGS_DELETE), bookingController.deleteBooking); // soft delete (record_status = inactive)
+router.post('/:id/restore', requirePermission(PERMISSIONS.BOOKINGS_RESTORE), bookingController.restoreBooking);
+router.get('/:id/history', requirePermission(PERMISSIONS.BOOKINGS_READ), bookingController.getBookingHistory);
+router.post('/:id/revert/:version', requirePermission(PERMISSIONS.BOOKINGS_REVERT), bookingController.revertBooking);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customer.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Customer profiles and their booking history
+router.get('/', requirePermission(PERMISSIONS.CUSTOMERS_READ), customerController.getCustomers); // ?search, sortBy, page, limit
+router.get('/search', requirePermission(PERMISSIONS.CUSTOMERS_READ), customerController.searchCustomers); // ?q=
+router.get('/duplicates', requirePermission(PERMISSIONS.CUSTOMERS_MANAGE), customerController.getDuplicates);
+router.get('/:id', requirePermission(PERMISSIONS.CUSTOMERS_READ), customerController.getCustomer);
+
+// Migration that links existing bookings to profiles
+router.post('/link-bookings', requirePermission(PERMISSIONS.CUSTOMERS_MANAGE), customerController.linkBookings); // body: { dryRun }
+router.post('/merge', requirePermission(PERMISSIONS.CUSTOMERS_MANAGE), customerController.mergeCustomers); // body: { targetId, mergeIds, fields }
+
+module.exports = router;
@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { getDashboardOverview, getBookingTrend } = require('../controllers/dashboard.controller');
 const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // Get dashboard overview (protected route)
-router.get('/overview', authMiddleware, getDashboardOverview);
+router.get('/overview', authMiddleware, requirePermission(PERMISSIONS.DASHBOARD_READ), getDashboardOverview);
 
 // Get booking trend for last N days (protected route)
-router.get('/trend', authMiddleware, getBookingTrend);
+router.get('/trend', authMiddleware, requirePermission(PERMISSIONS.DASHBOARD_READ), getBookingTrend);
 
 module.exports = router;
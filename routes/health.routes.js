@@ -9,6 +9,7 @@ router.get('/', async (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
+    storageDriver: sheetsService.name,
     checks: {
       server: 'OK',
       environment: 'OK',
@@ -18,7 +19,8 @@ router.get('/', async (req, res) => {
 
   try {
     // Check if required environment variables are set
-    const requiredEnvVars = ['JWT_SECRET', 'GOOGLE_SHEET_ID', 'PORT'];
+    const requiredEnvVars = ['JWT_SECRET', 'PORT'];
+    if (sheetsService.name === 'google') requiredEnvVars.push('GOOGLE_SHEET_ID');
     const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
     
     if (missingEnvVars.length > 0) {
@@ -71,7 +73,8 @@ router.get('/detailed', async (req, res) => {
       nodeVersion: process.version,
       platform: process.platform,
       env: process.env.NODE_ENV || 'development',
-      port: process.env.PORT || 5001
+      port: process.env.PORT || 5001,
+      storageDriver: sheetsService.name
     },
     checks: {
       server: 'OK',
@@ -83,7 +86,8 @@ router.get('/detailed', async (req, res) => {
 
   try {
     // Check environment variables
-    const requiredEnvVars = ['JWT_SECRET', 'GOOGLE_SHEET_ID', 'PORT', 'FRONTEND_URL'];
+    const requiredEnvVars = ['JWT_SECRET', 'PORT', 'FRONTEND_URL'];
+    if (sheetsService.name === 'google') requiredEnvVars.push('GOOGLE_SHEET_ID');
     const envStatus = {};
     
     requiredEnvVars.forEach(varName => {
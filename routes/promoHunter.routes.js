@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const promoHunterController = require('../controllers/promoHunter.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// All routes require authentication
+router.use(authMiddleware);
+router.use(requirePermission(PERMISSIONS.PROMO_HUNTERS_REVIEW));
+
+// Flagged bookings and their review
+router.get('/review-queue', promoHunterController.getReviewQueue); // ?status=pending|confirmed|dismissed|all
+router.post('/review-queue/:id/confirm', promoHunterController.confirmFlag); // body: { note }
+router.post('/review-queue/:id/dismiss', promoHunterController.dismissFlag); // body: { note }
+
+// Pairs of people that are not flagged again after a dismissal
+router.get('/allow-list', promoHunterController.getAllowList);
+router.delete('/allow-list/:allowId', promoHunterController.deleteAllowListEntry);
+
+module.exports = router;
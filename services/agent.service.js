@@ -0,0 +1,188 @@
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const bookingRepository = require('../repositories/booking.repository');
+
+/**
+ * Thrown for alias changes that cannot be made (unknown user, alias already taken, ...)
+ */
+class AgentAliasError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AgentAliasError';
+  }
+}
+
+/**
+ * Agent names as typed on bookings vary ("Ana", "ana ", "Ana S.") - compare them
+ * lowercased, without punctuation and with single spaces
+ */
+const normalizeAgentName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Who a booking's agent is, built from the Users sheet and the AgentAliases sheet.
+ * A name resolves through an alias first, then through a user's own name; names shared by
+ * more than one user resolve to nobody, so a wrong guess never credits the wrong agent.
+ */
+class AgentDirectory {
+  constructor(accounts, aliases) {
+    this.accounts = new Map(accounts.map(account => [account.userId, account]));
+    this.byName = new Map();
+
+    const ambiguous = new Set();
+    accounts.forEach(account => {
+      const key = normalizeAgentName(account.name);
+      if (!key) return;
+      if (this.byName.has(key)) ambiguous.add(key);
+      this.byName.set(key, account.userId);
+    });
+    ambiguous.forEach(key => this.byName.delete(key));
+
+    // Aliases are the admin's explicit answer, so they win over name matches
+    aliases.forEach(alias => {
+      const key = normalizeAgentName(alias.alias);
+      if (key && this.accounts.has(alias.userId)) {
+        this.byName.set(key, alias.userId);
+      }
+    });
+  }
+
+  // Account ({ userId, name, email, role, disabled }) for a userId, or null
+  account(userId) {
+    return (userId && this.accounts.get(userId)) || null;
+  }
+
+  // Account an agent name refers to, or null
+  resolve(agentName) {
+    return this.account(this.byName.get(normalizeAgentName(agentName)));
+  }
+
+  /**
+   * Grouping identity of a booking's agent for reports: { key, userId, name }.
+   * Linked bookings (agent_id) and names that resolve group under the account and show its current name;
+   * anything else groups by the normalized name so spelling variants still count as one agent.
+   */
+  identify(booking) {
+    const account = this.account(booking.agentId) || this.resolve(booking.agent);
+    if (account) {
+      return { key: account.userId, userId: account.userId, name: account.name };
+    }
+
+    const name = String(booking.agent || '').trim() || 'Unknown';
+    return { key: `name:${normalizeAgentName(name) || 'unknown'}`, userId: null, name };
+  }
+}
+
+/**
+ * Agent accounts and the AgentAliases table that maps historical agent names to them
+ */
+class AgentService {
+  constructor() {
+    // Alias writes check for duplicates first, so they run one at a time
+    this.writeQueue = Promise.resolve();
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async getAccounts() {
+    const users = await sheetsService.readSheet('Users');
+    if (users.length < 2) return [];
+
+    const schema = schemaService.fromHeaders('Users', users[0]);
+    return users.slice(1).map(user => ({
+      userId: schema.get(user, 'userId'),
+      name: schema.get(user, 'name'),
+      email: schema.get(user, 'email'),
+      role: schema.get(user, 'role'),
+      disabled: Boolean(schema.get(user, 'disabledAt'))
+    }));
+  }
+
+  async getAliases() {
+    const schema = await schemaService.getSchema('AgentAliases');
+    const rows = await sheetsService.readSheet('AgentAliases');
+
+    return rows.slice(1)
+      .map((row, index) => ({ ...schema.toObject(row), rowNumber: index + 2 }))
+      .filter(alias => alias.alias && alias.userId);
+  }
+
+  async getDirectory() {
+    const [accounts, aliases] = await Promise.all([this.getAccounts(), this.getAliases()]);
+    return new AgentDirectory(accounts, aliases);
+  }
+
+  /**
+   * Map an agent name to a user. Throws AgentAliasError if the user does not exist
+   * or the name is already mapped by another alias.
+   */
+  async addAlias({ alias, userId }, actor = {}) {
+    return this.withWriteLock(async () => {
+      const accounts = await this.getAccounts();
+      if (!accounts.some(account => account.userId === userId)) {
+        throw new AgentAliasError('User not found');
+      }
+
+      const key = normalizeAgentName(alias);
+      if (!key) {
+        throw new AgentAliasError('Alias must contain letters or digits');
+      }
+
+      const existing = (await this.getAliases()).find(entry => normalizeAgentName(entry.alias) === key);
+      if (existing) {
+        throw new AgentAliasError(`"${existing.alias}" is already mapped to a user`);
+      }
+
+      const entry = {
+        aliasId: uuidv4(),
+        alias: alias.trim(),
+        userId,
+        createdAt: new Date().toISOString(),
+        createdById: actor.userId || '',
+        createdByName: actor.name || ''
+      };
+
+      const schema = await schemaService.ensureSchema('AgentAliases');
+      await sheetsService.appendRow('AgentAliases', schema.toRow(entry));
+      return entry;
+    });
+  }
+
+  /**
+   * Delete an alias. Returns the removed alias, or null if it does not exist.
+   * Bookings already linked through it keep their agent_id.
+   */
+  async removeAlias(aliasId) {
+    return this.withWriteLock(async () => {
+      const alias = (await this.getAliases()).find(entry => entry.aliasId === aliasId);
+      if (!alias) return null;
+
+      await sheetsService.deleteRow('AgentAliases', alias.rowNumber);
+      return alias;
+    });
+  }
+
+  /**
+   * Migration: set agent_id on bookings whose Agent name resolves through the aliases or a user's name.
+   * Run it again after adding aliases for the names it reports as unmatched. See backfillAgentIds.
+   */
+  async linkBookings({ dryRun = false } = {}) {
+    const directory = await this.getDirectory();
+    return bookingRepository.backfillAgentIds(name => {
+      const account = directory.resolve(name);
+      return account ? account.userId : null;
+    }, { dryRun });
+  }
+}
+
+module.exports = new AgentService();
+module.exports.AgentAliasError = AgentAliasError;
+module.exports.normalizeAgentName = normalizeAgentName;
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+const { parseBranches, formatBranches } = require('../utils/branchScope');
+
+// Keys expire after this many days unless created with another lifetime
+const API_KEY_TTL_DAYS = parseInt(process.env.API_KEY_TTL_DAYS) || 365;
+
+// last_used_at is written at most this often per key, so busy integrations don't rewrite the sheet on every call
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+// Keys look like "bk_<64 hex chars>"; the prefix makes them recognizable in configs and logs
+const KEY_PREFIX = 'bk_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Only a SHA-256 of the key is stored, so the sheet alone cannot be used to call the API
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const parseScopes = (value) => String(value || '')
+  .split(',')
+  .map(scope => scope.trim())
+  .filter(scope => API_KEY_SCOPES.includes(scope));
+
+/**
+ * Thrown when a key cannot be created, or by authenticate() when it is unknown, expired or revoked
+ */
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+/**
+ * Scoped API keys for integrations, stored in the ApiKeys sheet.
+ * A key acts with its own scopes and branches, not with the permissions of the admin who created it.
+ */
+class ApiKeyService {
+  constructor() {
+    // Revoking and last-used updates rewrite whole rows, so they run one at a time
+    this.writeQueue = Promise.resolve();
+    this.ttlDays = API_KEY_TTL_DAYS;
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async readKeys() {
+    const schema = await schemaService.getSchema('ApiKeys');
+    const rows = await sheetsService.readSheet('ApiKeys');
+
+    return rows.slice(1)
+      .map((row, index) => ({ ...schema.toObject(row), rowNumber: index + 2, row }))
+      .filter(key => key.keyId && key.keyHash);
+  }
+
+  // Key as returned by the API - never includes the hash
+  describe(key, now = new Date()) {
+    let status = 'active';
+    if (key.revokedAt) status = 'revoked';
+    else if (key.expiresAt && new Date(key.expiresAt) <= now) status = 'expired';
+
+    return {
+      keyId: key.keyId,
+      name: key.name,
+      prefix: key.prefix,
+      scopes: parseScopes(key.scopes),
+      branches: parseBranches(key.branches),
+      createdAt: key.createdAt,
+      createdById: key.createdById,
+      createdByName: key.createdByName,
+      expiresAt: key.expiresAt || null,
+      lastUsedAt: key.lastUsedAt || null,
+      lastUsedIp: key.lastUsedIp || null,
+      revokedAt: key.revokedAt || null,
+      status
+    };
+  }
+
+  async findAll() {
+    const keys = await this.readKeys();
+    const now = new Date();
+    return keys.map(key => this.describe(key, now));
+  }
+
+  /**
+   * Create a key. Returns { apiKey, key } - the key itself is only ever available here.
+   * Throws ApiKeyError for scopes that cannot be given to a key.
+   */
+  async create({ name, scopes, branches = [], expiresInDays = API_KEY_TTL_DAYS }, actor = {}) {
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      throw new ApiKeyError(`Scopes not allowed for API keys: ${invalid.join(', ')}`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const entry = {
+      keyId: uuidv4(),
+      name: name.trim(),
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)].join(', '),
+      branches: formatBranches(branches),
+      createdAt: now.toISOString(),
+      createdById: actor.userId || '',
+      createdByName: actor.name || '',
+      expiresAt: new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+      lastUsedAt: '',
+      lastUsedIp: '',
+      revokedAt: ''
+    };
+
+    const schema = await schemaService.ensureSchema('ApiKeys');
+    await sheetsService.appendRow('ApiKeys', schema.toRow(entry));
+
+    return { apiKey: this.describe(entry, now), key };
+  }
+
+  /**
+   * Revoke a key for good. Returns the key before revoking (revoking twice is harmless),
+   * or null if it does not exist.
+   */
+  async revoke(keyId) {
+    return this.withWriteLock(async () => {
+      const key = (await this.readKeys()).find(entry => entry.keyId === keyId);
+      if (!key) return null;
+
+      if (!key.revokedAt) {
+        const schema = await schemaService.getSchema('ApiKeys');
+        await sheetsService.updateRow('ApiKeys', key.rowNumber, schema.toRow({
+          revokedAt: new Date().toISOString()
+        }, key.row));
+      }
+
+      return this.describe(key);
+    });
+  }
+
+  /**
+   * Principal (req.user) for a request made with a key: its scopes become user.permissions
+   * (see userCan in utils/permissions.js). Throws ApiKeyError if the key is unknown, expired or revoked.
+   */
+  async authenticate(rawKey, ip = '') {
+    const keyHash = hashKey(rawKey);
+    const key = (await this.readKeys()).find(entry => entry.keyHash === keyHash);
+    const now = new Date();
+
+    if (!key || key.revokedAt) {
+      throw new ApiKeyError('Invalid API key');
+    }
+    if (key.expiresAt && new Date(key.expiresAt) <= now) {
+      throw new ApiKeyError('API key expired');
+    }
+
+    if (!key.lastUsedAt || now - new Date(key.lastUsedAt) >= LAST_USED_INTERVAL_MS) {
+      // Bookkeeping only - a failed write must not fail the request
+      this.touch(key.keyId, ip, now).catch(error => {
+        console.error('⚠️ Failed to record API key use:', error.message);
+      });
+    }
+
+    return {
+      userId: `apikey:${key.keyId}`,
+      apiKeyId: key.keyId,
+      email: '',
+      name: key.name,
+      role: '',
+      branches: parseBranches(key.branches),
+      permissions: parseScopes(key.scopes)
+    };
+  }
+
+  // Record a key's last use; re-reads the row under the lock so a concurrent revoke is never overwritten
+  async touch(keyId, ip, now = new Date()) {
+    return this.withWriteLock(async () => {
+      const key = (await this.readKeys()).find(entry => entry.keyId === keyId);
+      if (!key) return;
+
+      const schema = await schemaService.getSchema('ApiKeys');
+      await sheetsService.updateRow('ApiKeys', key.rowNumber, schema.toRow({
+        lastUsedAt: now.toISOString(),
+        lastUsedIp: ip || ''
+      }, key.row));
+    });
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.ApiKeyError = ApiKeyError;
@@ -0,0 +1,121 @@
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const { clientIp } = require('../utils/clientIp');
+
+// Values that must never be copied into the audit trail (the change itself is still recorded)
+const REDACTED_FIELDS = ['passwordHash', 'totpSecret', 'recoveryCodes'];
+
+// Bookkeeping fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = ['rowNumber', 'recordVersion', 'lastCheckedAt'];
+
+const toCell = (value) => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * Append-only audit trail of booking and user mutations, stored in the AuditLog sheet.
+ * Entries are never updated or deleted.
+ */
+class AuditService {
+  /**
+   * Field-level diff between two snapshots: { field: { from, to } }.
+   * Pass null for before on creates and for after on hard deletes.
+   */
+  diff(before, after) {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach(key => {
+      if (IGNORED_FIELDS.includes(key)) return;
+
+      const from = toCell(before ? before[key] : '');
+      const to = toCell(after ? after[key] : '');
+      if (from === to) return;
+
+      changes[key] = REDACTED_FIELDS.includes(key)
+        ? { from: '[redacted]', to: '[redacted]' }
+        : { from, to };
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record one mutation made by the user behind req (or by actor, for unauthenticated requests like signup).
+   * req may be null for changes made outside an HTTP request (CLI scripts).
+   * Failures are logged and swallowed so auditing never blocks the change itself.
+   */
+  async record(req, { action, entityType, entityId, before = null, after = null, actor = req && req.user }) {
+    try {
+      const schema = await schemaService.ensureSchema('AuditLog');
+      const user = actor || {};
+
+      await sheetsService.appendRow('AuditLog', schema.toRow({
+        auditId: uuidv4(),
+        timestamp: new Date().toISOString(),
+        actorId: user.userId || '',
+        actorEmail: user.email || '',
+        actorName: user.name || '',
+        action,
+        entityType,
+        entityId,
+        changes: JSON.stringify(this.diff(before, after)),
+        ip: clientIp(req)
+      }));
+    } catch (error) {
+      console.error(`⚠️ Failed to write audit entry (${action} ${entityType} ${entityId}):`, error.message);
+    }
+  }
+
+  /**
+   * Audit entries, newest first.
+   * Filters (all optional):
+   *  - entityType: 'booking', 'user', 'invitation', 'agent_alias', 'api_key', 'promo_allow_list' or 'customer'
+   *  - entityId
+   *  - actor: actor userId or email
+   *  - action: e.g. 'booking.update'
+   *  - startDate, endDate: YYYY-MM-DD (inclusive)
+   */
+  async query(filters = {}) {
+    const { entityType, entityId, actor, action, startDate, endDate } = filters;
+
+    const schema = await schemaService.getSchema('AuditLog');
+    const rows = await sheetsService.readSheet('AuditLog');
+
+    const start = startDate ? new Date(startDate) : null;
+    if (start) start.setHours(0, 0, 0, 0);
+    const end = endDate ? new Date(endDate) : null;
+    if (end) end.setHours(23, 59, 59, 999);
+
+    const actorLower = actor ? actor.toLowerCase() : null;
+
+    return rows.slice(1)
+      .map(row => schema.toObject(row))
+      .filter(entry => {
+        if (entityType && entry.entityType !== entityType) return false;
+        if (entityId && entry.entityId !== entityId) return false;
+        if (action && entry.action !== action) return false;
+        if (actorLower && entry.actorId !== actor && entry.actorEmail.toLowerCase() !== actorLower) return false;
+
+        if (start || end) {
+          const timestamp = new Date(entry.timestamp);
+          if (isNaN(timestamp.getTime())) return false;
+          if (start && timestamp < start) return false;
+          if (end && timestamp > end) return false;
+        }
+
+        return true;
+      })
+      .map(entry => {
+        let changes = {};
+        try {
+          changes = JSON.parse(entry.changes || '{}');
+        } catch {
+          changes = { raw: entry.changes };
+        }
+        return { ...entry, changes };
+      })
+      .reverse();
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,641 @@
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const bookingRepository = require('../repositories/booking.repository');
+const { isArrival, isCompleted } = require('../utils/bookingStatus');
+const { parseDateString } = require('../utils/dataParser');
+const {
+  normalizePhone,
+  normalizeEmail,
+  normalizeSocial,
+  normalizeFullName,
+  parseName,
+  compareNames
+} = require('../utils/identity');
+
+// Customers sheet reads are cached between writes
+const REGISTRY_TTL_MS = 5 * 60 * 1000;
+
+// Search results below this name similarity (see compareNames in utils/identity.js) are left out
+const SEARCH_NAME_THRESHOLD = 0.75;
+
+// Profile fields an admin picks the surviving value of when merging duplicates
+const MERGE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'socialMedia'];
+
+// Normalized booking columns a duplicate can share, strongest first
+const DUPLICATE_SIGNALS = {
+  email: 'emailNorm',
+  phone: 'phoneNorm',
+  social: 'socialNorm',
+  name: 'fullNameNorm'
+};
+
+// A merged profile id resolves through at most this many merges
+const MAX_MERGE_DEPTH = 20;
+
+class CustomerMergeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CustomerMergeError';
+  }
+}
+
+const hasContact = (customer) => Boolean(customer.email || customer.phone || customer.socialMedia);
+
+/**
+ * Fallback grouping key for bookings not linked to a profile yet (see customerKeyOf)
+ */
+function identityKeyOf(booking) {
+  const email = normalizeEmail(booking.email);
+  if (email) return `email:${email}`;
+  const phone = normalizePhone(booking.phone);
+  if (phone) return `phone:${phone}`;
+  return `name:${normalizeFullName(booking.firstName, booking.lastName)}`;
+}
+
+/**
+ * The Customers sheet held in memory, with lookups by email, phone, social handle and name
+ * (merged profiles are kept by id only). resolveCustomer/resolveCompanion find or create the profile
+ * of the person on a booking; new and changed profiles are collected in pending until the caller saves them.
+ */
+class CustomerRegistry {
+  constructor(customers = []) {
+    this.byId = new Map();
+    this.byEmail = new Map();
+    this.byPhone = new Map();
+    this.bySocial = new Map();
+    this.byName = new Map(); // canonical full name -> [customerId]
+    this.pending = new Map(); // customerId -> customer to append or rewrite
+    customers.forEach(customer => this.index(customer));
+  }
+
+  index(customer) {
+    this.byId.set(customer.customerId, customer);
+    if (customer.mergedInto) return;
+
+    const email = normalizeEmail(customer.email);
+    const phone = normalizePhone(customer.phone);
+    const social = normalizeSocial(customer.socialMedia);
+    const name = normalizeFullName(customer.firstName, customer.lastName);
+
+    // The first profile registered with a contact detail keeps it
+    if (email && !this.byEmail.has(email)) this.byEmail.set(email, customer.customerId);
+    if (phone && !this.byPhone.has(phone)) this.byPhone.set(phone, customer.customerId);
+    if (social && !this.bySocial.has(social)) this.bySocial.set(social, customer.customerId);
+    if (name) {
+      const ids = this.byName.get(name) || [];
+      if (!ids.includes(customer.customerId)) this.byName.set(name, [...ids, customer.customerId]);
+    }
+  }
+
+  get(customerId) {
+    return (customerId && this.byId.get(customerId)) || null;
+  }
+
+  // The profile a (possibly merged) id stands for now, or null
+  canonical(customerId) {
+    let customer = this.get(customerId);
+    for (let depth = 0; customer && customer.mergedInto && depth < MAX_MERGE_DEPTH; depth++) {
+      customer = this.get(customer.mergedInto);
+    }
+    return customer && !customer.mergedInto ? customer : null;
+  }
+
+  get active() {
+    return [...this.byId.values()].filter(customer => !customer.mergedInto);
+  }
+
+  // Profiles with this name (optionally only those without contact details)
+  findByName(name, { contactless = false } = {}) {
+    return (this.byName.get(name) || [])
+      .map(id => this.byId.get(id))
+      .filter(customer => !customer.mergedInto && (!contactless || !hasContact(customer)));
+  }
+
+  // The one profile with this name (optionally only profiles without contact details), or null
+  uniqueByName(name, options) {
+    const customers = this.findByName(name, options);
+    return customers.length === 1 ? customers[0] : null;
+  }
+
+  /**
+   * Profile of a booking's customer: found by email, phone or social handle (in that order),
+   * or a profile with the same name and no contact details yet (someone first seen as a companion),
+   * which then takes this booking's details. Otherwise a new profile is created.
+   */
+  resolveCustomer(booking) {
+    const email = normalizeEmail(booking.email);
+    const phone = normalizePhone(booking.phone);
+    const social = normalizeSocial(booking.socialMedia);
+
+    const existingId = (email && this.byEmail.get(email)) ||
+      (phone && this.byPhone.get(phone)) ||
+      (social && this.bySocial.get(social));
+    if (existingId) return this.byId.get(existingId);
+
+    const name = normalizeFullName(booking.firstName, booking.lastName);
+    const companionProfile = name && this.uniqueByName(name, { contactless: true });
+    if (companionProfile) {
+      Object.assign(companionProfile, {
+        email: booking.email || '',
+        phone: booking.phone || '',
+        socialMedia: booking.socialMedia || '',
+        updatedAt: new Date().toISOString()
+      });
+      this.index(companionProfile);
+      this.pending.set(companionProfile.customerId, companionProfile);
+      return companionProfile;
+    }
+
+    return this.create({
+      firstName: booking.firstName,
+      lastName: booking.lastName,
+      email: booking.email,
+      phone: booking.phone,
+      socialMedia: booking.socialMedia
+    }, booking.recordId);
+  }
+
+  /**
+   * Profile of a booking's companion (names only): a profile with that name and no contact details,
+   * the oldest if there are several, else a new one. A name alone is not enough to link the companion
+   * to a customer with contact details. Returns null for bookings without a companion.
+   */
+  resolveCompanion(booking) {
+    const name = normalizeFullName(booking.companionFirstName, booking.companionLastName);
+    if (!name) return null;
+
+    const [oldest] = this.findByName(name, { contactless: true })
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) ||
+        a.customerId.localeCompare(b.customerId));
+
+    return oldest || this.create({
+      firstName: booking.companionFirstName,
+      lastName: booking.companionLastName
+    }, booking.recordId);
+  }
+
+  create(fields, recordId) {
+    const now = new Date().toISOString();
+    const customer = {
+      customerId: uuidv4(),
+      firstName: String(fields.firstName || '').trim(),
+      lastName: String(fields.lastName || '').trim(),
+      email: fields.email || '',
+      phone: fields.phone || '',
+      socialMedia: fields.socialMedia || '',
+      createdAt: now,
+      updatedAt: now,
+      firstRecordId: recordId || ''
+    };
+
+    this.index(customer);
+    this.pending.set(customer.customerId, customer);
+    return customer;
+  }
+}
+
+/**
+ * Customer profiles (Customers sheet) and their link to bookings (customer_id / companion_customer_id)
+ */
+class CustomerService {
+  constructor() {
+    // Find-or-create must not run twice at once, or one person could get two profiles
+    this.writeQueue = Promise.resolve();
+    this.registryCache = null;
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async readCustomers() {
+    const schema = await schemaService.getSchema('Customers');
+    const rows = await sheetsService.readSheet('Customers');
+
+    return rows.slice(1)
+      .map((row, index) => ({ ...schema.toObject(row), rowNumber: index + 2 }))
+      .filter(customer => customer.customerId);
+  }
+
+  async getRegistry() {
+    if (this.registryCache && Date.now() - this.registryCache.loadedAt < REGISTRY_TTL_MS) {
+      return this.registryCache.registry;
+    }
+
+    const registry = new CustomerRegistry(await this.readCustomers());
+    this.registryCache = { registry, loadedAt: Date.now() };
+    return registry;
+  }
+
+  // Append new profiles and rewrite changed ones, then reload on next use
+  async savePending(registry) {
+    if (registry.pending.size === 0) return;
+
+    try {
+      const schema = await schemaService.ensureSchema('Customers');
+      const appends = [];
+      const updates = [];
+
+      for (const customer of registry.pending.values()) {
+        const { rowNumber, ...fields } = customer;
+        if (rowNumber) {
+          updates.push({ rowIndex: rowNumber, values: schema.toRow(fields) });
+        } else {
+          appends.push(schema.toRow(fields));
+        }
+      }
+
+      if (appends.length > 0) {
+        await sheetsService.appendRows('Customers', appends);
+      }
+      if (updates.length > 0) {
+        await sheetsService.updateRows('Customers', updates);
+      }
+    } finally {
+      // Also after a failed write: the cached registry holds the unsaved profiles, so a retry
+      // working from it would append them a second time
+      registry.pending.clear();
+      this.registryCache = null;
+    }
+  }
+
+  /**
+   * Customer ids for a new booking: { customerId, companionCustomerId }, creating profiles as needed
+   */
+  async assignBooking(booking) {
+    return this.withWriteLock(async () => {
+      const registry = await this.getRegistry();
+      const customer = registry.resolveCustomer(booking);
+      const companion = registry.resolveCompanion(booking);
+
+      await this.savePending(registry);
+      return {
+        customerId: customer.customerId,
+        companionCustomerId: companion ? companion.customerId : ''
+      };
+    });
+  }
+
+  /**
+   * Migration: link every booking without a customer_id (or a companion without companion_customer_id)
+   * to a profile, oldest booking first, creating profiles as needed. Rows without a record_id are
+   * skipped (run backfill-record-ids first). With dryRun nothing is written.
+   * Returns { bookingsLinked, customersCreated, skippedWithoutRecordId, DB, Intake }.
+   */
+  async linkBookings({ dryRun = false } = {}) {
+    return this.withWriteLock(async () => {
+      const registry = new CustomerRegistry(await this.readCustomers());
+      const existingIds = new Set(registry.byId.keys());
+      const assignments = new Map();
+      let skippedWithoutRecordId = 0;
+
+      // DB is the master copy; Intake rows that never reached DB are linked too
+      const dbBookings = await bookingRepository.findAll({ includeInactive: true });
+      const intakeBookings = await bookingRepository.findAll({ sheet: 'Intake', includeInactive: true });
+      const dbRecordIds = new Set(dbBookings.map(booking => booking.recordId));
+      const bookings = [
+        ...dbBookings,
+        ...intakeBookings.filter(booking => !dbRecordIds.has(booking.recordId))
+      ];
+
+      bookings.forEach(booking => {
+        const needsCustomer = !registry.get(booking.customerId) && (booking.firstName || booking.lastName);
+        const needsCompanion = !registry.get(booking.companionCustomerId) &&
+          normalizeFullName(booking.companionFirstName, booking.companionLastName);
+        if (!needsCustomer && !needsCompanion) return;
+
+        if (!booking.recordId) {
+          skippedWithoutRecordId++;
+          return;
+        }
+
+        const assignment = {};
+        if (needsCustomer) assignment.customerId = registry.resolveCustomer(booking).customerId;
+        if (needsCompanion) assignment.companionCustomerId = registry.resolveCompanion(booking).customerId;
+        assignments.set(booking.recordId, assignment);
+      });
+
+      const customersCreated = [...registry.byId.keys()].filter(id => !existingIds.has(id)).length;
+      let sheets = { DB: 0, Intake: 0 };
+
+      if (!dryRun) {
+        await this.savePending(registry);
+        sheets = await bookingRepository.assignCustomerIds(assignments);
+      }
+
+      return {
+        bookingsLinked: assignments.size,
+        customersCreated,
+        skippedWithoutRecordId,
+        ...sheets
+      };
+    });
+  }
+
+  /**
+   * Grouping key of a booking's customer: its profile when linked, otherwise the
+   * normalized email, phone or name (for bookings from before the registry)
+   */
+  customerKeyOf(booking) {
+    return booking.customerId ? `customer:${booking.customerId}` : identityKeyOf(booking);
+  }
+
+  /**
+   * Booking history and totals per profile: Map customerId -> { bookings, bookingCount, visitCount,
+   * lifetimeSpend, firstBookingAt, lastBookingAt }. A booking counts for its customer and its companion;
+   * the spend (completed bookings' total price) only for the customer, who pays for both.
+   * Bookings still pointing at a merged profile count for the profile it was merged into.
+   */
+  summarize(bookings, registry) {
+    const summaries = new Map();
+    const summaryOf = (customerId) => {
+      if (!summaries.has(customerId)) {
+        summaries.set(customerId, {
+          bookings: [],
+          bookingCount: 0,
+          visitCount: 0,
+          lifetimeSpend: 0,
+          firstBookingAt: null,
+          lastBookingAt: null
+        });
+      }
+      return summaries.get(customerId);
+    };
+
+    const canonicalId = (customerId) => {
+      const customer = registry.canonical(customerId);
+      return customer ? customer.customerId : null;
+    };
+
+    bookings.forEach(booking => {
+      const bookerId = canonicalId(booking.customerId);
+      const companionId = canonicalId(booking.companionCustomerId);
+      // After a merge the customer and the companion can be the same profile; the booking counts once
+      const parties = [['customer', bookerId], ['companion', companionId !== bookerId ? companionId : null]];
+
+      parties.forEach(([role, customerId]) => {
+        if (!customerId) return;
+
+        const summary = summaryOf(customerId);
+        summary.bookings.push({ role, booking });
+        summary.bookingCount++;
+        if (isArrival(booking.status)) summary.visitCount++;
+        if (role === 'customer' && isCompleted(booking.status)) summary.lifetimeSpend += booking.totalPrice;
+
+        const date = parseDateString(booking.date);
+        if (date && !isNaN(date.getTime())) {
+          if (!summary.firstBookingAt || date < summary.firstBookingAt) summary.firstBookingAt = date;
+          if (!summary.lastBookingAt || date > summary.lastBookingAt) summary.lastBookingAt = date;
+        }
+      });
+    });
+
+    return summaries;
+  }
+
+  // Profile as returned by the API, with its totals
+  describe(customer, summary) {
+    return {
+      customerId: customer.customerId,
+      firstName: customer.firstName,
+      lastName: customer.lastName,
+      email: customer.email,
+      phone: customer.phone,
+      socialMedia: customer.socialMedia,
+      createdAt: customer.createdAt,
+      bookingCount: summary ? summary.bookingCount : 0,
+      visitCount: summary ? summary.visitCount : 0,
+      lifetimeSpend: summary ? summary.lifetimeSpend : 0,
+      firstBookingAt: summary && summary.firstBookingAt ? summary.firstBookingAt.toISOString() : null,
+      lastBookingAt: summary && summary.lastBookingAt ? summary.lastBookingAt.toISOString() : null
+    };
+  }
+
+  /**
+   * Profiles with their totals. With a branch scope only profiles with bookings in those branches
+   * are listed, and only those bookings count.
+   */
+  async getCustomers({ branches = null } = {}) {
+    const [registry, bookings] = await Promise.all([
+      this.getRegistry(),
+      bookingRepository.findAll({ branches, useCache: true })
+    ]);
+    const summaries = this.summarize(bookings, registry);
+
+    return registry.active
+      .filter(customer => !branches || summaries.has(customer.customerId))
+      .map(customer => this.describe(customer, summaries.get(customer.customerId)));
+  }
+
+  /**
+   * One profile with its totals and full booking history (newest first, each with the person's role),
+   * or null if it does not exist or - with a branch scope - has no bookings in those branches.
+   * The id of a merged profile returns the profile it was merged into; mergedIds lists such ids.
+   */
+  async getCustomer(id, { branches = null } = {}) {
+    const registry = await this.getRegistry();
+    const customer = registry.canonical(id);
+    if (!customer) return null;
+    const { customerId } = customer;
+
+    const bookings = await bookingRepository.findAll({ branches, useCache: true });
+    const summary = this.summarize(bookings, registry).get(customerId);
+    if (branches && !summary) return null;
+
+    return {
+      ...this.describe(customer, summary),
+      mergedIds: [...registry.byId.values()]
+        .filter(other => other.mergedInto && registry.canonical(other.customerId) === customer)
+        .map(other => other.customerId),
+      bookings: (summary ? summary.bookings : [])
+        .sort((a, b) => b.booking.rowNumber - a.booking.rowNumber)
+        .map(({ role, booking }) => ({
+          role,
+          recordId: booking.recordId,
+          timestamp: booking.timestamp,
+          date: booking.date,
+          branch: booking.branch,
+          treatment: booking.treatment,
+          status: booking.status,
+          totalPrice: booking.totalPrice,
+          agent: booking.agent,
+          promoHunterStatus: booking.promoHunterStatus
+        }))
+    };
+  }
+
+  /**
+   * Profiles matching a search term, best first: exact email, phone (any format) or social handle,
+   * then names by similarity ("Ma. Cristina Santos" finds "Maria Cristina Santos") or prefix.
+   * Each result carries a score from 0 to 1.
+   */
+  async search(term, { branches = null, limit = 20 } = {}) {
+    const query = String(term || '').trim();
+    if (!query) return [];
+
+    const customers = await this.getCustomers({ branches });
+    const email = normalizeEmail(query);
+    const phone = normalizePhone(query);
+    const social = normalizeSocial(query);
+    // Where the given names end is unknown, so every split of the query is tried
+    const words = query.split(/\s+/);
+    const queryNames = words.slice(1).map((_, index) =>
+      parseName(words.slice(0, index + 1).join(' '), words.slice(index + 1).join(' '))
+    ).filter(Boolean);
+    const queryText = query.toLowerCase();
+
+    return customers
+      .map(customer => {
+        let score = 0;
+        if (email && normalizeEmail(customer.email) === email) score = 1;
+        else if (phone && phone.length >= 7 && normalizePhone(customer.phone) === phone) score = 1;
+        else if (social && normalizeSocial(customer.socialMedia) === social) score = 1;
+        else {
+          const fullName = `${customer.firstName} ${customer.lastName}`.toLowerCase();
+          const name = parseName(customer.firstName, customer.lastName);
+          const similarity = Math.max(0, ...queryNames.map(queryName => compareNames(queryName, name)));
+          if (similarity >= SEARCH_NAME_THRESHOLD) score = similarity * 0.95;
+          else if (fullName.startsWith(queryText) || customer.lastName.toLowerCase().startsWith(queryText)) score = 0.6;
+          else if (queryText.length >= 3 && fullName.includes(queryText)) score = 0.5;
+        }
+        return { ...customer, score: Math.round(score * 1000) / 1000 };
+      })
+      .filter(customer => customer.score > 0)
+      .sort((a, b) => b.score - a.score || b.bookingCount - a.bookingCount)
+      .slice(0, limit);
+  }
+
+  /**
+   * Groups of profiles that are likely the same person: profiles sharing an email, phone, social handle
+   * or full name, taken from the normalized columns of their bookings (email_norm, phone_norm, social_norm,
+   * full_name_norm; a companion counts with companion_full_name_norm) and from the profiles themselves.
+   * Profiles are grouped transitively. Each group lists what its members share (matchedOn); groups
+   * matched on contact details come before name-only ones, which need a closer look before merging.
+   */
+  async findDuplicates() {
+    const [registry, bookings] = await Promise.all([
+      this.getRegistry(),
+      bookingRepository.findAll({ useCache: true })
+    ]);
+
+    const keysOf = new Map(); // customerId -> Set of "signal:value"
+    const addKey = (customerId, signal, value) => {
+      const customer = registry.canonical(customerId);
+      if (!customer || !value) return;
+      if (!keysOf.has(customer.customerId)) keysOf.set(customer.customerId, new Set());
+      keysOf.get(customer.customerId).add(`${signal}:${value}`);
+    };
+
+    registry.active.forEach(customer => {
+      addKey(customer.customerId, 'email', normalizeEmail(customer.email));
+      addKey(customer.customerId, 'phone', normalizePhone(customer.phone));
+      addKey(customer.customerId, 'social', normalizeSocial(customer.socialMedia));
+      addKey(customer.customerId, 'name', normalizeFullName(customer.firstName, customer.lastName));
+    });
+    bookings.forEach(booking => {
+      Object.entries(DUPLICATE_SIGNALS).forEach(([signal, column]) => addKey(booking.customerId, signal, booking[column]));
+      addKey(booking.companionCustomerId, 'name', booking.companionFullNameNorm);
+    });
+
+    const idsByKey = new Map(); // "signal:value" -> [customerId]
+    keysOf.forEach((keys, customerId) => keys.forEach(key => {
+      idsByKey.set(key, [...(idsByKey.get(key) || []), customerId]);
+    }));
+
+    // Union-find over profiles sharing a key
+    const parent = new Map();
+    const find = (id) => {
+      while (parent.get(id) !== id) id = parent.get(id);
+      return id;
+    };
+    const shared = [...idsByKey.entries()].filter(([, ids]) => ids.length > 1);
+    shared.forEach(([, ids]) => ids.forEach(id => parent.has(id) || parent.set(id, id)));
+    shared.forEach(([, [first, ...rest]]) => rest.forEach(id => parent.set(find(id), find(first))));
+
+    const groups = new Map(); // root -> { customerIds, matchedOn }
+    shared.forEach(([key, ids]) => {
+      const root = find(ids[0]);
+      if (!groups.has(root)) groups.set(root, { customerIds: new Set(), matchedOn: new Set() });
+      const group = groups.get(root);
+      ids.forEach(id => group.customerIds.add(id));
+      group.matchedOn.add(key.slice(0, key.indexOf(':')));
+    });
+
+    const summaries = this.summarize(bookings, registry);
+    const signals = Object.keys(DUPLICATE_SIGNALS);
+    const contactMatch = (group) => group.matchedOn.some(signal => signal !== 'name');
+
+    return [...groups.values()]
+      .map(group => ({
+        matchedOn: signals.filter(signal => group.matchedOn.has(signal)),
+        customers: [...group.customerIds]
+          .map(id => this.describe(registry.get(id), summaries.get(id)))
+          .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      }))
+      .sort((a, b) => contactMatch(b) - contactMatch(a) || b.customers.length - a.customers.length);
+  }
+
+  /**
+   * Merge duplicate profiles into targetId. fields picks, for each of firstName, lastName, email, phone
+   * and socialMedia, the profile (targetId or one of mergeIds) whose value survives; unpicked fields keep
+   * the target's value. The merged profiles stay in the sheet with merged_into set, so their ids keep
+   * resolving, and every booking pointing at them (as customer or companion) is moved to the target.
+   * Returns { before, customer, mergedIds, DB, Intake } with the profiles as they were, the merged profile
+   * and the number of booking rows updated per sheet, or null if a profile does not exist.
+   * Throws CustomerMergeError when a profile was already merged.
+   */
+  async merge(targetId, mergeIds, fields = {}) {
+    return this.withWriteLock(async () => {
+      const registry = new CustomerRegistry(await this.readCustomers());
+      const ids = [targetId, ...mergeIds];
+      const profiles = ids.map(id => registry.get(id));
+      if (profiles.some(profile => !profile)) return null;
+
+      const merged = profiles.find(profile => profile.mergedInto);
+      if (merged) {
+        throw new CustomerMergeError(`Customer ${merged.customerId} was already merged into ${merged.mergedInto}`);
+      }
+
+      const before = profiles.map(({ rowNumber, ...profile }) => ({ ...profile }));
+      const [target, ...duplicates] = profiles;
+      const now = new Date().toISOString();
+
+      const chosen = {};
+      MERGE_FIELDS.forEach(field => {
+        chosen[field] = registry.get(fields[field] || targetId)[field];
+      });
+      Object.assign(target, chosen, { updatedAt: now });
+      registry.pending.set(targetId, target);
+
+      duplicates.forEach(duplicate => {
+        Object.assign(duplicate, { mergedInto: targetId, mergedAt: now, updatedAt: now });
+        registry.pending.set(duplicate.customerId, duplicate);
+      });
+
+      await this.savePending(registry);
+
+      const mergedIdSet = new Set(mergeIds);
+      const assignments = new Map();
+      const dbBookings = await bookingRepository.findAll({ includeInactive: true });
+      const intakeBookings = await bookingRepository.findAll({ sheet: 'Intake', includeInactive: true });
+      [...dbBookings, ...intakeBookings].forEach(booking => {
+        if (!booking.recordId) return;
+        const assignment = assignments.get(booking.recordId) || {};
+        if (mergedIdSet.has(booking.customerId)) assignment.customerId = targetId;
+        if (mergedIdSet.has(booking.companionCustomerId)) assignment.companionCustomerId = targetId;
+        if (Object.keys(assignment).length > 0) assignments.set(booking.recordId, assignment);
+      });
+      const sheets = await bookingRepository.assignCustomerIds(assignments);
+
+      const { rowNumber, ...customer } = target;
+      return { before, customer, mergedIds: mergeIds, ...sheets };
+    });
+  }
+}
+
+module.exports = new CustomerService();
+module.exports.CustomerMergeError = CustomerMergeError;
+module.exports.MERGE_FIELDS = MERGE_FIELDS;
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const { parseBranches, formatBranches } = require('../utils/branchScope');
+
+// How long an invitation stays usable unless the admin picks another lifetime
+const DEFAULT_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+
+const INVITATION_STATUS = {
+  PENDING: 'pending',
+  USED: 'used',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired'
+};
+
+// Only a SHA-256 of the token is stored, so the sheet alone cannot be used to sign up
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Thrown by redeem() when the token cannot be used for this signup
+ */
+class InvitationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvitationError';
+  }
+}
+
+/**
+ * Single-use, expiring signup invitations issued by admins, stored in the Invitations sheet.
+ * Rows are never deleted - used and revoked invitations stay as a record of who invited whom.
+ */
+class InvitationService {
+  constructor() {
+    // Redeeming runs one at a time so a token can never be used twice
+    this.writeQueue = Promise.resolve();
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  statusOf(invitation, now = new Date()) {
+    if (invitation.revokedAt) return INVITATION_STATUS.REVOKED;
+    if (invitation.usedAt) return INVITATION_STATUS.USED;
+    if (new Date(invitation.expiresAt) <= now) return INVITATION_STATUS.EXPIRED;
+    return INVITATION_STATUS.PENDING;
+  }
+
+  // Invitation as returned to clients (never includes the token hash)
+  toInvitation(row, schema) {
+    const { tokenHash, ...invitation } = schema.toObject(row);
+    return { ...invitation, branches: parseBranches(invitation.branches), status: this.statusOf(invitation) };
+  }
+
+  async readAll() {
+    const schema = await schemaService.ensureSchema('Invitations');
+    const rows = await sheetsService.readSheet('Invitations');
+    return { schema, rows };
+  }
+
+  /**
+   * Issue an invitation for one email address, role and (optionally) the branches the user will work at.
+   * Returns { invitation, token } - the token is only ever available here.
+   */
+  async create({ email, role, branches = [], expiresInHours = DEFAULT_TTL_HOURS }, invitedBy = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const invitation = {
+      inviteId: uuidv4(),
+      email: email.toLowerCase(),
+      role,
+      branches: parseBranches(branches),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + expiresInHours * 60 * 60 * 1000).toISOString(),
+      invitedById: invitedBy.userId || '',
+      invitedByName: invitedBy.name || '',
+      usedAt: '',
+      usedById: '',
+      revokedAt: ''
+    };
+
+    const schema = await schemaService.ensureSchema('Invitations');
+    await sheetsService.appendRow('Invitations', schema.toRow({
+      ...invitation,
+      branches: formatBranches(invitation.branches),
+      tokenHash: hashToken(token)
+    }));
+
+    return { invitation: { ...invitation, status: INVITATION_STATUS.PENDING }, token };
+  }
+
+  /**
+   * Invitations, newest first. status filters on the derived status (pending, used, revoked, expired).
+   */
+  async findAll({ status, email } = {}) {
+    const { schema, rows } = await this.readAll();
+    const emailLower = email ? email.toLowerCase() : null;
+
+    return rows.slice(1)
+      .map(row => this.toInvitation(row, schema))
+      .filter(invitation => {
+        if (status && invitation.status !== status) return false;
+        if (emailLower && invitation.email !== emailLower) return false;
+        return true;
+      })
+      .reverse();
+  }
+
+  /**
+   * Revoke a pending invitation. Returns the revoked invitation, or null if it does not exist.
+   * Throws InvitationError if it is no longer pending.
+   */
+  async revoke(inviteId) {
+    return this.withWriteLock(async () => {
+      const { schema, rows } = await this.readAll();
+      const index = rows.findIndex((row, i) => i > 0 && schema.get(row, 'inviteId') === inviteId);
+      if (index < 1) return null;
+
+      const row = rows[index];
+      const status = this.statusOf(schema.toObject(row));
+      if (status !== INVITATION_STATUS.PENDING) {
+        throw new InvitationError(`Invitation is already ${status}`);
+      }
+
+      schema.set(row, 'revokedAt', new Date().toISOString());
+      await sheetsService.updateRow('Invitations', index + 1, row);
+
+      return this.toInvitation(row, schema);
+    });
+  }
+
+  /**
+   * Use an invitation to sign up. createUser(invitation) runs while the invitation is locked and must
+   * resolve to the new user's id; the invitation is then marked as used by that user.
+   * Throws InvitationError if the token is unknown, expired, used, revoked or issued for another email.
+   */
+  async redeem(token, email, createUser) {
+    return this.withWriteLock(async () => {
+      const { schema, rows } = await this.readAll();
+      const tokenHash = hashToken(token);
+      const index = rows.findIndex((row, i) => i > 0 && schema.get(row, 'tokenHash') === tokenHash);
+
+      if (index < 1) {
+        throw new InvitationError('Invalid invitation');
+      }
+
+      const row = rows[index];
+      const invitation = this.toInvitation(row, schema);
+
+      if (invitation.status !== INVITATION_STATUS.PENDING) {
+        throw new InvitationError(`Invitation is ${invitation.status}`);
+      }
+      if (invitation.email !== email.toLowerCase()) {
+        throw new InvitationError('Invitation was issued for a different email address');
+      }
+
+      const userId = await createUser(invitation);
+
+      schema.set(row, 'usedAt', new Date().toISOString());
+      schema.set(row, 'usedById', userId);
+      await sheetsService.updateRow('Invitations', index + 1, row);
+
+      return this.toInvitation(row, schema);
+    });
+  }
+}
+
+module.exports = new InvitationService();
+module.exports.InvitationError = InvitationError;
+module.exports.INVITATION_STATUS = INVITATION_STATUS;
@@ -0,0 +1,122 @@
+const NodeCache = require('node-cache');
+const userRepository = require('../repositories/user.repository');
+
+// Failed logins in a row before an account is locked, and for how long
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+// Failed logins from one IP (any account) before that IP is blocked for LOCK_MINUTES.
+// Kept higher than the account limit because a branch's staff may share one public IP.
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 30;
+// Failed responses are slowed down: 250ms, 500ms, 1s, ... capped at 8s
+const BASE_DELAY_MS = process.env.LOGIN_DELAY_BASE_MS !== undefined ? parseInt(process.env.LOGIN_DELAY_BASE_MS) : 250;
+const MAX_DELAY_MS = 8000;
+
+const LOCK_MS = LOCK_MINUTES * 60 * 1000;
+
+// Per-IP failures only need to survive the lock window, so they live in memory
+const ipFailures = new NodeCache({ stdTTL: LOCK_MINUTES * 60 });
+// ...as do per-email failure streaks, kept for unknown emails too (see recordFailure)
+const emailFailures = new NodeCache({ stdTTL: LOCK_MINUTES * 60 });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Brute-force protection for login.
+ * Per-account failures are stored on the Users row (failed_login_count, last_failed_login_at,
+ * last_failed_login_ip, locked_until) so they survive restarts and show up in the user list;
+ * per-IP failures are tracked in memory.
+ */
+class LoginGuardService {
+  // Seconds until the IP may try again, or 0 if it is not blocked
+  ipRetryAfter(ip) {
+    const entry = ipFailures.get(ip);
+    if (!entry || entry.count < MAX_IP_FAILURES) return 0;
+    return Math.max(0, Math.ceil((entry.blockedUntil - Date.now()) / 1000));
+  }
+
+  // Seconds until the account unlocks, or 0 if it is not locked
+  accountRetryAfter(schema, userRow) {
+    const lockedUntil = new Date(schema.get(userRow, 'lockedUntil'));
+    if (isNaN(lockedUntil.getTime())) return 0;
+    return Math.max(0, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  }
+
+  // Lockout fields of a Users row, as shown to admins
+  describe(schema, userRow) {
+    return {
+      failedLoginCount: parseInt(schema.get(userRow, 'failedLoginCount')) || 0,
+      lastFailedLoginAt: schema.get(userRow, 'lastFailedLoginAt'),
+      lastFailedLoginIp: schema.get(userRow, 'lastFailedLoginIp'),
+      lockedUntil: schema.get(userRow, 'lockedUntil'),
+      locked: this.accountRetryAfter(schema, userRow) > 0
+    };
+  }
+
+  /**
+   * Count a failed login from an IP for the email it tried, against the account when userId is given,
+   * then wait out the progressive delay. Returns { failures, locked } for the account (failures is 0
+   * without userId).
+   */
+  async recordFailure(ip, { userId = null, email = '' } = {}) {
+    const now = Date.now();
+
+    const ipEntry = ipFailures.get(ip) || { count: 0 };
+    ipEntry.count++;
+    if (ipEntry.count >= MAX_IP_FAILURES) {
+      ipEntry.blockedUntil = now + LOCK_MS;
+      console.warn(`⚠️ Login blocked for IP ${ip} after ${ipEntry.count} failed attempts`);
+    }
+    ipFailures.set(ip, ipEntry);
+
+    // Every email keeps a streak, whether or not it has an account (or the account is locked),
+    // so the delay does not tell the two apart
+    const emailKey = String(email).toLowerCase();
+    const emailStreak = emailKey ? (emailFailures.get(emailKey) || 0) + 1 : 0;
+    if (emailKey) emailFailures.set(emailKey, emailStreak);
+
+    let result = { failures: 0, locked: false };
+    if (userId) {
+      result = await userRepository.withUserRow(userId, (schema, row) => {
+        // A failure streak older than the lock window starts over
+        const lastFailure = new Date(schema.get(row, 'lastFailedLoginAt')).getTime();
+        const previous = !isNaN(lastFailure) && now - lastFailure < LOCK_MS
+          ? parseInt(schema.get(row, 'failedLoginCount')) || 0
+          : 0;
+        const failures = previous + 1;
+        const locked = failures >= MAX_ACCOUNT_FAILURES;
+
+        schema.set(row, 'failedLoginCount', failures);
+        schema.set(row, 'lastFailedLoginAt', new Date(now).toISOString());
+        schema.set(row, 'lastFailedLoginIp', ip);
+        if (locked) {
+          schema.set(row, 'lockedUntil', new Date(now + LOCK_MS).toISOString());
+          console.warn(`🔒 Account ${schema.get(row, 'email')} locked for ${LOCK_MINUTES} minutes after ${failures} failed logins`);
+        }
+
+        return { failures, locked };
+      }) || result;
+    }
+
+    // An account's streak survives restarts; without an email only the IP's count is left
+    const attempts = emailKey ? Math.max(emailStreak, result.failures) : ipEntry.count;
+    await sleep(Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS));
+
+    return result;
+  }
+
+  /**
+   * Clear the failure streak and lock on a Users row in place (the caller writes the row).
+   * Returns true if anything changed.
+   */
+  clear(schema, userRow) {
+    emailFailures.del(String(schema.get(userRow, 'email')).toLowerCase());
+    if (!parseInt(schema.get(userRow, 'failedLoginCount')) && !schema.get(userRow, 'lockedUntil')) {
+      return false;
+    }
+    schema.set(userRow, 'failedLoginCount', 0);
+    schema.set(userRow, 'lockedUntil', '');
+    return true;
+  }
+}
+
+module.exports = new LoginGuardService();
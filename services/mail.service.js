@@ -0,0 +1,46 @@
+const ConsoleTransport = require('./mail/console.transport');
+const FileTransport = require('./mail/file.transport');
+const WebhookTransport = require('./mail/webhook.transport');
+
+/**
+ * Mail transport selection
+ * MAIL_TRANSPORT=console (default) logs messages, MAIL_TRANSPORT=file writes them to MAIL_DIR,
+ * MAIL_TRANSPORT=webhook POSTs them to MAIL_WEBHOOK_URL.
+ *
+ * Every transport implements send({ from, to, subject, text }).
+ */
+const transports = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  webhook: WebhookTransport
+};
+
+function createMailTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const Transport = transports[name.toLowerCase()];
+  if (!Transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return new Transport();
+}
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // The transport is created on first use so a misconfigured webhook only fails the mail, not startup
+  async send({ to, subject, text }) {
+    if (!this.transport) {
+      this.transport = createMailTransport();
+    }
+
+    await this.transport.send({
+      from: process.env.MAIL_FROM || 'no-reply@localhost',
+      to,
+      subject,
+      text
+    });
+  }
+}
+
+module.exports = new MailService();
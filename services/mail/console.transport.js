@@ -0,0 +1,15 @@
+/**
+ * Mail transport that prints messages to the server log instead of sending them.
+ * Default for local development - reset links can be copied straight from the console.
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ from, to, subject, text }) {
+    console.log(`📧 Mail (not sent, MAIL_TRANSPORT=console)\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+  }
+}
+
+module.exports = ConsoleTransport;
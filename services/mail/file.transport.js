@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transport that writes each message to its own file (MAIL_DIR, defaults to data/mail)
+ * so local setups and scripted checks can read what would have been sent.
+ */
+class FileTransport {
+  constructor(dir) {
+    this.dir = path.resolve(dir || process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'data', 'mail'));
+    this.name = 'file';
+  }
+
+  async send({ from, to, subject, text }) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const safeRecipient = to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = path.join(this.dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.txt`);
+
+    await fs.promises.writeFile(filePath, `From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`, 'utf-8');
+    console.log(`📧 Mail to ${to} written to ${filePath}`);
+  }
+}
+
+module.exports = FileTransport;
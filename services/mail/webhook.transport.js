@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+/**
+ * Mail transport that POSTs each message as JSON ({ from, to, subject, text }) to MAIL_WEBHOOK_URL,
+ * e.g. an email provider's HTTP API or an automation hook that sends the mail.
+ * MAIL_WEBHOOK_TOKEN, when set, is sent as a Bearer token.
+ */
+class WebhookTransport {
+  constructor(url, token) {
+    this.url = url || process.env.MAIL_WEBHOOK_URL;
+    this.token = token || process.env.MAIL_WEBHOOK_TOKEN;
+    this.name = 'webhook';
+
+    if (!this.url) {
+      throw new Error('MAIL_WEBHOOK_URL is required when MAIL_TRANSPORT=webhook');
+    }
+  }
+
+  async send(message) {
+    await axios.post(this.url, message, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      timeout: 10000
+    });
+  }
+}
+
+module.exports = WebhookTransport;
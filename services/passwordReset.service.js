@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const { clientIp } = require('../utils/clientIp');
+
+// Reset links stop working after this many minutes
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Only a SHA-256 of the token is stored, so the sheet alone cannot be used to reset a password
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Thrown by redeem() when the reset token is unknown, expired or already used
+ */
+class PasswordResetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PasswordResetError';
+  }
+}
+
+/**
+ * One-time, expiring password reset tokens, stored in the PasswordResets sheet
+ */
+class PasswordResetService {
+  constructor() {
+    // Redeeming runs one at a time so a token can never be used twice
+    this.writeQueue = Promise.resolve();
+    this.ttlMinutes = RESET_TTL_MINUTES;
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Issue a reset token for a user. Returns the token - it is only ever available here.
+   */
+  async create(userId, req) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const schema = await schemaService.ensureSchema('PasswordResets');
+    await sheetsService.appendRow('PasswordResets', schema.toRow({
+      resetId: uuidv4(),
+      userId,
+      tokenHash: hashToken(token),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+      usedAt: '',
+      ip: clientIp(req)
+    }));
+
+    return token;
+  }
+
+  /**
+   * Use a reset token. resetPassword(userId) runs while the token is locked; afterwards the token
+   * and every other unused token of the same user are marked as used. Returns the userId.
+   * Throws PasswordResetError if the token is unknown, expired or already used.
+   */
+  async redeem(token, resetPassword) {
+    return this.withWriteLock(async () => {
+      const schema = await schemaService.ensureSchema('PasswordResets');
+      const rows = await sheetsService.readSheet('PasswordResets');
+      const tokenHash = hashToken(token);
+      const now = new Date();
+
+      const row = rows.find((r, i) => i > 0 && schema.get(r, 'tokenHash') === tokenHash);
+      if (!row || schema.get(row, 'usedAt')) {
+        throw new PasswordResetError('Invalid or already used reset token');
+      }
+      if (new Date(schema.get(row, 'expiresAt')) <= now) {
+        throw new PasswordResetError('Reset token expired');
+      }
+
+      const userId = schema.get(row, 'userId');
+      await resetPassword(userId);
+
+      const updates = [];
+      rows.forEach((r, i) => {
+        if (i > 0 && schema.get(r, 'userId') === userId && !schema.get(r, 'usedAt')) {
+          schema.set(r, 'usedAt', now.toISOString());
+          updates.push({ rowIndex: i + 1, values: r });
+        }
+      });
+      await sheetsService.updateRows('PasswordResets', updates);
+
+      return userId;
+    });
+  }
+}
+
+module.exports = new PasswordResetService();
+module.exports.PasswordResetError = PasswordResetError;
@@ -0,0 +1,519 @@
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const bookingRepository = require('../repositories/booking.repository');
+const { BOOKING_STATUS, resolveStatus } = require('../utils/bookingStatus');
+const {
+  normalizePhone,
+  normalizeEmail,
+  normalizeSocial,
+  normalizeFullName,
+  parseName,
+  compareNames
+} = require('../utils/identity');
+
+// How strongly each signal alone points to the same person (0-1). Signals combine as independent
+// evidence: confidence = 1 - (1 - w1)(1 - w2)..., so two weak signals can outweigh one strong one.
+const SIGNAL_WEIGHTS = {
+  email: 0.95,
+  phone: 0.95,
+  social: 0.85,
+  name: 0.85 // scaled by name similarity, so only an exact or abbreviation-only difference counts fully
+};
+
+const readThreshold = (value, fallback) => {
+  const threshold = parseFloat(value);
+  return threshold >= 0 && threshold <= 1 ? threshold : fallback;
+};
+
+// Matches at or above this confidence flag the booking as a promo hunter
+const FLAG_THRESHOLD = readThreshold(process.env.PROMO_HUNTER_FLAG_THRESHOLD, 0.8);
+
+// Weaker matches down to this confidence are still reported as possible matches
+const MATCH_THRESHOLD = readThreshold(process.env.PROMO_HUNTER_MATCH_THRESHOLD, 0.5);
+
+// Names less similar than this (see compareNames in utils/identity.js) are not a signal at all
+const NAME_THRESHOLD = readThreshold(process.env.PROMO_HUNTER_NAME_THRESHOLD, 0.8);
+
+// promo_hunter_status of bookings whose check failed; they wait in the review queue like flagged ones
+const UNCHECKED_STATUS = 'Unknown';
+
+// promo_review values
+const PROMO_REVIEW = {
+  CONFIRMED: 'confirmed',
+  DISMISSED: 'dismissed'
+};
+
+// Allow-list reads are cached between writes
+const ALLOW_LIST_TTL_MS = 5 * 60 * 1000;
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Thrown by review() for bookings that cannot be reviewed
+ */
+class PromoReviewError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromoReviewError';
+  }
+}
+
+/**
+ * Identity fields of a booking, normalized once per check
+ */
+function identityOf(booking) {
+  return {
+    email: normalizeEmail(booking.email),
+    phone: normalizePhone(booking.phone),
+    social: normalizeSocial(booking.socialMedia),
+    name: parseName(booking.firstName, booking.lastName),
+    companionName: parseName(booking.companionFirstName, booking.companionLastName)
+  };
+}
+
+/**
+ * What an allow-list entry remembers of one person on a booking: the customer's contact details
+ * and name, or only the name for the companion
+ */
+function fingerprintOf(booking, party) {
+  if (party === 'companion') {
+    return { email: '', phone: '', social: '', name: normalizeFullName(booking.companionFirstName, booking.companionLastName) };
+  }
+  return {
+    email: normalizeEmail(booking.email),
+    phone: normalizePhone(booking.phone),
+    social: normalizeSocial(booking.socialMedia),
+    name: normalizeFullName(booking.firstName, booking.lastName)
+  };
+}
+
+// How well a fingerprint fits one side of an allow-list entry: a shared contact detail counts more than the name
+function affinity(fingerprint, side) {
+  const contact = ['email', 'phone', 'social'].some(key => side[key] && fingerprint[key] === side[key]);
+  return (contact ? 2 : 0) + (side.name && fingerprint.name === side.name ? 1 : 0);
+}
+
+// Whether a fingerprint is the person on side rather than the one on other (siblings may share a phone, not a name)
+const belongsTo = (fingerprint, side, other) => {
+  const score = affinity(fingerprint, side);
+  return score > 0 && score > affinity(fingerprint, other);
+};
+
+/**
+ * Scores new bookings against previous ones to find returning customers ("promo hunters"),
+ * and keeps the admin review of the flags: confirmed, or dismissed onto an allow-list
+ * so the same two people are not matched again.
+ * Contact details (email, phone, social handle) only belong to the booking's customer;
+ * names are compared both ways between customers and companions.
+ */
+class PromoHunterService {
+  constructor() {
+    this.flagThreshold = FLAG_THRESHOLD;
+    this.matchThreshold = MATCH_THRESHOLD;
+    this.nameThreshold = NAME_THRESHOLD;
+
+    // Allow-list writes replace a booking's entries, so they run one at a time
+    this.writeQueue = Promise.resolve();
+    this.allowListCache = null;
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Name signal: { weight, reason, side } for the closest name, or null below the name threshold
+  nameSignal(name, candidates) {
+    let best = null;
+    candidates.forEach(({ name: other, side, exactReason, similarReason }) => {
+      const similarity = compareNames(name, other);
+      if (similarity >= this.nameThreshold && (!best || similarity > best.similarity)) {
+        best = {
+          similarity,
+          side,
+          weight: SIGNAL_WEIGHTS.name * similarity,
+          reason: similarity === 1 ? exactReason : `${similarReason} (${percent(similarity)})`
+        };
+      }
+    });
+    return best;
+  }
+
+  // { confidence, reasons } from the signals that fired, or null when none did
+  combine(signals) {
+    const fired = signals.filter(Boolean);
+    if (fired.length === 0) return null;
+
+    const confidence = 1 - fired.reduce((remaining, signal) => remaining * (1 - signal.weight), 1);
+    return { confidence, reasons: fired.map(signal => signal.reason) };
+  }
+
+  // Whether an admin dismissed a match between these two people before
+  isAllowListed(candidate, matched, allowList) {
+    return allowList.some(entry => {
+      const side = { email: entry.email, phone: entry.phone, social: entry.social, name: entry.name };
+      const matchedSide = {
+        email: entry.matchedEmail,
+        phone: entry.matchedPhone,
+        social: entry.matchedSocial,
+        name: entry.matchedName
+      };
+      return (belongsTo(candidate, side, matchedSide) && belongsTo(matched, matchedSide, side)) ||
+        (belongsTo(candidate, matchedSide, side) && belongsTo(matched, side, matchedSide));
+    });
+  }
+
+  /**
+   * Every previous booking that matches the new booking's customer or companion, strongest first:
+   * [{ rowNumber, recordId, date, branch, party, matchedParty, confidence, reasons, flagged, allowListed }].
+   * party is who in the new booking was recognized and matchedParty who they were on the previous
+   * booking ('customer' or 'companion'). Pairs on the allow-list are reported but never flagged.
+   */
+  findMatches(booking, previousBookings, allowList = []) {
+    const candidate = identityOf(booking);
+    const matches = [];
+
+    previousBookings.forEach(previous => {
+      const existing = identityOf(previous);
+      const scored = [];
+
+      const nameCandidates = (customerReasons, companionReasons) => [
+        { name: existing.name, side: 'customer', ...customerReasons },
+        { name: existing.companionName, side: 'companion', ...companionReasons }
+      ];
+
+      if (candidate.name || candidate.email || candidate.phone || candidate.social) {
+        const contactSignals = [
+          candidate.email && candidate.email === existing.email && { weight: SIGNAL_WEIGHTS.email, reason: 'Email match' },
+          candidate.phone && candidate.phone === existing.phone && { weight: SIGNAL_WEIGHTS.phone, reason: 'Phone match' },
+          candidate.social && candidate.social === existing.social && { weight: SIGNAL_WEIGHTS.social, reason: 'Social media match' }
+        ].filter(Boolean);
+        const nameMatch = candidate.name && this.nameSignal(candidate.name, nameCandidates(
+          { exactReason: 'Customer name match', similarReason: 'Similar customer name' },
+          { exactReason: 'Previously companion', similarReason: 'Similar to previous companion' }
+        ));
+
+        scored.push({
+          party: 'customer',
+          // Contact details only exist for the customer, so they decide who was matched
+          matchedParty: contactSignals.length > 0 || !nameMatch ? 'customer' : nameMatch.side,
+          ...this.combine([...contactSignals, nameMatch])
+        });
+      }
+
+      if (candidate.companionName) {
+        const nameMatch = this.nameSignal(candidate.companionName, nameCandidates(
+          { exactReason: 'Companion match (was customer)', similarReason: 'Companion similar to previous customer' },
+          { exactReason: 'Companion match (was companion)', similarReason: 'Companion similar to previous companion' }
+        ));
+
+        scored.push({
+          party: 'companion',
+          matchedParty: nameMatch ? nameMatch.side : 'customer',
+          ...this.combine([nameMatch])
+        });
+      }
+
+      scored
+        .filter(match => match.confidence >= this.matchThreshold)
+        .forEach(match => {
+          const allowListed = allowList.length > 0 && this.isAllowListed(
+            fingerprintOf(booking, match.party),
+            fingerprintOf(previous, match.matchedParty),
+            allowList
+          );
+
+          matches.push({
+            rowNumber: previous.rowNumber,
+            recordId: previous.recordId || '',
+            date: previous.date,
+            branch: previous.branch,
+            party: match.party,
+            matchedParty: match.matchedParty,
+            confidence: Math.round(match.confidence * 1000) / 1000,
+            reasons: allowListed ? [...match.reasons, 'Dismissed before'] : match.reasons,
+            flagged: !allowListed && match.confidence >= this.flagThreshold,
+            allowListed
+          });
+        });
+    });
+
+    // Strongest first; among equals the most recent booking (highest row) first
+    return matches.sort((a, b) => b.confidence - a.confidence || b.rowNumber - a.rowNumber);
+  }
+
+  /**
+   * Check a new booking against the DB sheet, scoring only the bookings the identity index
+   * files under the same email, phone, social handle or name. Returns the status to give it and the evidence:
+   * { status, confidence, matches, matchCount, matchReason, matchedSource, matchedRow, matchedRecordIds }.
+   * matchReason / matchedSource describe the strongest match, matchedRecordIds lists the record_ids of every
+   * flagged booking and matchedRow labels them by row for display; they stay empty unless the booking is flagged.
+   */
+  async check(booking) {
+    const [previousBookings, allowList] = await Promise.all([
+      bookingRepository.findIdentityCandidates(booking),
+      this.getAllowList()
+    ]);
+    const matches = this.findMatches(booking, previousBookings, allowList);
+    const flagged = matches.filter(match => match.flagged);
+
+    if (flagged.length === 0) {
+      return {
+        status: BOOKING_STATUS.SCHEDULED,
+        confidence: matches.length > 0 ? matches[0].confidence : 0,
+        matches,
+        matchCount: 0,
+        matchReason: '',
+        matchedSource: '',
+        matchedRow: '',
+        matchedRecordIds: ''
+      };
+    }
+
+    const [best] = flagged;
+    return {
+      status: BOOKING_STATUS.PROMO_HUNTER,
+      confidence: best.confidence,
+      matches,
+      matchCount: flagged.length,
+      matchReason: `${best.reasons.join(' + ')}, ${percent(best.confidence)} confidence`,
+      matchedSource: `${best.party} (${best.branch})`,
+      matchedRow: flagged.map(match => `Row ${match.rowNumber}`).join(', '),
+      // Legacy rows without a record_id only appear in the row label
+      matchedRecordIds: flagged.map(match => match.recordId).filter(Boolean).join(', ')
+    };
+  }
+
+  /**
+   * Result for a booking whose check could not run: it is saved unflagged with
+   * promo_hunter_status "Unknown", which puts it in the review queue
+   */
+  uncheckedResult() {
+    return {
+      status: UNCHECKED_STATUS,
+      confidence: 0,
+      matches: [],
+      matchCount: 0,
+      matchReason: 'Promo hunter check failed',
+      matchedSource: '',
+      matchedRow: '',
+      matchedRecordIds: ''
+    };
+  }
+
+  // Flagged or unchecked at creation, or reviewed since
+  isFlagged(booking) {
+    return resolveStatus(booking.promoHunterStatus) === BOOKING_STATUS.PROMO_HUNTER ||
+      String(booking.promoHunterStatus || '').trim() === UNCHECKED_STATUS ||
+      Boolean(booking.promoReview);
+  }
+
+  // 'pending', 'confirmed' or 'dismissed'
+  reviewStatusOf(booking) {
+    return Object.values(PROMO_REVIEW).includes(booking.promoReview) ? booking.promoReview : 'pending';
+  }
+
+  /**
+   * Flagged bookings with their match evidence, newest first.
+   * status: 'pending' (default), 'confirmed', 'dismissed' or 'all'; branches: a branch scope (null for all).
+   * matched_record_ids is resolved to the bookings it points at (matchedBookings).
+   */
+  async getReviewQueue({ status = 'pending', branches = null } = {}) {
+    const flagged = (await bookingRepository.findAll({ branches }))
+      .filter(booking => this.isFlagged(booking))
+      .filter(booking => status === 'all' || this.reviewStatusOf(booking) === status)
+      .reverse();
+
+    // The read above refreshed the cache, so the lookups below do not re-read the sheet
+    const findMatched = async (booking) => {
+      const recordIds = String(booking.matchedRecordIds || '').split(',').map(id => id.trim()).filter(Boolean);
+      const matched = await Promise.all(recordIds.map(recordId =>
+        bookingRepository.findByRecordId(recordId, { sheet: 'DB', useCache: true })
+      ));
+      return matched.filter(Boolean);
+    };
+
+    return Promise.all(flagged.map(async booking => ({
+      recordId: booking.recordId,
+      rowNumber: booking.rowNumber,
+      timestamp: booking.timestamp,
+      date: booking.date,
+      branch: booking.branch,
+      firstName: booking.firstName,
+      lastName: booking.lastName,
+      phone: booking.phone,
+      email: booking.email,
+      socialMedia: booking.socialMedia,
+      companionFirstName: booking.companionFirstName,
+      companionLastName: booking.companionLastName,
+      agent: booking.agent,
+      status: booking.status,
+      promoHunterStatus: booking.promoHunterStatus,
+      matchReason: booking.matchReason,
+      matchedSource: booking.matchedSource,
+      matchedRow: booking.matchedRow,
+      matchedBookings: (await findMatched(booking)).map(matched => ({
+        recordId: matched.recordId,
+        rowNumber: matched.rowNumber,
+        firstName: matched.firstName,
+        lastName: matched.lastName,
+        date: matched.date,
+        branch: matched.branch
+      })),
+      review: {
+        status: this.reviewStatusOf(booking),
+        note: booking.promoReviewNote || '',
+        reviewedAt: booking.promoReviewedAt || null,
+        reviewedBy: booking.promoReviewedById
+          ? { userId: booking.promoReviewedById, name: booking.promoReviewedByName }
+          : null
+      }
+    })));
+  }
+
+  /**
+   * Confirm or dismiss the flag on a booking (decision: 'confirmed' or 'dismissed').
+   * Dismissing clears the promo hunter status and allow-lists every pair the booking was flagged for;
+   * confirming (also after a dismissal, or of an "Unknown" booking) sets it - as the dashboard status too,
+   * like a booking flagged when it was created - and removes the booking's allow-list entries.
+   * Returns { before, booking, allowListed }, or null if the booking does not exist.
+   * Throws PromoReviewError if the booking was never flagged.
+   */
+  async review(recordId, { decision, note = '' }, actor = {}) {
+    const before = await bookingRepository.findByRecordId(recordId, { sheet: 'DB' });
+    if (!before) return null;
+
+    if (!this.isFlagged(before)) {
+      throw new PromoReviewError('Booking was not flagged as a promo hunter');
+    }
+
+    const changes = {
+      promoReview: decision,
+      promoReviewNote: note,
+      promoReviewedAt: new Date().toISOString(),
+      promoReviewedById: actor.userId || '',
+      promoReviewedByName: actor.name || ''
+    };
+    let entries = [];
+
+    if (decision === PROMO_REVIEW.DISMISSED) {
+      entries = await this.allowListEntriesFor(before, note, actor);
+      changes.promoHunterStatus = BOOKING_STATUS.SCHEDULED;
+      if (resolveStatus(before.dashBookingStatus) === BOOKING_STATUS.PROMO_HUNTER) {
+        changes.dashBookingStatus = before.status;
+      }
+    } else {
+      changes.promoHunterStatus = BOOKING_STATUS.PROMO_HUNTER;
+      changes.dashBookingStatus = BOOKING_STATUS.PROMO_HUNTER;
+    }
+
+    // The allow-list only changes once the review is on the booking, so a failed update leaves neither
+    const booking = await bookingRepository.update(recordId, changes, { actor });
+    if (!booking) return null;
+    await this.replaceAllowListEntries(recordId, entries);
+
+    // The Intake copy carries the flag as its status (what today's dashboard counts)
+    if (decision === PROMO_REVIEW.DISMISSED) {
+      const intakeCopy = await bookingRepository.findByRecordId(recordId, { sheet: 'Intake' });
+      if (intakeCopy && resolveStatus(intakeCopy.status) === BOOKING_STATUS.PROMO_HUNTER) {
+        await bookingRepository.updateIntakeCopy(recordId, { status: before.status, promoHunterStatus: BOOKING_STATUS.SCHEDULED });
+      }
+    } else {
+      await bookingRepository.updateIntakeCopy(recordId, {
+        status: BOOKING_STATUS.PROMO_HUNTER,
+        promoHunterStatus: BOOKING_STATUS.PROMO_HUNTER
+      });
+    }
+
+    return { before, booking, allowListed: entries.length };
+  }
+
+  // Allow-list entries for the pairs a booking is flagged for, re-matched against the bookings made before it
+  async allowListEntriesFor(booking, note, actor) {
+    const earlier = (await bookingRepository.findIdentityCandidates(booking))
+      .filter(previous => previous.rowNumber < booking.rowNumber && previous.recordId !== booking.recordId);
+    const byRow = new Map(earlier.map(previous => [previous.rowNumber, previous]));
+    const now = new Date().toISOString();
+
+    return this.findMatches(booking, earlier)
+      .filter(match => match.confidence >= this.flagThreshold)
+      .map(match => {
+        const side = fingerprintOf(booking, match.party);
+        const matchedSide = fingerprintOf(byRow.get(match.rowNumber), match.matchedParty);
+        return {
+          allowId: uuidv4(),
+          recordId: booking.recordId,
+          ...side,
+          matchedRecordId: match.recordId,
+          matchedEmail: matchedSide.email,
+          matchedPhone: matchedSide.phone,
+          matchedSocial: matchedSide.social,
+          matchedName: matchedSide.name,
+          note,
+          createdAt: now,
+          createdById: actor.userId || '',
+          createdByName: actor.name || ''
+        };
+      });
+  }
+
+  async readAllowList() {
+    const schema = await schemaService.getSchema('PromoHunterAllowList');
+    const rows = await sheetsService.readSheet('PromoHunterAllowList');
+
+    return rows.slice(1)
+      .map((row, index) => ({ ...schema.toObject(row), rowNumber: index + 2 }))
+      .filter(entry => entry.allowId);
+  }
+
+  async getAllowList() {
+    if (this.allowListCache && Date.now() - this.allowListCache.loadedAt < ALLOW_LIST_TTL_MS) {
+      return this.allowListCache.entries;
+    }
+
+    const entries = await this.readAllowList();
+    this.allowListCache = { entries, loadedAt: Date.now() };
+    return entries;
+  }
+
+  // Replace the allow-list entries created by dismissing a booking (none to just remove them)
+  async replaceAllowListEntries(recordId, entries) {
+    return this.withWriteLock(async () => {
+      const existing = (await this.readAllowList()).filter(entry => entry.recordId === recordId);
+
+      // Bottom-up, so deleting a row never shifts one still to be deleted
+      for (const entry of existing.sort((a, b) => b.rowNumber - a.rowNumber)) {
+        await sheetsService.deleteRow('PromoHunterAllowList', entry.rowNumber);
+      }
+
+      const schema = await schemaService.ensureSchema('PromoHunterAllowList');
+      for (const entry of entries) {
+        await sheetsService.appendRow('PromoHunterAllowList', schema.toRow(entry));
+      }
+
+      this.allowListCache = null;
+    });
+  }
+
+  /**
+   * Delete one allow-list entry, so the pair can be flagged again. The dismissed booking keeps its review.
+   * Returns the removed entry, or null if it does not exist.
+   */
+  async removeAllowListEntry(allowId) {
+    return this.withWriteLock(async () => {
+      const entry = (await this.readAllowList()).find(candidate => candidate.allowId === allowId);
+      if (!entry) return null;
+
+      await sheetsService.deleteRow('PromoHunterAllowList', entry.rowNumber);
+      this.allowListCache = null;
+      return entry;
+    });
+  }
+}
+
+module.exports = new PromoHunterService();
+module.exports.PromoReviewError = PromoReviewError;
+module.exports.PROMO_REVIEW = PROMO_REVIEW;
+module.exports.UNCHECKED_STATUS = UNCHECKED_STATUS;
@@ -0,0 +1,198 @@
+const NodeCache = require('node-cache');
+const sheetsService = require('./sheets.service');
+const { SHEET_COLUMNS, API_SHEETS, getDefaultHeaders } = require('../utils/sheetColumns');
+
+// Header rows change rarely - cache resolved schemas for 5 minutes
+const cache = new NodeCache({ stdTTL: 300 });
+
+class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+// "Facebook / Instagram Name", "facebook_instagram_name" and "FacebookInstagramName" all compare equal
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Column layout of one sheet, resolved from its header row.
+ * Translates between raw row arrays and objects keyed by the column keys in utils/sheetColumns.js.
+ */
+class SheetSchema {
+  constructor(sheetName, headers, columns) {
+    this.sheetName = sheetName;
+    this.headers = headers;
+    this.columns = {};
+    this.indexes = {};
+
+    const normalizedHeaders = headers.map(normalizeHeader);
+    const missing = [];
+
+    columns.forEach(column => {
+      this.columns[column.key] = column;
+
+      const accepted = [column.header, ...(column.aliases || [])].map(normalizeHeader);
+      const index = normalizedHeaders.findIndex(header => accepted.includes(header));
+
+      if (index !== -1) {
+        this.indexes[column.key] = index;
+      } else if (!column.optional && !column.managed) {
+        missing.push(column.header);
+      }
+    });
+
+    if (missing.length > 0) {
+      throw new SchemaError(
+        `${sheetName} sheet is missing required column(s): ${missing.join(', ')}. ` +
+        `Found headers: ${headers.join(', ') || '(none)'}`
+      );
+    }
+  }
+
+  // True when the column exists in this sheet
+  has(key) {
+    return this.indexes[key] !== undefined;
+  }
+
+  // 0-based column index; throws for keys that are not defined for this sheet
+  index(key) {
+    if (!this.columns[key]) {
+      throw new SchemaError(`Unknown column "${key}" for ${this.sheetName} sheet`);
+    }
+    if (!this.has(key)) {
+      throw new SchemaError(`${this.sheetName} sheet has no "${this.columns[key].header}" column`);
+    }
+    return this.indexes[key];
+  }
+
+  // Cell value for a column ('' when blank or when an optional column is absent)
+  get(row, key) {
+    if (!this.columns[key]) {
+      throw new SchemaError(`Unknown column "${key}" for ${this.sheetName} sheet`);
+    }
+    if (!this.has(key)) return '';
+
+    const value = row[this.indexes[key]];
+    return value === undefined || value === null ? '' : value;
+  }
+
+  // Set a cell value in place (ignored for absent optional columns)
+  set(row, key, value) {
+    if (!this.columns[key]) {
+      throw new SchemaError(`Unknown column "${key}" for ${this.sheetName} sheet`);
+    }
+    if (!this.has(key)) return row;
+
+    while (row.length <= this.indexes[key]) {
+      row.push('');
+    }
+    row[this.indexes[key]] = value === undefined || value === null ? '' : value;
+    return row;
+  }
+
+  // Row array -> { key: rawValue } for every known column
+  toObject(row) {
+    const result = {};
+    Object.keys(this.columns).forEach(key => {
+      result[key] = this.get(row, key);
+    });
+    return result;
+  }
+
+  // { key: value } -> row array laid out in this sheet's column order, starting from an optional existing row
+  toRow(values, baseRow = []) {
+    const row = Array.from({ length: Math.max(this.headers.length, baseRow.length) }, (_, i) =>
+      baseRow[i] === undefined || baseRow[i] === null ? '' : baseRow[i]
+    );
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.set(row, key, value);
+      }
+    });
+    return row;
+  }
+}
+
+class SchemaService {
+  constructor() {
+    // API-owned tabs already checked/created by this process
+    this.ensuredSheets = new Set();
+  }
+
+  /**
+   * Resolve the column layout of a sheet from its header row.
+   * Throws SchemaError if a required column is missing or was renamed.
+   */
+  async getSchema(sheetName) {
+    const cached = cache.get(sheetName);
+    if (cached) return cached;
+
+    const columns = SHEET_COLUMNS[sheetName];
+    if (!columns) {
+      throw new SchemaError(`No column definitions for sheet "${sheetName}"`);
+    }
+
+    // Tabs owned by the API are created with their header row on first use
+    if (API_SHEETS.includes(sheetName) && !this.ensuredSheets.has(sheetName)) {
+      await sheetsService.ensureSheet(sheetName, getDefaultHeaders(sheetName));
+      this.ensuredSheets.add(sheetName);
+    }
+
+    const headerRows = await sheetsService.readSheet(sheetName, '1:1');
+    const headers = headerRows[0] || [];
+
+    try {
+      const schema = new SheetSchema(sheetName, headers, columns);
+      cache.set(sheetName, schema);
+      return schema;
+    } catch (error) {
+      console.error(`❌ Schema error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Like getSchema, but first appends any missing managed columns to the header row.
+   * Call before writing so columns introduced by newer releases exist in older spreadsheets.
+   */
+  async ensureSchema(sheetName) {
+    const schema = await this.getSchema(sheetName);
+    const missing = Object.values(schema.columns).filter(column => column.managed && !schema.has(column.key));
+
+    if (missing.length === 0) {
+      return schema;
+    }
+
+    const headers = [...schema.headers, ...missing.map(column => column.header)];
+    await sheetsService.updateRow(sheetName, 1, headers);
+    console.log(`🧩 Added column(s) to ${sheetName} sheet: ${missing.map(column => column.header).join(', ')}`);
+
+    return this.fromHeaders(sheetName, headers);
+  }
+
+  // Resolve a schema against a header row that has already been read (e.g. rows[0] of a full read)
+  fromHeaders(sheetName, headers) {
+    const columns = SHEET_COLUMNS[sheetName];
+    if (!columns) {
+      throw new SchemaError(`No column definitions for sheet "${sheetName}"`);
+    }
+    const schema = new SheetSchema(sheetName, headers || [], columns);
+    cache.set(sheetName, schema);
+    return schema;
+  }
+
+  invalidate(sheetName) {
+    if (sheetName) {
+      cache.del(sheetName);
+    } else {
+      cache.flushAll();
+    }
+  }
+}
+
+const schemaService = new SchemaService();
+
+module.exports = schemaService;
+module.exports.SheetSchema = SheetSchema;
+module.exports.SchemaError = SchemaError;
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('./sheets.service');
+const schemaService = require('./schema.service');
+const twoFactorService = require('./twoFactor.service');
+const userRepository = require('../repositories/user.repository');
+const { clientIp } = require('../utils/clientIp');
+
+// Access tokens are short-lived; clients renew them with their refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// A session ends after this many days without a refresh
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Only a SHA-256 of each refresh token is stored, so the sheet alone cannot be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const refreshExpiry = (now) => new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Thrown when a refresh token cannot be used (unknown, expired, revoked or reused)
+ */
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+/**
+ * Login sessions, stored one row per session in the Sessions sheet.
+ * Each refresh rotates the session's refresh token in place; presenting an already rotated token
+ * means it was copied, so the whole session is revoked.
+ * Every user has a token_version in the Users sheet - bumping it (revokeAllForUser) invalidates
+ * all access tokens and sessions issued before.
+ */
+class SessionService {
+  constructor() {
+    // Refreshes run one at a time so a refresh token can never be rotated twice
+    this.writeQueue = Promise.resolve();
+  }
+
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Current token_version of a Users row (0 until the first revocation)
+  tokenVersionOf(schema, userRow) {
+    return parseInt(schema.get(userRow, 'tokenVersion')) || 0;
+  }
+
+  createAccessToken({ userId, email, tokenVersion = 0 }) {
+    return jwt.sign(
+      { userId, email, tokenVersion },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Access token + refresh token pair returned by login, signup and refresh
+  tokens(user, refreshToken) {
+    return {
+      token: this.createAccessToken(user),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+
+  /**
+   * Start a new session for a user ({ userId, email, tokenVersion }) and return its tokens
+   */
+  async start(user, req) {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const schema = await schemaService.ensureSchema('Sessions');
+    await sheetsService.appendRow('Sessions', schema.toRow({
+      sessionId: uuidv4(),
+      userId: user.userId,
+      tokenHash: hashToken(refreshToken),
+      previousTokenHash: '',
+      tokenVersion: user.tokenVersion || 0,
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      expiresAt: refreshExpiry(now),
+      revokedAt: '',
+      ip: clientIp(req),
+      userAgent: req ? req.headers['user-agent'] || '' : ''
+    }));
+
+    return this.tokens(user, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens. The old refresh token stops working.
+   * Throws SessionError if the session is unknown, expired or revoked, or the user was logged out everywhere.
+   */
+  async refresh(refreshToken) {
+    return this.withWriteLock(async () => {
+      const schema = await schemaService.ensureSchema('Sessions');
+      const rows = await sheetsService.readSheet('Sessions');
+      const tokenHash = hashToken(refreshToken);
+      const now = new Date();
+
+      const index = rows.findIndex((row, i) => i > 0 && schema.get(row, 'tokenHash') === tokenHash);
+
+      if (index < 1) {
+        // A token that was already rotated is being replayed - end the session it belonged to
+        const reusedIndex = rows.findIndex((row, i) => i > 0 && schema.get(row, 'previousTokenHash') === tokenHash);
+        if (reusedIndex > 0 && !schema.get(rows[reusedIndex], 'revokedAt')) {
+          console.warn(`⚠️ Refresh token reuse detected, revoking session ${schema.get(rows[reusedIndex], 'sessionId')}`);
+          schema.set(rows[reusedIndex], 'revokedAt', now.toISOString());
+          await sheetsService.updateRow('Sessions', reusedIndex + 1, rows[reusedIndex]);
+        }
+        throw new SessionError('Invalid refresh token');
+      }
+
+      const row = rows[index];
+      if (schema.get(row, 'revokedAt')) {
+        throw new SessionError('Session has been revoked');
+      }
+      if (new Date(schema.get(row, 'expiresAt')) <= now) {
+        throw new SessionError('Session expired');
+      }
+
+      const users = await sheetsService.readSheet('Users');
+      const usersSchema = schemaService.fromHeaders('Users', users[0]);
+      const userRow = users.slice(1).find(user => usersSchema.get(user, 'userId') === schema.get(row, 'userId'));
+
+      // Deleted users and users logged out everywhere since this session started lose the session
+      const tokenVersion = userRow ? this.tokenVersionOf(usersSchema, userRow) : null;
+      if (!userRow || tokenVersion !== (parseInt(schema.get(row, 'tokenVersion')) || 0)) {
+        schema.set(row, 'revokedAt', now.toISOString());
+        await sheetsService.updateRow('Sessions', index + 1, row);
+        throw new SessionError('Session has been revoked');
+      }
+
+      // Sessions started before 2FA became mandatory for the role end until the user enrolls
+      if (twoFactorService.isRequired(usersSchema.get(userRow, 'role')) && !twoFactorService.isEnabled(usersSchema, userRow)) {
+        schema.set(row, 'revokedAt', now.toISOString());
+        await sheetsService.updateRow('Sessions', index + 1, row);
+        throw new SessionError('Two-factor authentication is required for this account, log in again to set it up');
+      }
+
+      const nextToken = crypto.randomBytes(32).toString('hex');
+      schema.set(row, 'previousTokenHash', tokenHash);
+      schema.set(row, 'tokenHash', hashToken(nextToken));
+      schema.set(row, 'lastUsedAt', now.toISOString());
+      schema.set(row, 'expiresAt', refreshExpiry(now));
+      await sheetsService.updateRow('Sessions', index + 1, row);
+
+      return this.tokens({
+        userId: usersSchema.get(userRow, 'userId'),
+        email: usersSchema.get(userRow, 'email'),
+        tokenVersion
+      }, nextToken);
+    });
+  }
+
+  /**
+   * End the session a refresh token belongs to. Returns its userId, or null if the token is unknown.
+   */
+  async revoke(refreshToken) {
+    return this.withWriteLock(async () => {
+      const schema = await schemaService.ensureSchema('Sessions');
+      const rows = await sheetsService.readSheet('Sessions');
+      const tokenHash = hashToken(refreshToken);
+
+      const index = rows.findIndex((row, i) => i > 0 && schema.get(row, 'tokenHash') === tokenHash);
+      if (index < 1) return null;
+
+      const row = rows[index];
+      if (!schema.get(row, 'revokedAt')) {
+        schema.set(row, 'revokedAt', new Date().toISOString());
+        await sheetsService.updateRow('Sessions', index + 1, row);
+      }
+
+      return schema.get(row, 'userId');
+    });
+  }
+
+  /**
+   * Log a user out everywhere: bump their token_version (existing access tokens stop working)
+   * and revoke all their sessions. Returns the new token_version, or null if the user does not exist.
+   */
+  async revokeAllForUser(userId) {
+    return this.withWriteLock(async () => {
+      const tokenVersion = await userRepository.withUserRow(userId, (usersSchema, userRow) => {
+        const next = this.tokenVersionOf(usersSchema, userRow) + 1;
+        usersSchema.set(userRow, 'tokenVersion', next);
+        return next;
+      });
+
+      const schema = await schemaService.ensureSchema('Sessions');
+      const rows = await sheetsService.readSheet('Sessions');
+      const now = new Date().toISOString();
+
+      const updates = [];
+      rows.forEach((row, i) => {
+        if (i > 0 && schema.get(row, 'userId') === userId && !schema.get(row, 'revokedAt')) {
+          schema.set(row, 'revokedAt', now);
+          updates.push({ rowIndex: i + 1, values: row });
+        }
+      });
+
+      if (updates.length > 0) {
+        await sheetsService.updateRows('Sessions', updates);
+      }
+
+      return tokenVersion;
+    });
+  }
+}
+
+module.exports = new SessionService();
+module.exports.SessionError = SessionError;
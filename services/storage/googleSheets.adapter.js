@@ -0,0 +1,266 @@
+const { google } = require('googleapis');
+
+// Rows per values.batchUpdate request in updateRows
+const UPDATE_ROWS_CHUNK = 500;
+
+/**
+ * Storage adapter backed by a Google Spreadsheet.
+ * Each sheet tab (Users, Intake, DB) is read and written as a 2D array of cell values.
+ */
+class GoogleSheetsAdapter {
+  constructor() {
+    this.auth = null;
+    this.sheets = null;
+    this.spreadsheetId = process.env.GOOGLE_SHEET_ID;
+    this.initialized = false;
+    this.name = 'google';
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Get private key - support both base64 encoded and raw format
+      let privateKey;
+      if (process.env.GOOGLE_PRIVATE_KEY_BASE64) {
+        // Decode base64 encoded key (recommended for deployment)
+        privateKey = Buffer.from(process.env.GOOGLE_PRIVATE_KEY_BASE64, 'base64').toString('utf-8');
+      } else if (process.env.GOOGLE_PRIVATE_KEY) {
+        // Use raw key with \n replacement
+        privateKey = process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n');
+      } else {
+        throw new Error('GOOGLE_PRIVATE_KEY or GOOGLE_PRIVATE_KEY_BASE64 is required');
+      }
+
+      // Initialize Google Auth using environment variables
+      const credentials = {
+        type: 'service_account',
+        project_id: process.env.GOOGLE_PROJECT_ID,
+        private_key_id: process.env.GOOGLE_PRIVATE_KEY_ID,
+        private_key: privateKey,
+        client_email: process.env.GOOGLE_CLIENT_EMAIL,
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        auth_uri: 'https://accounts.google.com/o/oauth2/auth',
+        token_uri: 'https://oauth2.googleapis.com/token',
+        auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
+        client_x509_cert_url: process.env.GOOGLE_CLIENT_CERT_URL
+      };
+
+      this.auth = new google.auth.GoogleAuth({
+        credentials: credentials,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      });
+
+      this.sheets = google.sheets({ version: 'v4', auth: this.auth });
+      this.initialized = true;
+      console.log('✅ Google Sheets API initialized');
+    } catch (error) {
+      console.error('❌ Failed to initialize Google Sheets API:', error.message);
+      throw new Error('Google Sheets API initialization failed');
+    }
+  }
+
+  async readSheet(sheetName, range = null) {
+    await this.initialize();
+
+    try {
+      // Without an explicit range the whole tab is returned, so columns are never cut off -
+      // callers resolve columns by header name rather than by a fixed width
+      const fullRange = range ? `${sheetName}!${range}` : sheetName;
+
+      console.log(`Reading ${sheetName} sheet with range: ${range || 'all'}`);
+      const response = await this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: fullRange
+      });
+
+      return response.data.values || [];
+    } catch (error) {
+      console.error(`Error reading sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to read sheet: ${error.message}`);
+    }
+  }
+
+  async appendRow(sheetName, values) {
+    await this.initialize();
+
+    try {
+      const response = await this.sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A:Z`,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [values] }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(`Error appending to sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to append row: ${error.message}`);
+    }
+  }
+
+  // Append several rows in one request
+  async appendRows(sheetName, rows) {
+    await this.initialize();
+
+    try {
+      const response = await this.sheets.spreadsheets.values.append({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A:Z`,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: rows }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(`Error appending to sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to append rows: ${error.message}`);
+    }
+  }
+
+  async updateRow(sheetName, rowIndex, values) {
+    await this.initialize();
+
+    try {
+      // Write from column A across as many cells as there are values
+      const sheetRange = `A${rowIndex}`;
+
+      const response = await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!${sheetRange}`,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [values] }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to update row: ${error.message}`);
+    }
+  }
+
+  // Write several rows in as few requests as possible: updates = [{ rowIndex, values }]
+  async updateRows(sheetName, updates) {
+    await this.initialize();
+
+    try {
+      let totalUpdatedRows = 0;
+
+      // Chunk large writes (e.g. backfills) to stay under the API payload limits
+      for (let start = 0; start < updates.length; start += UPDATE_ROWS_CHUNK) {
+        const response = await this.sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            valueInputOption: 'USER_ENTERED',
+            data: updates.slice(start, start + UPDATE_ROWS_CHUNK).map(({ rowIndex, values }) => ({
+              range: `${sheetName}!A${rowIndex}`,
+              values: [values]
+            }))
+          }
+        });
+        totalUpdatedRows += response.data.totalUpdatedRows || 0;
+      }
+
+      return { totalUpdatedRows };
+    } catch (error) {
+      console.error(`Error updating sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to update rows: ${error.message}`);
+    }
+  }
+
+  async batchUpdate(requests) {
+    await this.initialize();
+
+    try {
+      const response = await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: { requests }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error in batch update:', error.message);
+      throw new Error(`Failed to batch update: ${error.message}`);
+    }
+  }
+
+  // Create a tab with its header row if it does not exist yet (for tabs the API owns, e.g. AuditLog)
+  async ensureSheet(sheetName, headers) {
+    await this.initialize();
+
+    try {
+      const response = await this.sheets.spreadsheets.get({
+        spreadsheetId: this.spreadsheetId,
+        fields: 'sheets.properties.title'
+      });
+
+      if (response.data.sheets.some(s => s.properties.title === sheetName)) {
+        return false;
+      }
+
+      await this.batchUpdate([{ addSheet: { properties: { title: sheetName } } }]);
+      await this.updateRow(sheetName, 1, headers);
+      console.log(`🆕 Created sheet ${sheetName}`);
+      return true;
+    } catch (error) {
+      console.error(`Error creating sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to create sheet: ${error.message}`);
+    }
+  }
+
+  async getSheetId(sheetName) {
+    await this.initialize();
+
+    try {
+      const response = await this.sheets.spreadsheets.get({
+        spreadsheetId: this.spreadsheetId
+      });
+
+      const sheet = response.data.sheets.find(
+        s => s.properties.title === sheetName
+      );
+
+      if (!sheet) {
+        throw new Error(`Sheet ${sheetName} not found`);
+      }
+
+      return sheet.properties.sheetId;
+    } catch (error) {
+      console.error(`Error getting sheet ID for ${sheetName}:`, error.message);
+      throw new Error(`Failed to get sheet ID: ${error.message}`);
+    }
+  }
+
+  async deleteRow(sheetName, rowIndex) {
+    await this.initialize();
+
+    try {
+      const sheetId = await this.getSheetId(sheetName);
+
+      // rowIndex is 1-based (row 1 is headers), Google Sheets API uses 0-based
+      // So we need to delete from (rowIndex-1) to (rowIndex)
+      const request = {
+        deleteDimension: {
+          range: {
+            sheetId: sheetId,
+            dimension: 'ROWS',
+            startIndex: rowIndex - 1,
+            endIndex: rowIndex
+          }
+        }
+      };
+
+      const response = await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: { requests: [request] }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting row ${rowIndex} from ${sheetName}:`, error.message);
+      throw new Error(`Failed to delete row: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GoogleSheetsAdapter;
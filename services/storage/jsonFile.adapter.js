@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { getDefaultHeaders } = require('../../utils/sheetColumns');
+
+// Tabs seeded with their header row so the API works against the same sheets as production
+const DEFAULT_SHEETS = ['Users', 'Intake', 'DB'];
+
+// Convert column letters to a 0-based index ("A" -> 0, "AR" -> 43)
+function columnToIndex(letters) {
+  let index = 0;
+  for (const char of letters.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Parse an A1-notation range ("A:AR", "A1:G2", "1:1") into 0-based bounds.
+ * Missing parts are left null and mean "unbounded".
+ */
+function parseRange(range) {
+  if (!range) return null;
+
+  const [startRef, endRef = startRef] = range.split(':');
+  const parseRef = (ref) => {
+    const match = ref.match(/^([A-Za-z]*)(\d*)$/);
+    if (!match) {
+      throw new Error(`Unable to parse range: ${range}`);
+    }
+    return {
+      col: match[1] ? columnToIndex(match[1]) : null,
+      row: match[2] ? parseInt(match[2]) - 1 : null
+    };
+  };
+
+  const start = parseRef(startRef);
+  const end = parseRef(endRef);
+
+  return {
+    startRow: start.row,
+    endRow: end.row,
+    startCol: start.col,
+    endCol: end.col
+  };
+}
+
+// Cells are stored the way the Sheets API returns them: as strings, without trailing blanks
+function normalizeRow(values) {
+  const row = values.map(value => (value === undefined || value === null ? '' : String(value)));
+  while (row.length > 0 && row[row.length - 1] === '') {
+    row.pop();
+  }
+  return row;
+}
+
+/**
+ * Storage adapter backed by a local JSON file.
+ * Mirrors the GoogleSheetsAdapter contract so the API can run offline for development and tests.
+ */
+class JsonFileAdapter {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath || process.env.STORAGE_FILE || path.join(__dirname, '..', '..', 'data', 'local-db.json'));
+    this.data = null;
+    this.initialized = false;
+    this.name = 'file';
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf-8'));
+      } else {
+        this.data = {};
+      }
+
+      // Seed any missing tabs with their header row
+      let seeded = false;
+      DEFAULT_SHEETS.forEach(sheetName => {
+        if (!this.data[sheetName]) {
+          this.data[sheetName] = [getDefaultHeaders(sheetName)];
+          seeded = true;
+        }
+      });
+
+      if (seeded) {
+        await this.persist();
+      }
+
+      this.initialized = true;
+      console.log(`✅ Local file storage initialized (${this.filePath})`);
+    } catch (error) {
+      console.error('❌ Failed to initialize local file storage:', error.message);
+      throw new Error('Local file storage initialization failed');
+    }
+  }
+
+  // Serialize writes so concurrent requests never interleave partial files
+  persist() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.writeQueue;
+  }
+
+  getRows(sheetName) {
+    const rows = this.data[sheetName];
+    if (!rows) {
+      throw new Error(`Unable to parse range: ${sheetName}`);
+    }
+    return rows;
+  }
+
+  async readSheet(sheetName, range = null) {
+    await this.initialize();
+
+    try {
+      const rows = this.getRows(sheetName);
+      const bounds = parseRange(range);
+
+      if (!bounds) {
+        return rows.map(row => [...row]);
+      }
+
+      const startRow = bounds.startRow ?? 0;
+      const endRow = bounds.endRow ?? rows.length - 1;
+      const startCol = bounds.startCol ?? 0;
+      const endCol = bounds.endCol ?? Infinity;
+
+      return rows
+        .slice(startRow, endRow + 1)
+        .map(row => row.slice(startCol, endCol + 1));
+    } catch (error) {
+      console.error(`Error reading sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to read sheet: ${error.message}`);
+    }
+  }
+
+  async appendRow(sheetName, values) {
+    await this.initialize();
+
+    try {
+      const rows = this.getRows(sheetName);
+      rows.push(normalizeRow(values));
+      await this.persist();
+
+      return { updates: { updatedRange: `${sheetName}!A${rows.length}`, updatedRows: 1 } };
+    } catch (error) {
+      console.error(`Error appending to sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to append row: ${error.message}`);
+    }
+  }
+
+  // Append several rows with a single flush
+  async appendRows(sheetName, newRows) {
+    await this.initialize();
+
+    try {
+      const rows = this.getRows(sheetName);
+      const firstRow = rows.length + 1;
+      newRows.forEach(values => rows.push(normalizeRow(values)));
+      await this.persist();
+
+      return {
+        updates: { updatedRange: `${sheetName}!A${firstRow}:A${rows.length}`, updatedRows: newRows.length }
+      };
+    } catch (error) {
+      console.error(`Error appending to sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to append rows: ${error.message}`);
+    }
+  }
+
+  // Like a ranged Sheets update, only the cells covered by values are overwritten
+  writeRow(rows, rowIndex, values) {
+    while (rows.length < rowIndex) {
+      rows.push([]);
+    }
+
+    const updated = [...rows[rowIndex - 1]];
+    values.forEach((value, index) => {
+      updated[index] = value;
+    });
+    rows[rowIndex - 1] = normalizeRow(updated);
+  }
+
+  async updateRow(sheetName, rowIndex, values) {
+    await this.initialize();
+
+    try {
+      const rows = this.getRows(sheetName);
+      this.writeRow(rows, rowIndex, values);
+      await this.persist();
+
+      return { updatedRange: `${sheetName}!A${rowIndex}`, updatedRows: 1 };
+    } catch (error) {
+      console.error(`Error updating sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to update row: ${error.message}`);
+    }
+  }
+
+  // Write several rows with a single flush: updates = [{ rowIndex, values }]
+  async updateRows(sheetName, updates) {
+    await this.initialize();
+
+    try {
+      const rows = this.getRows(sheetName);
+      updates.forEach(({ rowIndex, values }) => this.writeRow(rows, rowIndex, values));
+      await this.persist();
+
+      return { totalUpdatedRows: updates.length };
+    } catch (error) {
+      console.error(`Error updating sheet ${sheetName}:`, error.message);
+      throw new Error(`Failed to update rows: ${error.message}`);
+    }
+  }
+
+  // Create a tab with its header row if it does not exist yet
+  async ensureSheet(sheetName, headers) {
+    await this.initialize();
+
+    if (this.data[sheetName]) {
+      return false;
+    }
+
+    this.data[sheetName] = [normalizeRow(headers)];
+    await this.persist();
+    console.log(`🆕 Created sheet ${sheetName}`);
+    return true;
+  }
+
+  async deleteRow(sheetName, rowIndex) {
+    await this.initialize();
+
+    try {
+      const rows = this.getRows(sheetName);
+      if (rowIndex < 1 || rowIndex > rows.length) {
+        throw new Error(`Row ${rowIndex} does not exist`);
+      }
+
+      rows.splice(rowIndex - 1, 1);
+      await this.persist();
+
+      return { deletedRows: 1 };
+    } catch (error) {
+      console.error(`Error deleting row ${rowIndex} from ${sheetName}:`, error.message);
+      throw new Error(`Failed to delete row: ${error.message}`);
+    }
+  }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const userRepository = require('../repositories/user.repository');
+const totp = require('../utils/totp');
+const { ROLES, resolveRole } = require('../utils/permissions');
+
+// REQUIRE_ADMIN_2FA=true makes 2FA mandatory for Admins: they have to enroll before their next login completes
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+// Name shown next to the account in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Booking Dashboard';
+// Time allowed between the password step and the code step of a login
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Login challenge purposes: enter a code, or enroll first because the role requires 2FA
+const CHALLENGE_PURPOSE = {
+  VERIFY: '2fa_verify',
+  SETUP: '2fa_setup'
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Recovery codes are accepted with or without the dash, in any case
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// TOTP secrets must be readable by the server, so they are encrypted (AES-256-GCM) rather than hashed.
+// The key comes from TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET.
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(String(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET))
+  .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(value) {
+  const [iv, tag, encrypted] = String(value).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Thrown for 2FA requests that cannot be honoured (expired challenge, nothing to enable, ...)
+ */
+class TwoFactorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TwoFactorError';
+  }
+}
+
+/**
+ * TOTP two-factor authentication (utils/totp.js), stored on the Users row:
+ * totp_secret (encrypted; pending until enabled), totp_enabled_at, totp_last_step (a code works only once)
+ * and recovery_codes (comma separated SHA-256 hashes of the unused one-time recovery codes).
+ */
+class TwoFactorService {
+  isEnabled(schema, userRow) {
+    return Boolean(schema.get(userRow, 'totpEnabledAt'));
+  }
+
+  // Whether the policy makes 2FA mandatory for a role
+  isRequired(role) {
+    return REQUIRE_ADMIN_2FA && resolveRole(role) === ROLES.ADMIN;
+  }
+
+  // 2FA fields of a Users row, as shown to the user and to admins
+  describe(schema, userRow) {
+    const recoveryCodes = schema.get(userRow, 'recoveryCodes');
+    return {
+      twoFactorEnabled: this.isEnabled(schema, userRow),
+      twoFactorRequired: this.isRequired(schema.get(userRow, 'role')),
+      recoveryCodesRemaining: recoveryCodes ? recoveryCodes.split(',').length : 0
+    };
+  }
+
+  /**
+   * Short-lived token proving the password step of a login passed.
+   * It carries a purpose claim, so auth middleware never accepts it as an access token.
+   */
+  createChallenge({ userId, tokenVersion = 0 }, purpose) {
+    return {
+      challengeToken: jwt.sign({ userId, tokenVersion, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL }),
+      expiresIn: CHALLENGE_TTL
+    };
+  }
+
+  /**
+   * Returns { userId, tokenVersion } of a challenge token issued for purpose, or throws TwoFactorError
+   */
+  verifyChallenge(challengeToken, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new TwoFactorError(error.name === 'TokenExpiredError' ? 'Login challenge expired, log in again' : 'Invalid login challenge');
+    }
+    if (decoded.purpose !== purpose) {
+      throw new TwoFactorError('Invalid login challenge');
+    }
+    return { userId: decoded.userId, tokenVersion: decoded.tokenVersion || 0 };
+  }
+
+  // Run task(schema, row) on a user's row under the Users write lock; the row is saved if task changed it
+  async withUserRow(userId, task) {
+    return userRepository.withUsers(async (schema, users) => {
+      const row = users.find((userRow, i) => i > 0 && schema.get(userRow, 'userId') === userId);
+      if (!row) {
+        throw new TwoFactorError('User not found');
+      }
+      return task(schema, row);
+    });
+  }
+
+  // New recovery codes on the row (saved by withUserRow); returns the plain codes
+  issueRecoveryCodes(schema, userRow) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    schema.set(userRow, 'recoveryCodes', codes.map(code => hashCode(normalizeRecoveryCode(code))).join(','));
+    return codes;
+  }
+
+  /**
+   * Start enrollment: store a new pending secret and return { secret, otpauthUri } for the authenticator app.
+   * Calling it again replaces the pending secret. Throws TwoFactorError if 2FA is already enabled.
+   */
+  async beginSetup(userId) {
+    return this.withUserRow(userId, async (schema, row) => {
+      if (this.isEnabled(schema, row)) {
+        throw new TwoFactorError('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+      schema.set(row, 'totpSecret', encryptSecret(secret));
+      schema.set(row, 'totpLastStep', '');
+
+      return {
+        secret,
+        otpauthUri: totp.otpauthUri({ secret, account: schema.get(row, 'email'), issuer: ISSUER })
+      };
+    });
+  }
+
+  /**
+   * Finish enrollment with a code from the app. Returns the recovery codes - they are only ever available here.
+   * Throws TwoFactorError if there is no pending secret or the code is wrong.
+   */
+  async enable(userId, code) {
+    return this.withUserRow(userId, async (schema, row) => {
+      if (this.isEnabled(schema, row)) {
+        throw new TwoFactorError('Two-factor authentication is already enabled');
+      }
+      if (!schema.get(row, 'totpSecret')) {
+        throw new TwoFactorError('Start two-factor setup first');
+      }
+
+      const step = totp.verifyCode(decryptSecret(schema.get(row, 'totpSecret')), code);
+      if (step === null) {
+        throw new TwoFactorError('Invalid two-factor code');
+      }
+
+      schema.set(row, 'totpEnabledAt', new Date().toISOString());
+      schema.set(row, 'totpLastStep', step);
+      const recoveryCodes = this.issueRecoveryCodes(schema, row);
+
+      return recoveryCodes;
+    });
+  }
+
+  /**
+   * Check a TOTP code or a recovery code (which is used up) for a user with 2FA enabled.
+   * Returns { method: 'totp' | 'recovery', recoveryCodesRemaining } or null if the code is wrong or was already used.
+   */
+  async verify(userId, { code, recoveryCode }) {
+    return this.withUserRow(userId, async (schema, row) => {
+      if (!this.isEnabled(schema, row)) {
+        throw new TwoFactorError('Two-factor authentication is not enabled');
+      }
+
+      const hashes = (schema.get(row, 'recoveryCodes') || '').split(',').filter(Boolean);
+
+      if (recoveryCode) {
+        const hash = hashCode(normalizeRecoveryCode(recoveryCode));
+        if (!hashes.includes(hash)) return null;
+
+        const remaining = hashes.filter(h => h !== hash);
+        schema.set(row, 'recoveryCodes', remaining.join(','));
+        return { method: 'recovery', recoveryCodesRemaining: remaining.length };
+      }
+
+      const step = totp.verifyCode(decryptSecret(schema.get(row, 'totpSecret')), code);
+      const lastStep = parseInt(schema.get(row, 'totpLastStep'));
+      if (step === null || (!isNaN(lastStep) && step <= lastStep)) return null;
+
+      schema.set(row, 'totpLastStep', step);
+      return { method: 'totp', recoveryCodesRemaining: hashes.length };
+    });
+  }
+
+  /**
+   * Replace a user's recovery codes. Returns the new codes.
+   */
+  async regenerateRecoveryCodes(userId) {
+    return this.withUserRow(userId, async (schema, row) => {
+      if (!this.isEnabled(schema, row)) {
+        throw new TwoFactorError('Two-factor authentication is not enabled');
+      }
+
+      const recoveryCodes = this.issueRecoveryCodes(schema, row);
+      return recoveryCodes;
+    });
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and recovery codes. Returns true if it was enabled.
+   */
+  async disable(userId) {
+    return this.withUserRow(userId, async (schema, row) => {
+      const wasEnabled = this.isEnabled(schema, row);
+      if (!wasEnabled && !schema.get(row, 'totpSecret')) return false;
+
+      schema.set(row, 'totpSecret', '');
+      schema.set(row, 'totpEnabledAt', '');
+      schema.set(row, 'totpLastStep', '');
+      schema.set(row, 'recoveryCodes', '');
+      return wasEnabled;
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
+module.exports.TwoFactorError = TwoFactorError;
+module.exports.CHALLENGE_PURPOSE = CHALLENGE_PURPOSE;
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-revert-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+
+const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+const bookingController = require('../controllers/booking.controller');
+const { RECORD_STATUS } = bookingRepository;
+
+const admin = { userId: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'Admin' };
+
+// Revert a booking through the controller; resolves to { status, headers, body }
+async function revert(recordId, version) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; }
+  };
+  await bookingController.revertBooking({
+    params: { id: recordId, version: String(version) },
+    headers: {},
+    body: {},
+    user: admin,
+    ip: '127.0.0.1'
+  }, res);
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+async function create(recordId, fields = {}) {
+  return bookingRepository.create({
+    recordId,
+    branch: 'Feliz',
+    status: 'Scheduled',
+    firstName: 'Ana',
+    lastName: 'Santos',
+    date: 'Oct 20 2026 2:00 PM',
+    ...fields
+  });
+}
+
+test.before(async () => {
+  console.log = () => {}; // storage and controller progress logs
+  await sheetsService.initialize();
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a revert restores the fields of the version but not its record bookkeeping', async () => {
+  await create('record-1');
+  await bookingRepository.update('record-1', { firstName: 'Anna', lastName: 'Reyes' }, { actor: admin });
+  await bookingRepository.softDelete('record-1', { actor: admin });
+
+  const { status, headers, body } = await revert('record-1', 1);
+  assert.equal(status, 200);
+  assert.equal(body.booking.firstName, 'Ana');
+  assert.equal(body.booking.lastName, 'Santos');
+  assert.equal(body.booking.recordId, 'record-1');
+  assert.equal(body.booking.recordStatus, RECORD_STATUS.INACTIVE); // deleted stays deleted
+  assert.equal(body.booking.recordVersion, 4); // a revert is a new version
+  assert.equal(headers.etag, '"4"');
+
+  const history = await bookingRepository.getHistory('record-1');
+  assert.deepEqual(history.map(entry => entry.version), [1, 2, 3, 4]);
+});
+
+test('a revert cannot make a status change an edit could not', async () => {
+  await create('record-2');
+  await bookingRepository.update('record-2', { status: 'Arrived & bought' }, { actor: admin });
+
+  const { status, body } = await revert('record-2', 1);
+  assert.equal(status, 400);
+  assert.equal(body.code, 'INVALID_STATUS_TRANSITION');
+  assert.equal((await bookingRepository.findByRecordId('record-2', { sheet: 'DB' })).status, 'Arrived & bought');
+});
+
+test('reverting to a version that does not exist is a 404', async () => {
+  await create('record-3');
+
+  assert.equal((await revert('record-3', 1)).status, 404); // the current version is not in the history
+  assert.equal((await revert('record-3', 7)).status, 404);
+  assert.equal((await revert('missing', 1)).status, 404);
+});
+
+test('a revert keeps the current agent assignment', async () => {
+  await create('record-4', { agent: 'Maria Cruz', agentId: 'agent-1' });
+  await bookingRepository.update('record-4', { agent: 'Ben Lim', agentId: 'agent-2' }, { actor: admin });
+
+  const { status, body } = await revert('record-4', 1);
+  assert.equal(status, 200);
+  assert.equal(body.booking.agent, 'Ben Lim');
+  assert.equal(body.booking.agentId, 'agent-2');
+});
+
+test('a revert keeps the promo hunter flag and its review', async () => {
+  await create('record-5', { promoHunterStatus: 'Promo hunter' });
+  await bookingRepository.update('record-5', {
+    promoHunterStatus: 'Scheduled',
+    promoReview: 'dismissed',
+    promoReviewNote: 'Different person',
+    promoReviewedById: 'admin-1'
+  }, { actor: admin });
+
+  const { status, body } = await revert('record-5', 1);
+  assert.equal(status, 200);
+  assert.equal(body.booking.promoHunterStatus, 'Scheduled');
+  assert.equal(body.booking.promoReview, 'dismissed');
+  assert.equal(body.booking.promoReviewNote, 'Different person');
+});
+
+test('a revert keeps the current customer profile links', async () => {
+  await create('record-6', { customerId: 'customer-merged', companionCustomerId: '' });
+  await bookingRepository.update('record-6', { customerId: 'customer-1', companionCustomerId: 'customer-2' }, { actor: admin });
+
+  const { status, body } = await revert('record-6', 1);
+  assert.equal(status, 200);
+  assert.equal(body.booking.customerId, 'customer-1');
+  assert.equal(body.booking.companionCustomerId, 'customer-2');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-status-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+
+const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+const bookingController = require('../controllers/booking.controller');
+const {
+  BOOKING_STATUS,
+  resolveStatus,
+  isArrival,
+  isSale,
+  isCompleted,
+  isCancelled,
+  canTransition
+} = require('../utils/bookingStatus');
+
+const admin = { userId: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'Admin' };
+const agent = { userId: 'agent-1', email: 'agent@example.com', name: 'Agent', role: 'Agent', branches: ['Feliz'] };
+
+const fakeResponse = () => ({
+  set() { return this; },
+  status(code) { this.statusCode = code; return this; },
+  json(data) { this.body = data; return this; }
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('sheet values resolve to the canonical status whatever their case and spacing', () => {
+  assert.equal(resolveStatus('arrived  & Bought '), BOOKING_STATUS.ARRIVED_BOUGHT);
+  assert.equal(resolveStatus('CANCELLED'), BOOKING_STATUS.CANCELLED);
+  assert.equal(resolveStatus('Walk-in'), null);
+  assert.equal(resolveStatus(''), null);
+});
+
+test('statuses are classified for analytics', () => {
+  assert.ok(isArrival('Arrived not potential') && isCompleted('Arrived not potential') && !isSale('Arrived not potential'));
+  assert.ok(isSale('Comeback & bought') && !isCompleted('Comeback & bought'));
+  assert.ok(isSale('Arrived & bought') && isCompleted('Arrived & bought'));
+  assert.ok(isCancelled('cancelled') && !isArrival('cancelled'));
+  assert.ok(!isArrival('Scheduled') && !isArrival('Walk-in'));
+});
+
+test('only the listed transitions are allowed', () => {
+  assert.ok(canTransition('Scheduled', 'Arrived & bought'));
+  assert.ok(canTransition('Cancelled', 'Scheduled')); // rebooked
+  assert.ok(canTransition('Arrived not potential', 'Comeback & bought'));
+  assert.ok(canTransition('Arrived & bought', 'arrived & bought')); // unchanged
+
+  assert.ok(!canTransition('Arrived & bought', 'Scheduled'));
+  assert.ok(!canTransition('Cancelled', 'Arrived & bought'));
+  assert.ok(!canTransition('Comeback & bought', 'Cancelled'));
+  assert.ok(!canTransition('Scheduled', 'Walk-in'));
+});
+
+test('legacy free-text statuses may move to any known status', () => {
+  assert.ok(canTransition('Walk-in', 'Cancelled'));
+  assert.ok(canTransition('', 'Scheduled'));
+});
+
+test('an update with a status change that is not allowed is refused', async () => {
+  console.log = () => {}; // storage and controller progress logs
+  await sheetsService.initialize();
+  await bookingRepository.create({
+    recordId: 'record-1',
+    branch: 'Feliz',
+    status: BOOKING_STATUS.ARRIVED_BOUGHT,
+    firstName: 'Ana',
+    lastName: 'Santos',
+    date: 'Oct 20 2026 2:00 PM'
+  });
+
+  const res = fakeResponse();
+  await bookingController.updateBooking({
+    params: { id: 'record-1' },
+    headers: { 'if-match': '"1"' },
+    body: { status: BOOKING_STATUS.SCHEDULED },
+    user: admin,
+    ip: '127.0.0.1'
+  }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'INVALID_STATUS_TRANSITION');
+  assert.equal((await bookingRepository.findByRecordId('record-1', { sheet: 'DB' })).status, BOOKING_STATUS.ARRIVED_BOUGHT);
+});
+
+test('only users who may change statuses can create a booking in another status than Scheduled', async () => {
+  console.warn = () => {};
+  const res = fakeResponse();
+  await bookingController.createBooking({
+    headers: {},
+    body: {
+      branch: 'Feliz',
+      status: BOOKING_STATUS.ARRIVED_BOUGHT,
+      firstName: 'Ben',
+      lastName: 'Cruz',
+      age: 30,
+      phone: '0917 222 2222',
+      email: 'ben@example.com',
+      treatment: 'Facial',
+      date: '2026-10-20',
+      time: '14:00',
+      paymentMode: 'Cash',
+      totalPrice: 1500,
+      gender: 'Male',
+      agent: 'Agent'
+    },
+    user: agent,
+    ip: '127.0.0.1'
+  }, res);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'RESTRICTED_FIELDS');
+});
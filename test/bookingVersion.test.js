@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-version-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+
+const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+const bookingController = require('../controllers/booking.controller');
+
+const admin = { userId: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'Admin' };
+
+// Run a controller method with a fake request; resolves to { status, headers, body }
+async function call(method, { params = {}, headers = {}, body = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; }
+  };
+  await bookingController[method]({ params, headers, body, user: admin, ip: '127.0.0.1' }, res);
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+test.before(async () => {
+  console.log = () => {}; // storage and controller progress logs
+  console.warn = () => {};
+  await sheetsService.initialize();
+  await bookingRepository.create({
+    recordId: 'record-1',
+    branch: 'Feliz',
+    status: 'Scheduled',
+    firstName: 'Ana',
+    lastName: 'Santos',
+    date: 'Oct 20 2026 2:00 PM'
+  });
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a booking is served with its version as the ETag', async () => {
+  const { status, headers } = await call('getBookingById', { params: { id: 'record-1' } });
+  assert.equal(status, 200);
+  assert.equal(headers.etag, '"1"');
+});
+
+test('an update without If-Match is refused with 428', async () => {
+  const { status, body } = await call('updateBooking', { params: { id: 'record-1' }, body: { firstName: 'Anna' } });
+  assert.equal(status, 428);
+  assert.equal(body.code, 'PRECONDITION_REQUIRED');
+});
+
+test('a malformed If-Match is refused with 400', async () => {
+  const { status } = await call('updateBooking', {
+    params: { id: 'record-1' },
+    headers: { 'if-match': 'version one' },
+    body: { firstName: 'Anna' }
+  });
+  assert.equal(status, 400);
+});
+
+test('an update of the current version bumps it, a stale one gets 409 with the current copy', async () => {
+  const first = await call('updateBooking', {
+    params: { id: 'record-1' },
+    headers: { 'if-match': '"1"' },
+    body: { firstName: 'Anna' }
+  });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.etag, '"2"');
+
+  const stale = await call('updateBooking', {
+    params: { id: 'record-1' },
+    headers: { 'if-match': '"1"' },
+    body: { firstName: 'Annie' }
+  });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.code, 'VERSION_CONFLICT');
+  assert.equal(stale.headers.etag, '"2"');
+  assert.equal(stale.body.current.firstName, 'Anna');
+
+  const saved = await bookingRepository.findByRecordId('record-1', { sheet: 'DB' });
+  assert.equal(saved.firstName, 'Anna');
+  assert.equal(saved.recordVersion, 2);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'branch-scope-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+
+const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+const bookingController = require('../controllers/booking.controller');
+const { parseBranches, formatBranches, getBranchScope, isBranchInScope } = require('../utils/branchScope');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('branch lists are parsed without blanks or duplicates', () => {
+  assert.deepEqual(parseBranches('STA LUCIA, Feliz,, sta  lucia'), ['STA LUCIA', 'Feliz']);
+  assert.deepEqual(parseBranches(['Feliz', ' ', 'feliz']), ['Feliz']);
+  assert.deepEqual(parseBranches(''), []);
+  assert.equal(formatBranches(['Feliz', 'Sucat']), 'Feliz, Sucat');
+});
+
+test('roles with branches:all are not limited, everyone else is limited to their branches', () => {
+  assert.equal(getBranchScope({ role: 'Admin', branches: 'Feliz' }), null);
+  assert.equal(getBranchScope({ role: 'Manager' }), null);
+  assert.deepEqual(getBranchScope({ role: 'Agent', branches: 'Feliz, Sucat' }), ['Feliz', 'Sucat']);
+});
+
+test('users without branches:all and without an assigned branch see no branch', () => {
+  assert.deepEqual(getBranchScope({ role: 'Agent', branches: '' }), []);
+  assert.deepEqual(getBranchScope({ role: 'Branch Manager' }), []);
+  assert.deepEqual(getBranchScope({ role: 'Unknown role' }), []);
+  assert.deepEqual(getBranchScope(null), []);
+
+  assert.ok(!isBranchInScope([], 'Feliz'));
+  assert.ok(isBranchInScope(null, 'Feliz'));
+  assert.ok(isBranchInScope(['sta lucia'], 'STA  LUCIA'));
+});
+
+test('bookings outside the scope are neither listed nor served', async () => {
+  console.log = () => {}; // storage and controller progress logs
+  await sheetsService.initialize();
+  await bookingRepository.create({ recordId: 'record-1', branch: 'Feliz', status: 'Scheduled', firstName: 'Ana', lastName: 'Santos' });
+  await bookingRepository.create({ recordId: 'record-2', branch: 'Sucat', status: 'Scheduled', firstName: 'Ben', lastName: 'Cruz' });
+
+  const ids = async (branches) => (await bookingRepository.findAll({ branches })).map(booking => booking.recordId);
+  assert.deepEqual(await ids(null), ['record-1', 'record-2']);
+  assert.deepEqual(await ids(['feliz']), ['record-1']);
+  assert.deepEqual(await ids([]), []);
+
+  const get = async (user) => {
+    const res = {
+      set() { return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(data) { this.body = data; return this; }
+    };
+    await bookingController.getBookingById({ params: { id: 'record-2' }, headers: {}, user }, res);
+    return res.statusCode || 200;
+  };
+  assert.equal(await get({ userId: 'u1', name: 'Agent', role: 'Agent', branches: 'Feliz' }), 404);
+  assert.equal(await get({ userId: 'u2', name: 'Agent', role: 'Agent', branches: '' }), 404);
+  assert.equal(await get({ userId: 'u3', name: 'Agent', role: 'Agent', branches: 'Sucat' }), 200);
+});
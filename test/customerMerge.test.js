@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-merge-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+
+const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+const customerService = require('../services/customer.service');
+const auditService = require('../services/audit.service');
+const customerController = require('../controllers/customer.controller');
+const { CustomerMergeError } = customerService;
+
+let recordCount = 0;
+
+// A booking linked to the given profile, whatever its contact details
+async function book(customerId, fields) {
+  recordCount++;
+  return bookingRepository.create({
+    recordId: `record-${recordCount}`,
+    branch: 'Feliz',
+    status: 'Scheduled',
+    date: `2026-10-${String(recordCount).padStart(2, '0')}`,
+    totalPrice: 1000,
+    customerId,
+    companionCustomerId: '',
+    ...fields
+  });
+}
+
+test('duplicate profiles are proposed as one group and merged into one', async (t) => {
+  console.log = () => {}; // storage and repository progress logs
+  await sheetsService.initialize();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const ana = { firstName: 'Ana', lastName: 'Santos', email: 'ana@example.com', phone: '0917 111 1111' };
+  const { customerId: first } = await customerService.assignBooking(ana);
+  const { customerId: second } = await customerService.assignBooking({ firstName: 'Anna', lastName: 'Reyes', email: 'anna@example.com', phone: '0917 222 2222' });
+  const { customerId: third } = await customerService.assignBooking({ firstName: 'A.', lastName: 'Reyes', email: 'a.reyes@example.com', phone: '0917 333 3333' });
+  const { customerId: other } = await customerService.assignBooking({ firstName: 'Ben', lastName: 'Cruz', email: 'ben@example.com', phone: '0917 444 4444' });
+  assert.equal(new Set([first, second, third, other]).size, 4);
+
+  await book(first, ana);
+  await book(second, { ...ana, firstName: 'Anna', lastName: 'Reyes', phone: '0917 222 2222' }); // shares the email with first
+  await book(third, { firstName: 'A.', lastName: 'Reyes', email: 'a.reyes@example.com', phone: '0917 222 2222' }); // shares the phone with second
+  await book(other, { firstName: 'Ben', lastName: 'Cruz', email: 'ben@example.com', phone: '0917 444 4444' });
+
+  await t.test('findDuplicates groups profiles transitively', async () => {
+    const groups = await customerService.findDuplicates();
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].matchedOn, ['email', 'phone']);
+    assert.deepEqual(groups[0].customers.map(customer => customer.customerId).sort(), [first, second, third].sort());
+  });
+
+  await t.test('merge keeps the picked fields and moves the bookings', async () => {
+    const result = await customerService.merge(first, [second, third], { phone: third });
+    assert.deepEqual(result.mergedIds, [second, third]);
+    assert.equal(result.customer.firstName, 'Ana');
+    assert.equal(result.customer.phone, '0917 333 3333');
+    assert.equal(result.DB, 2);
+
+    const customer = await customerService.getCustomer(third);
+    assert.equal(customer.customerId, first);
+    assert.deepEqual(customer.mergedIds.sort(), [second, third].sort());
+    assert.equal(customer.bookingCount, 3);
+    assert.equal(customer.lifetimeSpend, 0); // nothing completed yet
+  });
+
+  await t.test('merged profiles are no longer proposed and cannot be merged again', async () => {
+    assert.deepEqual(await customerService.findDuplicates(), []);
+    await assert.rejects(customerService.merge(other, [second]), CustomerMergeError);
+    assert.equal(await customerService.merge(first, ['missing']), null);
+  });
+
+  await t.test('the merge audit entry holds flat values', async () => {
+    const { customerId: duplicate } = await customerService.assignBooking({ firstName: 'Benjie', lastName: 'Cruz', email: 'benjie@example.com' });
+    await book(duplicate, { firstName: 'Benjie', lastName: 'Cruz', email: 'benjie@example.com' });
+
+    const req = {
+      body: { targetId: other, mergeIds: [duplicate], fields: { email: duplicate } },
+      user: { userId: 'admin-1', email: 'admin@example.com', name: 'Admin' },
+      ip: '127.0.0.1'
+    };
+    const res = { status() { return this; }, json(body) { this.body = body; return this; } };
+    await customerController.mergeCustomers(req, res);
+    assert.equal(res.body.success, true);
+
+    const [{ changes }] = await auditService.query({ action: 'customer.merge' });
+    assert.ok(!JSON.stringify(changes).includes('[object Object]'));
+    assert.deepEqual(changes.email, { from: 'ben@example.com', to: 'benjie@example.com' });
+    assert.deepEqual(changes.mergedIds, { from: '', to: duplicate });
+    assert.equal(changes.bookingsUpdatedDB.to, '1');
+    assert.equal(JSON.parse(changes.mergedProfiles.to)[0].firstName, 'Benjie');
+  });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-profiles-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+
+const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+const customerService = require('../services/customer.service');
+
+// Every profile row on the sheet (a row written twice shows up twice)
+const readProfiles = () => customerService.readCustomers();
+
+test.before(async () => {
+  console.log = () => {}; // storage progress logs
+  await sheetsService.initialize();
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a companion is linked by name only to a profile without contact details', async () => {
+  const ana = { firstName: 'Ana', lastName: 'Santos', email: 'ana@example.com' };
+  const { customerId } = await customerService.assignBooking(ana);
+
+  const { companionCustomerId } = await customerService.assignBooking({
+    firstName: 'Carla',
+    lastName: 'Reyes',
+    email: 'carla@example.com',
+    companionFirstName: 'Ana',
+    companionLastName: 'Santos'
+  });
+  assert.notEqual(companionCustomerId, customerId);
+
+  const again = await customerService.assignBooking({
+    firstName: 'Dan',
+    lastName: 'Lim',
+    phone: '0917 222 2222',
+    companionFirstName: 'ana',
+    companionLastName: 'SANTOS'
+  });
+  assert.equal(again.companionCustomerId, companionCustomerId);
+});
+
+test('of several contactless profiles with the companion name the oldest is picked', async () => {
+  const schema = await schemaService.ensureSchema('Customers');
+  const profile = (customerId, createdAt) => schema.toRow({
+    customerId,
+    firstName: 'Ben',
+    lastName: 'Cruz',
+    createdAt,
+    updatedAt: createdAt
+  });
+  await sheetsService.appendRow('Customers', profile('ben-newer', '2026-03-01T00:00:00.000Z'));
+  await sheetsService.appendRow('Customers', profile('ben-older', '2026-01-01T00:00:00.000Z'));
+  customerService.registryCache = null;
+
+  const { companionCustomerId } = await customerService.assignBooking({
+    firstName: 'Ella',
+    lastName: 'Tan',
+    email: 'ella@example.com',
+    companionFirstName: 'Ben',
+    companionLastName: 'Cruz'
+  });
+  assert.equal(companionCustomerId, 'ben-older');
+});
+
+test('a failed save is not appended twice by the retry', async (t) => {
+  // Gina first comes as a companion; her own booking then adds her details (a row update)
+  // and creates a profile for her companion (an append)
+  await customerService.assignBooking({
+    firstName: 'Hugo',
+    lastName: 'Diaz',
+    email: 'hugo@example.com',
+    companionFirstName: 'Gina',
+    companionLastName: 'Ramos'
+  });
+  const booking = {
+    firstName: 'Gina',
+    lastName: 'Ramos',
+    email: 'gina@example.com',
+    companionFirstName: 'Ivy',
+    companionLastName: 'Go'
+  };
+
+  t.mock.method(sheetsService, 'updateRows').mock.mockImplementationOnce(async () => {
+    throw new Error('Failed to update rows: quota exceeded');
+  });
+  await assert.rejects(customerService.assignBooking(booking), /quota exceeded/);
+
+  await customerService.assignBooking(booking);
+
+  const profiles = await readProfiles();
+  assert.equal(profiles.filter(customer => customer.firstName === 'Ivy').length, 1);
+  assert.equal(profiles.filter(customer => customer.firstName === 'Gina').length, 1);
+  assert.equal(profiles.find(customer => customer.firstName === 'Gina').email, 'gina@example.com');
+});
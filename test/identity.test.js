@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePhone,
+  normalizeEmail,
+  normalizeSocial,
+  nameTokens,
+  normalizeFullName,
+  parseName,
+  editDistance,
+  compareNames
+} = require('../utils/identity');
+
+test('normalizePhone puts Philippine numbers in E.164', () => {
+  assert.equal(normalizePhone('0917 123 4567'), '+639171234567');
+  assert.equal(normalizePhone('+63 917-123-4567'), '+639171234567');
+  assert.equal(normalizePhone('9171234567'), '+639171234567');
+  assert.equal(normalizePhone('639171234567'), '+639171234567');
+  assert.equal(normalizePhone('0063 917 123 4567'), '+639171234567');
+});
+
+test('normalizePhone keeps the digits of numbers it cannot place', () => {
+  assert.equal(normalizePhone('12-34'), '1234');
+  assert.equal(normalizePhone(''), '');
+  assert.equal(normalizePhone(null), '');
+  assert.equal(normalizePhone('n/a'), '');
+});
+
+test('normalizeEmail lowercases and trims', () => {
+  assert.equal(normalizeEmail('  Ana.Santos@Example.COM '), 'ana.santos@example.com');
+  assert.equal(normalizeEmail(undefined), '');
+});
+
+test('normalizeSocial strips URLs, "@" and letter case', () => {
+  assert.equal(normalizeSocial('https://fb.com/Ana.S/'), 'ana.s');
+  assert.equal(normalizeSocial('https://www.facebook.com/ana.s'), 'ana.s');
+  assert.equal(normalizeSocial('instagram.com/ana_s'), 'ana_s');
+  assert.equal(normalizeSocial('@Ana_S'), 'ana_s');
+  assert.equal(normalizeSocial(''), '');
+});
+
+test('nameTokens drops accents, punctuation and suffixes and expands abbreviations', () => {
+  assert.deepEqual(nameTokens('Ma. Cristina'), ['maria', 'cristina']);
+  assert.deepEqual(nameTokens('José Rizal Jr.'), ['jose', 'rizal']);
+  assert.deepEqual(nameTokens(''), []);
+});
+
+test('normalizeFullName needs both parts', () => {
+  assert.equal(normalizeFullName('Ma. Cristina', 'Dela Cruz'), 'maria cristina dela cruz');
+  assert.equal(normalizeFullName('Ana', ''), '');
+  assert.equal(normalizeFullName('', 'Santos'), '');
+});
+
+test('parseName joins the family name and returns null when a part is missing', () => {
+  assert.deepEqual(parseName('Juan', 'Dela Cruz'), { given: ['juan'], family: 'delacruz' });
+  assert.equal(parseName('Juan', ''), null);
+});
+
+test('editDistance counts insertions, deletions and substitutions', () => {
+  assert.equal(editDistance('santos', 'santos'), 0);
+  assert.equal(editDistance('santos', 'santoz'), 1);
+  assert.equal(editDistance('', 'abc'), 3);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+});
+
+test('compareNames', async (t) => {
+  const similarity = (a, b) => compareNames(parseName(...a), parseName(...b));
+
+  await t.test('is 1 for the same name after normalization', () => {
+    assert.equal(similarity(['Ma. Cristina', 'Dela Cruz'], ['Maria Cristina', 'Delacruz']), 1);
+    assert.equal(similarity(['Bobby', 'Santos'], ['Robert', 'Santos']), 1);
+  });
+
+  await t.test('scores initials and left-out given names just below a full match', () => {
+    assert.equal(similarity(['J.', 'Rizal'], ['Jose', 'Rizal']), 0.9);
+    assert.equal(similarity(['Maria', 'Santos'], ['Maria Cristina', 'Santos']), 0.95);
+  });
+
+  await t.test('lowers the score with the family name edit distance', () => {
+    const score = similarity(['Ana', 'Santos'], ['Ana', 'Santoz']);
+    assert.ok(score > 0.8 && score < 1);
+  });
+
+  await t.test('is 0 for different people or missing names', () => {
+    assert.equal(similarity(['Ana', 'Santos'], ['Ben', 'Santos']), 0);
+    assert.equal(compareNames(null, parseName('Ana', 'Santos')), 0);
+  });
+});
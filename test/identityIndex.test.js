@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const IdentityIndex = require('../repositories/identityIndex');
+const { identityKeys } = IdentityIndex;
+
+const ana = {
+  recordId: 'r1',
+  rowNumber: 2,
+  firstName: 'Ana',
+  lastName: 'Santos',
+  email: 'Ana@Example.com',
+  phone: '0917 123 4567',
+  socialMedia: '@ana.s',
+  companionFirstName: 'Ben',
+  companionLastName: 'Cruz'
+};
+
+test('identityKeys files a booking under normalized contacts and both names', () => {
+  assert.deepEqual(identityKeys(ana), [
+    'email:ana@example.com',
+    'phone:+639171234567',
+    'social:ana.s',
+    'name:a|santos',
+    'name:b|cruz'
+  ]);
+});
+
+test('identityKeys skips empty fields', () => {
+  assert.deepEqual(identityKeys({ firstName: 'Ana', lastName: '', email: '', phone: '' }), []);
+});
+
+test('candidates share at least one key, in sheet order', () => {
+  const index = new IdentityIndex([
+    { recordId: 'r3', rowNumber: 9, firstName: 'Carla', lastName: 'Reyes', phone: '+63 917 123 4567' },
+    { recordId: 'r2', rowNumber: 5, firstName: 'A.', lastName: 'Santos' },
+    { recordId: 'r4', rowNumber: 7, firstName: 'Dan', lastName: 'Lim', email: 'dan@example.com' }
+  ]);
+
+  const found = index.candidates(ana).map(booking => booking.recordId);
+  assert.deepEqual(found, ['r2', 'r3']); // same initial and family name, same phone
+});
+
+test('candidates stay bounded as bookings with the same family name grow', () => {
+  const givenNames = ['Ben', 'Carla', 'Dan', 'Ella', 'Franco', 'Gina', 'Hector', 'Ivy', 'Jose', 'Karen'];
+  const countFor = (rows) => {
+    const bookings = Array.from({ length: rows }, (_, i) => ({
+      recordId: `s${i}`,
+      rowNumber: i + 2,
+      firstName: givenNames[i % givenNames.length],
+      lastName: 'Santos'
+    }));
+    return new IdentityIndex(bookings).candidates(ana).length;
+  };
+
+  assert.equal(countFor(10), 0);
+  assert.equal(countFor(1000), 0);
+
+  const index = new IdentityIndex([
+    { recordId: 'r2', rowNumber: 2, firstName: 'Ana', lastName: 'Santos' },
+    { recordId: 'r3', rowNumber: 3, firstName: 'Ben', lastName: 'Santos' }
+  ]);
+  assert.deepEqual(index.candidates(ana).map(booking => booking.recordId), ['r2']);
+});
+
+test('add replaces an entry and remove drops it from every bucket', () => {
+  const index = new IdentityIndex([ana]);
+  assert.equal(index.size, 1);
+
+  index.add({ ...ana, email: 'new@example.com', phone: '', socialMedia: '' });
+  assert.equal(index.size, 1);
+  assert.deepEqual(index.candidates({ email: 'ana@example.com' }), []);
+  assert.equal(index.candidates({ email: 'new@example.com' }).length, 1);
+
+  index.remove('r1');
+  assert.equal(index.size, 0);
+  assert.equal(index.buckets.size, 0);
+});
+
+test('legacy rows without a record_id are tracked by row number', () => {
+  const index = new IdentityIndex([
+    { rowNumber: 3, firstName: 'Ana', lastName: 'Santos' },
+    { rowNumber: 4, firstName: 'Ana', lastName: 'Santos' }
+  ]);
+  assert.equal(index.size, 2);
+
+  index.remove('row:3');
+  assert.deepEqual(index.candidates(ana).map(booking => booking.rowNumber), [4]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileAdapter = require('../services/storage/jsonFile.adapter');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-adapter-'));
+const filePath = path.join(dir, 'db.json');
+
+test.before(() => {
+  console.log = () => {}; // initialization logs
+  console.error = () => {}; // ...and the logged cause of the expected failures
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a new store is seeded with the header rows of every tab', async () => {
+  const storage = new JsonFileAdapter(filePath);
+  await storage.initialize();
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  assert.deepEqual(Object.keys(saved), ['Users', 'Intake', 'DB']);
+  assert.ok((await storage.readSheet('DB'))[0].includes('record_id'));
+  assert.equal((await storage.readSheet('Users')).length, 1);
+});
+
+test('rows are stored like the Sheets API returns them and survive a restart', async () => {
+  const storage = new JsonFileAdapter(filePath);
+  const response = await storage.appendRow('Users', ['u1', 'ana@example.com', 42, null, '', undefined]);
+  assert.equal(response.updates.updatedRange, 'Users!A2');
+
+  const reopened = new JsonFileAdapter(filePath);
+  assert.deepEqual((await reopened.readSheet('Users'))[1], ['u1', 'ana@example.com', '42']);
+});
+
+test('updateRow overwrites only the cells it covers', async () => {
+  const storage = new JsonFileAdapter(filePath);
+  await storage.appendRow('Users', ['u2', 'ben@example.com', 'hash', 'Ben']);
+  await storage.updateRow('Users', 3, ['u2', 'benjamin@example.com']);
+
+  assert.deepEqual((await storage.readSheet('Users'))[2], ['u2', 'benjamin@example.com', 'hash', 'Ben']);
+});
+
+test('readSheet understands A1 ranges', async () => {
+  const storage = new JsonFileAdapter(filePath);
+
+  assert.deepEqual(await storage.readSheet('Users', 'A2:B3'), [
+    ['u1', 'ana@example.com'],
+    ['u2', 'benjamin@example.com']
+  ]);
+  assert.deepEqual(await storage.readSheet('Users', 'C:C'), [
+    (await storage.readSheet('Users'))[0].slice(2, 3),
+    ['42'],
+    ['hash']
+  ]);
+  assert.deepEqual(await storage.readSheet('Users', '3:3'), [['u2', 'benjamin@example.com', 'hash', 'Ben']]);
+});
+
+test('deleteRow shifts the rows below up and refuses rows that do not exist', async () => {
+  const storage = new JsonFileAdapter(filePath);
+  await storage.deleteRow('Users', 2);
+
+  const rows = await storage.readSheet('Users');
+  assert.equal(rows.length, 2);
+  assert.equal(rows[1][0], 'u2');
+  await assert.rejects(storage.deleteRow('Users', 5), /Row 5 does not exist/);
+});
+
+test('unknown tabs are an error', async () => {
+  const storage = new JsonFileAdapter(filePath);
+  await assert.rejects(storage.readSheet('Missing'), /Failed to read sheet/);
+});
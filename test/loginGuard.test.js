@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'login-guard-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOGIN_DELAY_BASE_MS = '0';
+process.env.LOGIN_IP_MAX_FAILURES = '8';
+
+const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+const loginGuard = require('../services/loginGuard.service');
+const authController = require('../controllers/auth.controller');
+
+async function addUser(userId, password) {
+  const schema = await schemaService.ensureSchema('Users');
+  await sheetsService.appendRow('Users', schema.toRow({
+    userId,
+    email: `${userId}@example.com`,
+    passwordHash: await bcrypt.hash(password, 4),
+    name: userId,
+    role: 'Agent',
+    createdAt: new Date().toISOString()
+  }));
+}
+
+async function readUser(userId) {
+  const schema = await schemaService.getSchema('Users');
+  const row = (await sheetsService.readSheet('Users')).find(user => schema.get(user, 'userId') === userId);
+  return { schema, row };
+}
+
+async function failedLoginCount(userId) {
+  const { schema, row } = await readUser(userId);
+  return loginGuard.describe(schema, row).failedLoginCount;
+}
+
+// Log in through the controller from an IP; resolves to { status, body }
+async function login(email, password, ip) {
+  const res = {
+    statusCode: 200,
+    set() { return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; }
+  };
+  await authController.login({ body: { email, password }, headers: {}, ip }, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+test.before(async () => {
+  console.log = () => {}; // storage progress logs
+  console.warn = () => {}; // lock warnings
+  await sheetsService.initialize();
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('an account locks after five failures in a row and clear() unlocks it', async () => {
+  await addUser('ana', 'password1');
+
+  for (let i = 1; i <= 4; i++) {
+    assert.deepEqual(await loginGuard.recordFailure('10.0.0.1', { userId: 'ana', email: 'ana@example.com' }), { failures: i, locked: false });
+  }
+  let { schema, row } = await readUser('ana');
+  assert.equal(loginGuard.accountRetryAfter(schema, row), 0);
+
+  assert.deepEqual(await loginGuard.recordFailure('10.0.0.2', { userId: 'ana', email: 'ana@example.com' }), { failures: 5, locked: true });
+  ({ schema, row } = await readUser('ana'));
+  assert.ok(loginGuard.accountRetryAfter(schema, row) > 0);
+  assert.equal(loginGuard.describe(schema, row).lastFailedLoginIp, '10.0.0.2');
+
+  assert.equal(loginGuard.clear(schema, row), true);
+  assert.equal(loginGuard.accountRetryAfter(schema, row), 0);
+  assert.equal(loginGuard.clear(schema, row), false);
+});
+
+test('a locked account answers like an unknown email, even to the right password', async () => {
+  await addUser('ben', 'password1');
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await login('ben@example.com', 'wrong-password', '10.0.1.1')).status, 401);
+  }
+  const locked = await login('ben@example.com', 'password1', '10.0.1.2');
+  const unknown = await login('nobody@example.com', 'password1', '10.0.1.3');
+
+  assert.equal(locked.status, 401);
+  assert.deepEqual(locked.body, unknown.body);
+});
+
+test('unknown emails and locked accounts cost a password check too', async (t) => {
+  await addUser('dan', 'password1');
+  const compare = t.mock.method(bcrypt, 'compare');
+
+  await login('nobody@example.com', 'password1', '10.0.4.1');
+  await login('ben@example.com', 'password1', '10.0.4.1'); // locked above
+  await login('dan@example.com', 'wrong-password', '10.0.4.1');
+
+  assert.equal(compare.mock.callCount(), 3);
+});
+
+test('an IP is blocked after too many failures, whatever the accounts', async () => {
+  for (let i = 0; i < 8; i++) {
+    await login(`guess${i}@example.com`, 'password1', '10.0.2.1');
+  }
+  assert.ok(loginGuard.ipRetryAfter('10.0.2.1') > 0);
+  assert.equal(loginGuard.ipRetryAfter('10.0.2.2'), 0);
+
+  const blocked = await login('ana@example.com', 'password1', '10.0.2.1');
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.body.code, 'LOGIN_RATE_LIMITED');
+});
+
+test('a successful login ends the failure streak', async () => {
+  await addUser('carla', 'password1');
+
+  await login('carla@example.com', 'wrong-password', '10.0.3.1');
+  assert.equal(await failedLoginCount('carla'), 1);
+
+  assert.equal((await login('carla@example.com', 'password1', '10.0.3.1')).status, 200);
+  assert.equal(await failedLoginCount('carla'), 0);
+});
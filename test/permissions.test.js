@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  resolveRole,
+  permissionsFor,
+  hasPermission,
+  userCan,
+  describeRoles
+} = require('../utils/permissions');
+
+test('resolveRole matches roles case- and whitespace-insensitively', () => {
+  assert.equal(resolveRole('branch  manager'), ROLES.BRANCH_MANAGER);
+  assert.equal(resolveRole(' ADMIN '), ROLES.ADMIN);
+  assert.equal(resolveRole('superuser'), null);
+  assert.equal(resolveRole(undefined), null);
+});
+
+test('admins have every permission and unknown roles none', () => {
+  assert.deepEqual(permissionsFor('Admin'), Object.values(PERMISSIONS));
+  assert.deepEqual(permissionsFor('superuser'), []);
+  assert.deepEqual(permissionsFor(''), []);
+});
+
+test('every role can read and only admins manage users', () => {
+  ROLE_NAMES.forEach(role => {
+    assert.ok(hasPermission(role, PERMISSIONS.BOOKINGS_READ), role);
+    assert.equal(hasPermission(role, PERMISSIONS.USERS_MANAGE), role === ROLES.ADMIN, role);
+  });
+});
+
+test('role matrix', () => {
+  assert.ok(hasPermission('Manager', PERMISSIONS.BRANCHES_ALL));
+  assert.ok(!hasPermission('Branch Manager', PERMISSIONS.BRANCHES_ALL));
+  assert.ok(hasPermission('Branch Manager', PERMISSIONS.BOOKINGS_UPDATE_STATUS));
+  assert.ok(!hasPermission('Agent', PERMISSIONS.BOOKINGS_UPDATE_STATUS));
+  assert.ok(!hasPermission('Agent', PERMISSIONS.BOOKINGS_UPDATE_AGENT));
+  assert.ok(!hasPermission('Viewer', PERMISSIONS.BOOKINGS_CREATE));
+});
+
+test('userCan uses the scopes of API keys and the role of users', () => {
+  assert.ok(userCan({ role: 'agent' }, PERMISSIONS.BOOKINGS_CREATE));
+  assert.ok(!userCan({ role: 'Viewer' }, PERMISSIONS.BOOKINGS_CREATE));
+
+  // An API key's scopes replace the role entirely
+  const apiKey = { role: 'Admin', permissions: [PERMISSIONS.BOOKINGS_READ] };
+  assert.ok(userCan(apiKey, PERMISSIONS.BOOKINGS_READ));
+  assert.ok(!userCan(apiKey, PERMISSIONS.BOOKINGS_CREATE));
+  assert.ok(!userCan({ permissions: [] }, PERMISSIONS.BOOKINGS_READ));
+
+  assert.ok(!userCan(null, PERMISSIONS.BOOKINGS_READ));
+});
+
+test('API keys can never be given account administration scopes', () => {
+  [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE, PERMISSIONS.INVITATIONS_MANAGE,
+    PERMISSIONS.AGENTS_MANAGE, PERMISSIONS.API_KEYS_MANAGE].forEach(permission => {
+    assert.ok(!API_KEY_SCOPES.includes(permission), permission);
+  });
+  assert.ok(API_KEY_SCOPES.includes(PERMISSIONS.BRANCHES_ALL));
+});
+
+test('describeRoles lists every role with its permissions', () => {
+  const roles = describeRoles();
+  assert.deepEqual(roles.map(entry => entry.role), ROLE_NAMES);
+  roles.forEach(({ role, permissions }) => assert.deepEqual(permissions, permissionsFor(role)));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'promo-hunter-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+
+const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+const promoHunterService = require('../services/promoHunter.service');
+const promoHunterController = require('../controllers/promoHunter.controller');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const ana = {
+  branch: 'Feliz',
+  status: 'Scheduled',
+  firstName: 'Ana',
+  lastName: 'Santos',
+  email: 'ana@example.com',
+  phone: '0917 111 1111',
+  date: 'Oct 20 2026 2:00 PM'
+};
+
+// Save a booking with the result of its promo hunter check, like createBooking does
+async function book(recordId, fields) {
+  const result = await promoHunterService.check(fields);
+  await bookingRepository.create({
+    recordId,
+    ...fields,
+    promoHunterStatus: result.status,
+    matchReason: result.matchReason,
+    matchedSource: result.matchedSource,
+    matchedRow: result.matchedRow,
+    matchedRecordIds: result.matchedRecordIds
+  });
+  return result;
+}
+
+test.before(async () => {
+  console.log = () => {}; // storage and repository progress logs
+  await sheetsService.initialize();
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('matched bookings are stored by record_id and still found after rows move', async () => {
+  await book('record-0', { ...ana, firstName: 'Ben', lastName: 'Cruz', email: 'ben@example.com', phone: '0917 222 2222' });
+  await book('record-1', ana);
+  const result = await book('record-2', { ...ana, date: 'Oct 27 2026 2:00 PM' });
+  assert.equal(result.status, 'Promo hunter');
+  assert.equal(result.matchedRecordIds, 'record-1');
+  assert.equal(result.matchedRow, 'Row 3');
+
+  // Deleting a row above shifts every row number below it
+  await sheetsService.deleteRow('DB', 2);
+  bookingRepository.invalidate();
+
+  const [flagged] = await promoHunterService.getReviewQueue();
+  assert.equal(flagged.recordId, 'record-2');
+  assert.deepEqual(flagged.matchedBookings.map(booking => [booking.recordId, booking.rowNumber]), [['record-1', 2]]);
+});
+
+test('a flag outside the caller\'s branches is reported as not found', async () => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; }
+  };
+  await promoHunterController.confirmFlag({
+    params: { id: 'record-2' },
+    body: {},
+    user: { apiKeyId: 'key-1', name: 'Sucat forms', permissions: [PERMISSIONS.PROMO_HUNTERS_REVIEW], branches: ['Sucat'] },
+    ip: '127.0.0.1'
+  }, res);
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(res.body, { error: 'Booking not found' });
+  assert.equal((await bookingRepository.findByRecordId('record-2', { sheet: 'DB' })).promoReview, '');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Local JSON storage in a temporary directory (services/storage/jsonFile.adapter.js)
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'db.json');
+process.env.JWT_SECRET = 'test-secret';
+
+const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+const sessionService = require('../services/session.service');
+const { SessionError } = sessionService;
+
+const req = { ip: '127.0.0.1', headers: { 'user-agent': 'node:test' } };
+
+async function addUser(userId) {
+  const schema = await schemaService.ensureSchema('Users');
+  await sheetsService.appendRow('Users', schema.toRow({
+    userId,
+    email: `${userId}@example.com`,
+    passwordHash: '',
+    name: userId,
+    role: 'Agent',
+    createdAt: new Date().toISOString()
+  }));
+  return { userId, email: `${userId}@example.com`, tokenVersion: 0 };
+}
+
+test.before(async () => {
+  console.log = () => {}; // storage progress logs
+  console.warn = () => {}; // the reuse warning
+  await sheetsService.initialize();
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a refresh rotates the refresh token and the old one stops working', async () => {
+  const user = await addUser('ana');
+  const first = await sessionService.start(user, req);
+  assert.equal(jwt.verify(first.token, process.env.JWT_SECRET).userId, 'ana');
+
+  const second = await sessionService.refresh(first.refreshToken);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(jwt.verify(second.token, process.env.JWT_SECRET).tokenVersion, 0);
+
+  const third = await sessionService.refresh(second.refreshToken);
+  assert.ok(third.refreshToken);
+  await assert.rejects(sessionService.refresh(second.refreshToken), SessionError);
+});
+
+test('replaying a rotated refresh token ends the whole session', async () => {
+  const user = await addUser('ben');
+  const first = await sessionService.start(user, req);
+  const second = await sessionService.refresh(first.refreshToken);
+
+  // Someone replays the stolen first token: the legitimate holder of the second one is logged out too
+  await assert.rejects(sessionService.refresh(first.refreshToken), /Invalid refresh token/);
+  await assert.rejects(sessionService.refresh(second.refreshToken), /Session has been revoked/);
+});
+
+test('unknown refresh tokens are refused', async () => {
+  await assert.rejects(sessionService.refresh('not-a-token'), SessionError);
+});
+
+test('logout ends one session, logging out everywhere ends all of them', async () => {
+  const user = await addUser('carla');
+  const laptop = await sessionService.start(user, req);
+  const phone = await sessionService.start(user, req);
+  const tablet = await sessionService.start(user, req);
+
+  assert.equal(await sessionService.revoke(laptop.refreshToken), 'carla');
+  await assert.rejects(sessionService.refresh(laptop.refreshToken), SessionError);
+  await sessionService.refresh(phone.refreshToken);
+
+  assert.equal(await sessionService.revokeAllForUser('carla'), 1);
+  await assert.rejects(sessionService.refresh(tablet.refreshToken), SessionError);
+
+  // Sessions started after the revocation carry the new token_version
+  const next = await sessionService.start({ ...user, tokenVersion: 1 }, req);
+  assert.equal(jwt.verify((await sessionService.refresh(next.refreshToken)).token, process.env.JWT_SECRET).tokenVersion, 1);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B: ASCII "12345678901234567890" (base32 below), SHA-1. The RFC lists 8-digit
+// codes; 6-digit codes are their last six digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('generateCode matches the RFC 6238 test vectors', () => {
+  RFC_VECTORS.forEach(([seconds, code]) => {
+    assert.equal(totp.generateCode(RFC_SECRET, totp.timeStep(seconds * 1000)), code.slice(-6));
+  });
+});
+
+test('verifyCode returns the step of a valid code and accepts one step of drift', () => {
+  const now = 1111111111 * 1000;
+  const step = totp.timeStep(now);
+
+  assert.equal(totp.verifyCode(RFC_SECRET, '050471', now), step);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), now), step - 1);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), now), step + 1);
+  assert.equal(totp.verifyCode(RFC_SECRET, '050 471', now), step);
+});
+
+test('verifyCode rejects wrong, stale and malformed codes', () => {
+  const now = 1111111111 * 1000;
+  const step = totp.timeStep(now);
+  const wrong = String((parseInt(totp.generateCode(RFC_SECRET, step)) + 1) % 1000000).padStart(6, '0');
+
+  assert.equal(totp.verifyCode(RFC_SECRET, wrong, now), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), now), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, '14050471', now), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', now), null);
+  assert.equal(totp.verifyCode(RFC_SECRET, '', now), null);
+});
+
+test('generateSecret returns 160 random bits in base32', () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(totp.generateSecret(), secret);
+});
+
+test('otpauthUri percent-encodes the label and issuer', () => {
+  const uri = totp.otpauthUri({ secret: RFC_SECRET, account: 'ana+test@example.com', issuer: 'Booking Dashboard' });
+  assert.equal(
+    uri,
+    `otpauth://totp/Booking%20Dashboard%3Aana%2Btest%40example.com?secret=${RFC_SECRET}` +
+      '&issuer=Booking%20Dashboard&algorithm=SHA1&digits=6&period=30'
+  );
+});
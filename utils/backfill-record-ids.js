@@ -0,0 +1,30 @@
+require('dotenv').config();
+const sheetsService = require('../services/sheets.service');
+const bookingRepository = require('../repositories/booking.repository');
+
+/**
+ * Assign a record_id (UUID) to legacy booking rows in the DB and Intake sheets.
+ * Bookings are addressed by record_id, so rows without one cannot be opened or edited.
+ * Safe to run repeatedly - rows that already have a record_id are left untouched.
+ */
+async function backfillRecordIds() {
+  console.log('🔍 Backfilling booking record IDs...\n');
+
+  try {
+    await sheetsService.initialize();
+    console.log(`✅ Storage initialized successfully (${sheetsService.name})\n`);
+
+    const result = await bookingRepository.backfillRecordIds();
+
+    Object.entries(result).forEach(([sheetName, count]) => {
+      console.log(`✅ ${sheetName}: ${count} row(s) assigned a record_id`);
+    });
+
+    console.log('\n✅ Backfill complete!');
+  } catch (error) {
+    console.error('\n❌ Backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+backfillRecordIds();
@@ -0,0 +1,131 @@
+/**
+ * Booking status registry
+ * Single source of truth for the canonical booking statuses, how analytics classifies them
+ * and which status changes are allowed. Sheet values are matched case- and whitespace-insensitively,
+ * so legacy cells like "arrived  & Bought" still classify correctly.
+ */
+
+const BOOKING_STATUS = {
+  SCHEDULED: 'Scheduled',
+  PROMO_HUNTER: 'Promo hunter',
+  ARRIVED_BOUGHT: 'Arrived & bought',
+  ARRIVED_NOT_POTENTIAL: 'Arrived not potential',
+  COMEBACK_BOUGHT: 'Comeback & bought',
+  CANCELLED: 'Cancelled'
+};
+
+const STATUS_CATEGORY = {
+  ARRIVAL: 'arrival', // customer showed up at the branch
+  SALE: 'sale', // customer bought - counted as actual sales
+  COMPLETED: 'completed', // completed visit - counted as revenue in the analytics overview
+  CANCELLATION: 'cancellation'
+};
+
+/**
+ * Each status lists its categories and the statuses it may change to.
+ * Setting a booking to its current status is always allowed.
+ */
+const STATUS_DEFINITIONS = {
+  [BOOKING_STATUS.SCHEDULED]: {
+    categories: [],
+    transitions: [
+      BOOKING_STATUS.PROMO_HUNTER,
+      BOOKING_STATUS.ARRIVED_BOUGHT,
+      BOOKING_STATUS.ARRIVED_NOT_POTENTIAL,
+      BOOKING_STATUS.COMEBACK_BOUGHT,
+      BOOKING_STATUS.CANCELLED
+    ]
+  },
+  [BOOKING_STATUS.PROMO_HUNTER]: {
+    categories: [],
+    transitions: [
+      BOOKING_STATUS.SCHEDULED,
+      BOOKING_STATUS.ARRIVED_BOUGHT,
+      BOOKING_STATUS.ARRIVED_NOT_POTENTIAL,
+      BOOKING_STATUS.COMEBACK_BOUGHT,
+      BOOKING_STATUS.CANCELLED
+    ]
+  },
+  [BOOKING_STATUS.ARRIVED_BOUGHT]: {
+    categories: [STATUS_CATEGORY.ARRIVAL, STATUS_CATEGORY.SALE, STATUS_CATEGORY.COMPLETED],
+    transitions: []
+  },
+  [BOOKING_STATUS.ARRIVED_NOT_POTENTIAL]: {
+    categories: [STATUS_CATEGORY.ARRIVAL, STATUS_CATEGORY.COMPLETED],
+    transitions: [BOOKING_STATUS.COMEBACK_BOUGHT]
+  },
+  [BOOKING_STATUS.COMEBACK_BOUGHT]: {
+    categories: [STATUS_CATEGORY.ARRIVAL, STATUS_CATEGORY.SALE],
+    transitions: []
+  },
+  [BOOKING_STATUS.CANCELLED]: {
+    categories: [STATUS_CATEGORY.CANCELLATION],
+    transitions: [BOOKING_STATUS.SCHEDULED] // rebooked
+  }
+};
+
+const BOOKING_STATUSES = Object.values(BOOKING_STATUS);
+
+const normalizeStatus = (status) => String(status || '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const canonicalByNormalized = new Map(BOOKING_STATUSES.map(status => [normalizeStatus(status), status]));
+
+/**
+ * Canonical spelling of a status, or null if it is not a known status
+ */
+function resolveStatus(status) {
+  return canonicalByNormalized.get(normalizeStatus(status)) || null;
+}
+
+function hasCategory(status, category) {
+  const canonical = resolveStatus(status);
+  return canonical ? STATUS_DEFINITIONS[canonical].categories.includes(category) : false;
+}
+
+const isArrival = (status) => hasCategory(status, STATUS_CATEGORY.ARRIVAL);
+const isSale = (status) => hasCategory(status, STATUS_CATEGORY.SALE);
+const isCompleted = (status) => hasCategory(status, STATUS_CATEGORY.COMPLETED);
+const isCancelled = (status) => hasCategory(status, STATUS_CATEGORY.CANCELLATION);
+
+/**
+ * True when a booking may move from one status to another.
+ * Rows whose current value is not a known status (legacy free text) may move to any known status.
+ */
+function canTransition(from, to) {
+  const target = resolveStatus(to);
+  if (!target) return false;
+
+  const current = resolveStatus(from);
+  if (!current || current === target) return true;
+
+  return STATUS_DEFINITIONS[current].transitions.includes(target);
+}
+
+/**
+ * Registry as plain data, e.g. for clients that render status pickers
+ */
+function describeStatuses() {
+  return BOOKING_STATUSES.map(status => ({
+    status,
+    categories: STATUS_DEFINITIONS[status].categories,
+    transitions: STATUS_DEFINITIONS[status].transitions
+  }));
+}
+
+module.exports = {
+  BOOKING_STATUS,
+  BOOKING_STATUSES,
+  STATUS_CATEGORY,
+  normalizeStatus,
+  resolveStatus,
+  hasCategory,
+  isArrival,
+  isSale,
+  isCompleted,
+  isCancelled,
+  canTransition,
+  describeStatuses
+};
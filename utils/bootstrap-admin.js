@@ -0,0 +1,73 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
+const auditService = require('../services/audit.service');
+const { ROLES, resolveRole } = require('./permissions');
+
+/**
+ * Create the first Admin account. Signup needs an invitation from an admin, so the very first
+ * admin has to be created here. Refuses to run once any Admin exists.
+ *
+ * Usage: ADMIN_PASSWORD=... npm run bootstrap-admin -- <email> "<name>"
+ * (ADMIN_EMAIL and ADMIN_NAME may be used instead of the arguments)
+ */
+async function bootstrapAdmin() {
+  console.log('🔍 Bootstrapping first admin...\n');
+
+  const email = (process.argv[2] || process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  const name = (process.argv[3] || process.env.ADMIN_NAME || '').trim();
+  const password = process.env.ADMIN_PASSWORD || '';
+
+  if (!email || !name || password.length < 8) {
+    console.error('❌ Usage: ADMIN_PASSWORD=<at least 8 characters> npm run bootstrap-admin -- <email> "<name>"');
+    process.exit(1);
+  }
+
+  try {
+    await sheetsService.initialize();
+    console.log(`✅ Storage initialized successfully (${sheetsService.name})\n`);
+
+    const users = await sheetsService.readSheet('Users');
+    const schema = schemaService.fromHeaders('Users', users[0]);
+
+    if (users.slice(1).some(user => resolveRole(schema.get(user, 'role')) === ROLES.ADMIN)) {
+      console.error('❌ An Admin already exists. Ask an admin for an invitation instead.');
+      process.exit(1);
+    }
+    if (users.slice(1).some(user => schema.get(user, 'email') === email)) {
+      console.error(`❌ ${email} is already registered. An admin-less sheet must be fixed by hand.`);
+      process.exit(1);
+    }
+
+    const userId = uuidv4();
+    const now = new Date().toISOString();
+
+    await sheetsService.appendRow('Users', schema.toRow({
+      userId,
+      email,
+      passwordHash: await bcrypt.hash(password, 10),
+      name,
+      role: ROLES.ADMIN,
+      createdAt: now,
+      lastLogin: ''
+    }));
+
+    await auditService.record(null, {
+      action: 'user.create',
+      entityType: 'user',
+      entityId: userId,
+      after: { email, name, role: ROLES.ADMIN },
+      actor: { userId, email, name }
+    });
+
+    console.log(`✅ Admin ${email} created`);
+    console.log('\n📝 Next: log in and invite the rest of the team (POST /api/auth/invitations)\n');
+  } catch (error) {
+    console.error('\n❌ Bootstrap failed:', error.message);
+    process.exit(1);
+  }
+}
+
+bootstrapAdmin();
@@ -0,0 +1,53 @@
+const { PERMISSIONS, userCan } = require('./permissions');
+
+/**
+ * Branch-scoped access
+ * Users carry their assigned branches in the "branches" column of the Users sheet (comma separated).
+ * Roles with branches:all see every branch; everyone else only sees bookings of their assigned branches.
+ * Access fails closed: a user (or API key) without branches:all and without any assigned branch sees no branch.
+ */
+
+// "STA LUCIA", "Sta Lucia" and "sta  lucia" are the same branch
+const normalizeBranch = (branch) => String(branch || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * "STA LUCIA, FELIZ" -> ['STA LUCIA', 'FELIZ'] (blank and duplicate entries dropped)
+ */
+function parseBranches(value) {
+  const branches = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+
+  return branches
+    .map(branch => String(branch || '').trim())
+    .filter(branch => {
+      const normalized = normalizeBranch(branch);
+      if (!normalized || seen.has(normalized)) return false;
+      seen.add(normalized);
+      return true;
+    });
+}
+
+// Cell value for the branches column
+const formatBranches = (branches) => parseBranches(branches).join(', ');
+
+/**
+ * Branches the user is limited to ([] for none), or null when the user may see every branch
+ */
+function getBranchScope(user) {
+  if (user && userCan(user, PERMISSIONS.BRANCHES_ALL)) return null;
+  return parseBranches(user && user.branches);
+}
+
+function isBranchInScope(scope, branch) {
+  if (!scope) return true;
+  const normalized = normalizeBranch(branch);
+  return scope.some(allowed => normalizeBranch(allowed) === normalized);
+}
+
+module.exports = {
+  normalizeBranch,
+  parseBranches,
+  formatBranches,
+  getBranchScope,
+  isBranchInScope
+};
@@ -0,0 +1,24 @@
+/**
+ * IP address of the client behind a request, for login throttling, sessions, API key usage and the audit log.
+ * X-Forwarded-For is only honoured as far as Express's trust proxy setting allows (TRUST_PROXY, see index.js),
+ * so a client cannot choose its own IP by sending the header.
+ */
+function clientIp(req) {
+  return req ? req.ip || '' : '';
+}
+
+/**
+ * TRUST_PROXY as an Express trust proxy value: 'true'/'false', a hop count,
+ * or addresses/subnets such as 'loopback' or '10.0.0.0/8, 172.16.0.0/12'. Unset trusts no proxy.
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+
+module.exports = {
+  clientIp,
+  parseTrustProxy
+};
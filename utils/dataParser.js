@@ -83,46 +83,27 @@ function parsePrice(priceValue) {
   // Handle both string and numeric inputs
   const priceStr = String(priceValue);
   
-  // Remove peso symbol and commas, keep only numbers and decimal point
-  const cleaned = priceStr.replace('₱', '').replace(/,/g, '');
+  // Remove peso sign, commas and any other non-numeric characters except decimal point
+  const cleaned = priceStr.replace(/[^0-9.]/g, '');
   const parsed = parseFloat(cleaned);
   
   return isNaN(parsed) ? 0 : parsed;
 }
 
 /**
- * Map sheet row to standardized booking object
- * Handles proper type conversion and data parsing
- * Supports both 44-column DB sheet and other formats
+ * Format a date as "Feb 21 2026 10:53 AM" (the timestamp format used in the sheets)
  */
-function mapRowToBooking(row) {
-  return {
-    timestamp: row[0] || '',
-    branch: row[1] || '',
-    status: row[2] || '',
-    date: row[3] || '',
-    firstName: row[4] || '',
-    lastName: row[5] || '',
-    age: parseInt(row[6]) || 0,
-    gender: row[7] || '',
-    treatment: row[8] || '',
-    area: row[9] || '',
-    freebie: row[10] || '',
-    companionTreatment: row[11] || '',
-    totalPrice: parsePrice(row[12]),
-    paymentMode: row[13] || '',
-    phone: row[14] || '',
-    socialMedia: row[15] || '',
-    email: row[16] || '',
-    agent: row[17] || '',
-    bookingDetails: row[18] || '',
-    adInteracted: row[19] || '',
-    companionFirstName: row[20] || '',
-    companionLastName: row[21] || '',
-    companionAge: row[22] || '',
-    companionGender: row[23] || '',
-    companionFreebie: row[24] || ''
-  };
+function getCurrentTimestamp(now = new Date()) {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const monthName = months[now.getMonth()];
+  const day = now.getDate();
+  const year = now.getFullYear();
+  const hours = now.getHours();
+  const minutes = now.getMinutes().toString().padStart(2, '0');
+  const displayHours = hours % 12 || 12;
+  const ampm = hours >= 12 ? 'PM' : 'AM';
+  
+  return `${monthName} ${day} ${year} ${displayHours}:${minutes} ${ampm}`;
 }
 
 /**
@@ -169,6 +150,6 @@ function getDateRangeFilter(startDate, endDate, days = null) {
 module.exports = {
   parseDateString,
   parsePrice,
-  mapRowToBooking,
+  getCurrentTimestamp,
   getDateRangeFilter
 };
@@ -0,0 +1,173 @@
+/**
+ * Normalization and comparison of customer identity fields (phone, email, social handle, name),
+ * shared by the normalized booking columns and promo hunter matching.
+ */
+
+// Abbreviations and nicknames treated as the same name token ("Ma. Cristina" = "Maria Cristina")
+const NAME_EQUIVALENTS = {
+  ma: 'maria',
+  mria: 'maria',
+  sta: 'santa',
+  sto: 'santo',
+  jhon: 'john',
+  bob: 'robert',
+  bobby: 'robert',
+  rob: 'robert',
+  bill: 'william',
+  will: 'william',
+  liz: 'elizabeth',
+  beth: 'elizabeth',
+  kate: 'katherine',
+  katie: 'katherine'
+};
+
+// Generational suffixes carry no identity ("Jose Rizal Jr." = "Jose Rizal")
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+
+// Similarity of a single initial to a name starting with that letter ("J." vs "Juan")
+const INITIAL_SIMILARITY = 0.9;
+
+// Names that match but leave out a given name ("Maria Santos" vs "Maria Cristina Santos")
+const MISSING_NAME_FACTOR = 0.95;
+
+/**
+ * Philippine numbers in E.164 ("0917 123 4567", "+63 917-123-4567" and "9171234567" all become
+ * "+639171234567"). Numbers that cannot be placed keep their digits only.
+ */
+function normalizePhone(phone) {
+  const raw = String(phone || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return '';
+
+  if (raw.startsWith('+')) return `+${digits}`;
+  if (digits.startsWith('00')) return `+${digits.slice(2)}`;
+  if (digits.startsWith('63') && digits.length === 12) return `+${digits}`;
+  if (digits.startsWith('0') && (digits.length === 10 || digits.length === 11)) return `+63${digits.slice(1)}`;
+  if (digits.startsWith('9') && digits.length === 10) return `+63${digits}`;
+  return digits;
+}
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/**
+ * Facebook / Instagram handle without URL, "@" or letter case ("https://fb.com/Ana.S/" -> "ana.s")
+ */
+const normalizeSocial = (handle) => String(handle || '')
+  .toLowerCase()
+  .trim()
+  .replace(/^https?:\/\//, '')
+  .replace(/^(www\.|m\.)/, '')
+  .replace(/^(facebook\.com|fb\.com|instagram\.com)\//, '')
+  .replace(/^@/, '')
+  .replace(/\/+$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Name tokens: lowercased, without accents or punctuation, abbreviations expanded and suffixes dropped
+ */
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token && !NAME_SUFFIXES.has(token))
+    .map(token => NAME_EQUIVALENTS[token] || token);
+}
+
+/**
+ * Canonical "given family" name, e.g. for the full_name_norm column; '' when either part is missing
+ */
+function normalizeFullName(firstName, lastName) {
+  const given = nameTokens(firstName);
+  const family = nameTokens(lastName);
+  return given.length > 0 && family.length > 0 ? [...given, ...family].join(' ') : '';
+}
+
+/**
+ * Parsed name for compareNames, or null when either part is missing
+ */
+function parseName(firstName, lastName) {
+  const given = nameTokens(firstName);
+  const family = nameTokens(lastName).join(''); // "Dela Cruz" = "Delacruz"
+  return given.length > 0 && family ? { given, family } : null;
+}
+
+// Levenshtein distance (insertions, deletions and substitutions)
+function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for equal strings, down to 0 for nothing in common
+const stringSimilarity = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length === 1 || b.length === 1) return a[0] === b[0] ? INITIAL_SIMILARITY : 0;
+  return stringSimilarity(a, b);
+}
+
+// Pairs each given name of the shorter list with its closest unused counterpart in the longer one
+function givenNameSimilarity(a, b) {
+  if (a.join('') === b.join('')) return 1;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const remaining = [...longer];
+  let total = 0;
+
+  for (const token of shorter) {
+    let bestIndex = -1;
+    let best = 0;
+    remaining.forEach((other, index) => {
+      const similarity = tokenSimilarity(token, other);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex === -1) return 0;
+    total += best;
+    remaining.splice(bestIndex, 1);
+  }
+
+  const similarity = total / shorter.length;
+  return remaining.length > 0 ? similarity * MISSING_NAME_FACTOR : similarity;
+}
+
+/**
+ * Similarity of two parsed names (see parseName) from 0 to 1: family name edit distance
+ * times the best pairing of given names. 1 means the same name after normalization.
+ */
+function compareNames(a, b) {
+  if (!a || !b) return 0;
+  return stringSimilarity(a.family, b.family) * givenNameSimilarity(a.given, b.given);
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeEmail,
+  normalizeSocial,
+  nameTokens,
+  normalizeFullName,
+  parseName,
+  editDistance,
+  compareNames
+};
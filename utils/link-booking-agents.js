@@ -0,0 +1,39 @@
+require('dotenv').config();
+const sheetsService = require('../services/sheets.service');
+const agentService = require('../services/agent.service');
+
+/**
+ * Link legacy bookings to agent accounts: fills agent_id in the DB and Intake sheets for every
+ * row whose Agent name matches a user's name or an entry of the AgentAliases sheet.
+ * Usage: npm run link-booking-agents [-- --dry-run]
+ * Names that match nobody are listed - add them to AgentAliases and run again.
+ * Safe to run repeatedly - rows that already have an agent_id are left untouched.
+ */
+async function linkBookingAgents() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`🔍 Linking booking agents to user accounts${dryRun ? ' (dry run)' : ''}...\n`);
+
+  try {
+    await sheetsService.initialize();
+    console.log(`✅ Storage initialized successfully (${sheetsService.name})\n`);
+
+    const { unmatchedNames, ...sheets } = await agentService.linkBookings({ dryRun });
+
+    Object.entries(sheets).forEach(([sheetName, { linked, unmatched }]) => {
+      console.log(`✅ ${sheetName}: ${linked} row(s) ${dryRun ? 'would be linked' : 'linked'}, ${unmatched} unmatched`);
+    });
+
+    const names = Object.entries(unmatchedNames).sort((a, b) => b[1] - a[1]);
+    if (names.length > 0) {
+      console.log('\n⚠️ Agent names without an account (add them to the AgentAliases sheet):');
+      names.forEach(([name, count]) => console.log(`   - "${name}" (${count} row(s))`));
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Dry run' : 'Linking'} complete!`);
+  } catch (error) {
+    console.error('\n❌ Linking failed:', error.message);
+    process.exit(1);
+  }
+}
+
+linkBookingAgents();
@@ -0,0 +1,38 @@
+require('dotenv').config();
+const sheetsService = require('../services/sheets.service');
+const customerService = require('../services/customer.service');
+
+/**
+ * Link existing bookings to customer profiles: fills customer_id and companion_customer_id in the
+ * DB and Intake sheets, creating Customers sheet profiles for people seen for the first time.
+ * Usage: npm run link-booking-customers [-- --dry-run]
+ * Run backfill-record-ids first - rows without a record_id are skipped.
+ * Safe to run repeatedly - rows that already point at a profile are left untouched.
+ */
+async function linkBookingCustomers() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`🔍 Linking bookings to customer profiles${dryRun ? ' (dry run)' : ''}...\n`);
+
+  try {
+    await sheetsService.initialize();
+    console.log(`✅ Storage initialized successfully (${sheetsService.name})\n`);
+
+    const result = await customerService.linkBookings({ dryRun });
+
+    console.log(`✅ ${result.bookingsLinked} booking(s) ${dryRun ? 'would be linked' : 'linked'}`);
+    console.log(`✅ ${result.customersCreated} customer profile(s) ${dryRun ? 'would be created' : 'created'}`);
+    if (!dryRun) {
+      console.log(`   DB: ${result.DB} row(s), Intake: ${result.Intake} row(s) updated`);
+    }
+    if (result.skippedWithoutRecordId > 0) {
+      console.log(`\n⚠️ ${result.skippedWithoutRecordId} row(s) without a record_id skipped - run npm run backfill-record-ids first`);
+    }
+
+    console.log(`\n✅ ${dryRun ? 'Dry run' : 'Linking'} complete!`);
+  } catch (error) {
+    console.error('\n❌ Linking failed:', error.message);
+    process.exit(1);
+  }
+}
+
+linkBookingCustomers();
@@ -0,0 +1,149 @@
+/**
+ * Role and permission registry
+ * Single source of truth for the user roles and what each one may do. Routes declare the permission
+ * they need with requirePermission() (middleware/permission.middleware.js); roles are never compared directly.
+ * Permissions are "<resource>:<action>" strings, optionally narrowed further ("bookings:update:status").
+ */
+
+const ROLES = {
+  ADMIN: 'Admin',
+  MANAGER: 'Manager',
+  BRANCH_MANAGER: 'Branch Manager',
+  AGENT: 'Agent',
+  VIEWER: 'Viewer'
+};
+
+const PERMISSIONS = {
+  BOOKINGS_CREATE: 'bookings:create',
+  BOOKINGS_READ: 'bookings:read',
+  BOOKINGS_READ_INACTIVE: 'bookings:read:inactive', // soft-deleted bookings (?includeInactive=true)
+  BOOKINGS_UPDATE: 'bookings:update',
+  BOOKINGS_UPDATE_STATUS: 'bookings:update:status',
+  BOOKINGS_UPDATE_AGENT: 'bookings:update:agent',
+  BOOKINGS_DELETE: 'bookings:delete',
+  BOOKINGS_RESTORE: 'bookings:restore',
+  BOOKINGS_REVERT: 'bookings:revert',
+  REPORTS_READ: 'reports:read', // daily reports
+  ANALYTICS_READ: 'analytics:read',
+  DASHBOARD_READ: 'dashboard:read',
+  BRANCHES_ALL: 'branches:all', // not limited to the user's assigned branches (utils/branchScope.js)
+  AUDIT_READ: 'audit:read',
+  CUSTOMERS_READ: 'customers:read',
+  CUSTOMERS_MANAGE: 'customers:manage', // link bookings to customer profiles, merge duplicates
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage', // change roles, reset passwords, disable users
+  INVITATIONS_MANAGE: 'invitations:manage',
+  AGENTS_MANAGE: 'agents:manage', // agent name aliases and linking bookings to agent accounts
+  PROMO_HUNTERS_REVIEW: 'promo_hunters:review', // confirm or dismiss promo hunter flags
+  API_KEYS_MANAGE: 'api_keys:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Scopes an API key may be given: everything except account administration
+const API_KEY_SCOPES = ALL_PERMISSIONS.filter(permission => ![
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.USERS_MANAGE,
+  PERMISSIONS.INVITATIONS_MANAGE,
+  PERMISSIONS.AGENTS_MANAGE,
+  PERMISSIONS.API_KEYS_MANAGE
+].includes(permission));
+
+// Read-only access shared by every role
+const READ_ONLY = [
+  PERMISSIONS.BOOKINGS_READ,
+  PERMISSIONS.CUSTOMERS_READ,
+  PERMISSIONS.REPORTS_READ,
+  PERMISSIONS.ANALYTICS_READ,
+  PERMISSIONS.DASHBOARD_READ
+];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ALL_PERMISSIONS,
+  [ROLES.MANAGER]: [
+    ...READ_ONLY,
+    PERMISSIONS.BOOKINGS_READ_INACTIVE,
+    PERMISSIONS.BOOKINGS_CREATE,
+    PERMISSIONS.BOOKINGS_UPDATE,
+    PERMISSIONS.BOOKINGS_UPDATE_STATUS,
+    PERMISSIONS.BOOKINGS_UPDATE_AGENT,
+    PERMISSIONS.BOOKINGS_DELETE,
+    PERMISSIONS.BOOKINGS_RESTORE,
+    PERMISSIONS.BRANCHES_ALL,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.USERS_READ
+  ],
+  [ROLES.BRANCH_MANAGER]: [
+    ...READ_ONLY,
+    PERMISSIONS.BOOKINGS_CREATE,
+    PERMISSIONS.BOOKINGS_UPDATE,
+    PERMISSIONS.BOOKINGS_UPDATE_STATUS,
+    PERMISSIONS.BOOKINGS_UPDATE_AGENT,
+    PERMISSIONS.BOOKINGS_DELETE
+  ],
+  [ROLES.AGENT]: [
+    ...READ_ONLY,
+    PERMISSIONS.BOOKINGS_CREATE,
+    PERMISSIONS.BOOKINGS_UPDATE,
+    PERMISSIONS.BOOKINGS_DELETE
+  ],
+  [ROLES.VIEWER]: READ_ONLY
+};
+
+const ROLE_NAMES = Object.values(ROLES);
+
+const normalizeRole = (role) => String(role || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const canonicalByNormalized = new Map(ROLE_NAMES.map(role => [normalizeRole(role), role]));
+
+/**
+ * Canonical spelling of a role ("branch  manager" -> "Branch Manager"), or null if it is not a known role
+ */
+function resolveRole(role) {
+  return canonicalByNormalized.get(normalizeRole(role)) || null;
+}
+
+/**
+ * Permissions granted to a role. Unknown roles get none.
+ */
+function permissionsFor(role) {
+  const canonical = resolveRole(role);
+  return canonical ? ROLE_PERMISSIONS[canonical] : [];
+}
+
+function hasPermission(role, permission) {
+  return permissionsFor(role).includes(permission);
+}
+
+/**
+ * Whether an authenticated request (req.user) may do something. API keys carry their own scopes
+ * in user.permissions (services/apiKey.service.js); users get the permissions of their role.
+ */
+function userCan(user, permission) {
+  if (!user) return false;
+  return Array.isArray(user.permissions)
+    ? user.permissions.includes(permission)
+    : hasPermission(user.role, permission);
+}
+
+/**
+ * Role matrix as plain data, e.g. for an admin screen
+ */
+function describeRoles() {
+  return ROLE_NAMES.map(role => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role]
+  }));
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  resolveRole,
+  permissionsFor,
+  hasPermission,
+  userCan,
+  describeRoles
+};
@@ -0,0 +1,293 @@
+/**
+ * Column definitions for every sheet the API reads or writes.
+ * Columns are resolved by header name (see services/schema.service.js), so the order here
+ * only matters for seeding a fresh sheet - it mirrors the production layout.
+ *
+ * Each column has:
+ *  - key: property name used in code
+ *  - header: header text in row 1
+ *  - aliases (optional): other accepted header spellings
+ *  - optional (optional): the column may be absent; reads return '' and writes are skipped
+ *  - managed (optional): added by the API itself. Existing sheets may not have it yet, so reads
+ *    treat it like an optional column and schemaService.ensureSchema() appends it to row 1 before writes
+ */
+const SHEET_COLUMNS = {
+  Users: [
+    { key: 'userId', header: 'userId' },
+    { key: 'email', header: 'email' },
+    { key: 'passwordHash', header: 'password_hash', aliases: ['password'] },
+    { key: 'name', header: 'name' },
+    { key: 'role', header: 'role' },
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'lastLogin', header: 'last_login' },
+    { key: 'branches', header: 'branches', managed: true }, // comma separated, see utils/branchScope.js
+    { key: 'tokenVersion', header: 'token_version', managed: true }, // bumped to invalidate every token issued before
+    { key: 'disabledAt', header: 'disabled_at', managed: true }, // set while the account is deactivated
+    // Login lockout (services/loginGuard.service.js)
+    { key: 'failedLoginCount', header: 'failed_login_count', managed: true },
+    { key: 'lastFailedLoginAt', header: 'last_failed_login_at', managed: true },
+    { key: 'lastFailedLoginIp', header: 'last_failed_login_ip', managed: true },
+    { key: 'lockedUntil', header: 'locked_until', managed: true },
+    // Two-factor authentication (services/twoFactor.service.js)
+    { key: 'totpSecret', header: 'totp_secret', managed: true }, // encrypted
+    { key: 'totpEnabledAt', header: 'totp_enabled_at', managed: true },
+    { key: 'totpLastStep', header: 'totp_last_step', managed: true },
+    { key: 'recoveryCodes', header: 'recovery_codes', managed: true } // SHA-256 hashes of unused codes
+  ],
+
+  // Intake sheet (today's bookings, 37 columns A-AK)
+  Intake: [
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'adInteracted', header: 'Ad Interacted' },
+    { key: 'branch', header: 'Branch' },
+    { key: 'status', header: 'Booking Status' },
+    { key: 'firstName', header: 'First Name' },
+    { key: 'lastName', header: 'Last Name' },
+    { key: 'age', header: 'Age' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'socialMedia', header: 'Facebook / Instagram Name' },
+    { key: 'email', header: 'Email' },
+    { key: 'treatment', header: 'Promo/Treatment' },
+    { key: 'area', header: 'Area' },
+    { key: 'freebie', header: 'Freebie' },
+    { key: 'date', header: 'Date' },
+    { key: 'paymentMode', header: 'Mode of payment' },
+    { key: 'totalPrice', header: 'Total Price' },
+    { key: 'gender', header: 'Gender' },
+    { key: 'companionFirstName', header: 'Companion First Name' },
+    { key: 'companionLastName', header: 'Companion Last Name' },
+    { key: 'companionAge', header: 'Companion Age' },
+    { key: 'companionFreebie', header: 'Companion Freebie' },
+    { key: 'companionTreatment', header: 'Companion Promo/Treatment' },
+    { key: 'companionGender', header: 'Companion Gender' },
+    { key: 'bookingDetails', header: 'Booking Details' },
+    { key: 'agent', header: 'Agent' },
+    { key: 'emailNorm', header: 'email_norm' },
+    { key: 'phoneNorm', header: 'phone_norm' },
+    { key: 'socialNorm', header: 'social_norm' },
+    { key: 'fullNameNorm', header: 'full_name_norm' },
+    { key: 'companionFullNameNorm', header: 'companion_full_name_norm' },
+    { key: 'promoHunterStatus', header: 'promo_hunter_status' },
+    { key: 'matchReason', header: 'match_reason' },
+    { key: 'matchedSource', header: 'matched_source' },
+    { key: 'matchedRow', header: 'matched_row' },
+    { key: 'recordId', header: 'record_id' },
+    { key: 'recordStatus', header: 'record_status' },
+    { key: 'lastCheckedAt', header: 'last_checked_at' },
+    { key: 'companionPhone', header: 'Companion Phone', optional: true },
+    { key: 'agentId', header: 'agent_id', managed: true }, // userId behind the Agent display name
+    { key: 'customerId', header: 'customer_id', managed: true }, // Customers sheet profile of the customer
+    { key: 'companionCustomerId', header: 'companion_customer_id', managed: true }, // ... and of the companion
+    { key: 'matchedRecordIds', header: 'matched_record_ids', managed: true } // record_ids behind matched_row
+  ],
+
+  // DB sheet (master bookings, 44 columns A-AR)
+  DB: [
+    { key: 'timestamp', header: 'Timestamp' },
+    { key: 'branch', header: 'Branch' },
+    { key: 'status', header: 'Booking Status' },
+    { key: 'date', header: 'Date' },
+    { key: 'firstName', header: 'First Name' },
+    { key: 'lastName', header: 'Last Name' },
+    { key: 'age', header: 'Age' },
+    { key: 'gender', header: 'Gender' },
+    { key: 'treatment', header: 'Promo/Treatment' },
+    { key: 'area', header: 'Area' },
+    { key: 'freebie', header: 'Freebie' },
+    { key: 'companionTreatment', header: 'Companion Promo/Treatment' },
+    { key: 'totalPrice', header: 'Total Price' },
+    { key: 'paymentMode', header: 'Mode of payment' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'socialMedia', header: 'Facebook / Instagram Name' },
+    { key: 'email', header: 'Email' },
+    { key: 'agent', header: 'Agent' },
+    { key: 'bookingDetails', header: 'Booking Details' },
+    { key: 'adInteracted', header: 'Ad Interacted' },
+    { key: 'companionFirstName', header: 'Companion First Name' },
+    { key: 'companionLastName', header: 'Companion Last Name' },
+    { key: 'companionAge', header: 'Companion Age' },
+    { key: 'companionGender', header: 'Companion Gender' },
+    { key: 'companionFreebie', header: 'Companion Freebie' },
+    { key: 'emailNorm', header: 'email_norm' },
+    { key: 'phoneNorm', header: 'phone_norm' },
+    { key: 'socialNorm', header: 'social_norm' },
+    { key: 'fullNameNorm', header: 'full_name_norm' },
+    { key: 'companionFullNameNorm', header: 'companion_full_name_norm' },
+    { key: 'promoHunterStatus', header: 'promo_hunter_status' },
+    { key: 'matchReason', header: 'match_reason' },
+    { key: 'matchedSource', header: 'matched_source' },
+    { key: 'matchedRow', header: 'matched_row' },
+    { key: 'recordId', header: 'record_id' },
+    { key: 'recordStatus', header: 'record_status' },
+    { key: 'lastCheckedAt', header: 'last_checked_at' },
+    { key: 'legacyFullName', header: 'legacy_full_name' },
+    { key: 'excludeFromDashboards', header: 'exclude_from_dashboards' },
+    { key: 'dashBookingCreatedAt', header: 'dash_booking_created_at' },
+    { key: 'dashAppointmentDate', header: 'dash_appointment_date' },
+    { key: 'dashBranch', header: 'dash_branch' },
+    { key: 'dashBookingStatus', header: 'dash_booking_status' },
+    { key: 'cancellationTime', header: 'cancellation_time' },
+    { key: 'companionPhone', header: 'Companion Phone', optional: true },
+    { key: 'recordVersion', header: 'record_version', managed: true },
+    { key: 'agentId', header: 'agent_id', managed: true }, // userId behind the Agent display name
+    { key: 'customerId', header: 'customer_id', managed: true }, // Customers sheet profile of the customer
+    { key: 'companionCustomerId', header: 'companion_customer_id', managed: true }, // ... and of the companion
+    { key: 'matchedRecordIds', header: 'matched_record_ids', managed: true }, // record_ids behind matched_row
+    // Admin review of a promo hunter flag (see services/promoHunter.service.js)
+    { key: 'promoReview', header: 'promo_review', managed: true }, // confirmed / dismissed; empty = not reviewed
+    { key: 'promoReviewNote', header: 'promo_review_note', managed: true },
+    { key: 'promoReviewedAt', header: 'promo_reviewed_at', managed: true },
+    { key: 'promoReviewedById', header: 'promo_reviewed_by_id', managed: true },
+    { key: 'promoReviewedByName', header: 'promo_reviewed_by_name', managed: true }
+  ],
+
+  // AuditLog sheet (append-only trail of booking and user mutations, created by the API)
+  AuditLog: [
+    { key: 'auditId', header: 'audit_id' },
+    { key: 'timestamp', header: 'timestamp' },
+    { key: 'actorId', header: 'actor_id' },
+    { key: 'actorEmail', header: 'actor_email' },
+    { key: 'actorName', header: 'actor_name' },
+    { key: 'action', header: 'action' },
+    { key: 'entityType', header: 'entity_type' },
+    { key: 'entityId', header: 'entity_id' },
+    { key: 'changes', header: 'changes' }, // JSON: { field: { from, to } }
+    { key: 'ip', header: 'ip' }
+  ],
+
+  // BookingHistory sheet (previous versions of DB rows, snapshotted before every update, created by the API)
+  BookingHistory: [
+    { key: 'historyId', header: 'history_id' },
+    { key: 'recordId', header: 'record_id' },
+    { key: 'recordVersion', header: 'record_version' },
+    { key: 'snapshot', header: 'snapshot' }, // JSON: the DB row as { columnKey: value }
+    { key: 'replacedAt', header: 'replaced_at' },
+    { key: 'replacedById', header: 'replaced_by_id' },
+    { key: 'replacedByName', header: 'replaced_by_name' }
+  ],
+
+  // Invitations sheet (admin-issued signup invitations, created by the API)
+  Invitations: [
+    { key: 'inviteId', header: 'invite_id' },
+    { key: 'email', header: 'email' },
+    { key: 'role', header: 'role' },
+    { key: 'tokenHash', header: 'token_hash' }, // SHA-256 of the invitation token
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'expiresAt', header: 'expires_at' },
+    { key: 'invitedById', header: 'invited_by_id' },
+    { key: 'invitedByName', header: 'invited_by_name' },
+    { key: 'usedAt', header: 'used_at' },
+    { key: 'usedById', header: 'used_by_id' },
+    { key: 'revokedAt', header: 'revoked_at' },
+    { key: 'branches', header: 'branches', managed: true } // assigned to the user on signup
+  ],
+
+  // Sessions sheet (one row per login session and its current refresh token, created by the API)
+  Sessions: [
+    { key: 'sessionId', header: 'session_id' },
+    { key: 'userId', header: 'user_id' },
+    { key: 'tokenHash', header: 'token_hash' }, // SHA-256 of the current refresh token
+    { key: 'previousTokenHash', header: 'previous_token_hash' }, // the token it replaced, to detect reuse
+    { key: 'tokenVersion', header: 'token_version' }, // the user's token_version when the session started
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'lastUsedAt', header: 'last_used_at' },
+    { key: 'expiresAt', header: 'expires_at' },
+    { key: 'revokedAt', header: 'revoked_at' },
+    { key: 'ip', header: 'ip' },
+    { key: 'userAgent', header: 'user_agent' }
+  ],
+
+  // AgentAliases sheet (historical spellings of agent names -> user accounts, created by the API).
+  // Admins may also edit it directly in the spreadsheet; only alias and user_id are required.
+  AgentAliases: [
+    { key: 'aliasId', header: 'alias_id' },
+    { key: 'alias', header: 'alias' }, // agent text as written on bookings, matched case/space/punctuation-insensitively
+    { key: 'userId', header: 'user_id' },
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'createdById', header: 'created_by_id' },
+    { key: 'createdByName', header: 'created_by_name' }
+  ],
+
+  // PasswordResets sheet (one-time forgot-password tokens, created by the API)
+  PasswordResets: [
+    { key: 'resetId', header: 'reset_id' },
+    { key: 'userId', header: 'user_id' },
+    { key: 'tokenHash', header: 'token_hash' }, // SHA-256 of the reset token
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'expiresAt', header: 'expires_at' },
+    { key: 'usedAt', header: 'used_at' },
+    { key: 'ip', header: 'ip' } // where the reset was requested from
+  ],
+
+  // Customers sheet (one profile per person, created by the API; bookings point at it through customer_id
+  // and companion_customer_id). Contact details are the ones the person was first registered with, or chosen in a merge.
+  Customers: [
+    { key: 'customerId', header: 'customer_id' },
+    { key: 'firstName', header: 'first_name' },
+    { key: 'lastName', header: 'last_name' },
+    { key: 'email', header: 'email' },
+    { key: 'phone', header: 'phone' },
+    { key: 'socialMedia', header: 'social_media' },
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'updatedAt', header: 'updated_at' },
+    { key: 'firstRecordId', header: 'first_record_id' }, // booking the profile was created from
+    // Set when the profile was merged into another (its id keeps resolving to that profile)
+    { key: 'mergedInto', header: 'merged_into', managed: true },
+    { key: 'mergedAt', header: 'merged_at', managed: true }
+  ],
+
+  // PromoHunterAllowList sheet (pairs of people an admin said are not the same customer, created by the API).
+  // Each side is stored as the normalized contact details and name it was recognized by.
+  PromoHunterAllowList: [
+    { key: 'allowId', header: 'allow_id' },
+    { key: 'recordId', header: 'record_id' }, // the dismissed booking
+    { key: 'email', header: 'email' },
+    { key: 'phone', header: 'phone' },
+    { key: 'social', header: 'social' },
+    { key: 'name', header: 'name' },
+    { key: 'matchedRecordId', header: 'matched_record_id' }, // the earlier booking it was matched with
+    { key: 'matchedEmail', header: 'matched_email' },
+    { key: 'matchedPhone', header: 'matched_phone' },
+    { key: 'matchedSocial', header: 'matched_social' },
+    { key: 'matchedName', header: 'matched_name' },
+    { key: 'note', header: 'note' },
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'createdById', header: 'created_by_id' },
+    { key: 'createdByName', header: 'created_by_name' }
+  ],
+
+  // ApiKeys sheet (credentials for integrations such as lead forms, created by the API)
+  ApiKeys: [
+    { key: 'keyId', header: 'key_id' },
+    { key: 'name', header: 'name' },
+    { key: 'prefix', header: 'prefix' }, // first characters of the key, to tell keys apart
+    { key: 'keyHash', header: 'key_hash' }, // SHA-256 of the key; the key itself is shown once
+    { key: 'scopes', header: 'scopes' }, // comma separated permissions, e.g. "bookings:create, analytics:read"
+    { key: 'branches', header: 'branches' }, // comma separated; empty = all branches
+    { key: 'createdAt', header: 'created_at' },
+    { key: 'createdById', header: 'created_by_id' },
+    { key: 'createdByName', header: 'created_by_name' },
+    { key: 'expiresAt', header: 'expires_at' },
+    { key: 'lastUsedAt', header: 'last_used_at' },
+    { key: 'lastUsedIp', header: 'last_used_ip' },
+    { key: 'revokedAt', header: 'revoked_at' }
+  ]
+};
+
+// Tabs the API creates on first use; Users, Intake and DB must already exist in the spreadsheet
+const API_SHEETS = ['AuditLog', 'BookingHistory', 'Invitations', 'Sessions', 'PasswordResets', 'AgentAliases', 'ApiKeys', 'PromoHunterAllowList', 'Customers'];
+
+/**
+ * Header row used when a sheet is created from scratch (optional columns are left out)
+ */
+function getDefaultHeaders(sheetName) {
+  return (SHEET_COLUMNS[sheetName] || [])
+    .filter(column => !column.optional)
+    .map(column => column.header);
+}
+
+module.exports = {
+  SHEET_COLUMNS,
+  API_SHEETS,
+  getDefaultHeaders
+};
@@ -1,4 +1,5 @@
 const sheetsService = require('../services/sheets.service');
+const schemaService = require('../services/schema.service');
 
 async function validateSheets() {
   console.log('🔍 Validating Google Sheets setup...\n');
@@ -6,47 +7,30 @@ async function validateSheets() {
   try {
     // Initialize service
     await sheetsService.initialize();
-    console.log('✅ Google Sheets API initialized successfully\n');
-
-    // Check Users sheet
-    console.log('Checking "Users" sheet...');
-    const users = await sheetsService.readSheet('Users', 'A1:F1');
-    if (users.length > 0) {
-      console.log('✅ Users sheet exists');
-      console.log('   Headers:', users[0].join(', '));
-    } else {
-      console.log('❌ Users sheet not found or empty');
-    }
-
-    // Check Intake sheet (New Bookings)
-    console.log('\nChecking "Intake" sheet...');
-    const newBookings = await sheetsService.readSheet('Intake', 'A1:BK1');
-    if (newBookings.length > 0) {
-      console.log('✅ Intake sheet exists');
-      console.log('   Columns:', newBookings[0].length, '(expected: 37)');
-    } else {
-      console.log('❌ Intake sheet not found or empty');
-    }
-
-    // Check DB sheet (Old Bookings)
-    console.log('\nChecking "DB" sheet...');
-    const oldBookings = await sheetsService.readSheet('DB', 'A1:BQ1');
-    if (oldBookings.length > 0) {
-      console.log('✅ DB sheet exists');
-      console.log('   Columns:', oldBookings[0].length, '(expected: 43)');
-      
-      // Count rows
-      const allRows = await sheetsService.readSheet('DB', 'A:A');
-      console.log('   Total bookings:', allRows.length - 1); // -1 for header
-    } else {
-      console.log('❌ DB sheet not found or empty');
+    console.log(`✅ Storage initialized successfully (${sheetsService.name})\n`);
+
+    // Check every sheet's header row resolves all required columns by name
+    for (const sheetName of ['Users', 'Intake', 'DB']) {
+      console.log(`${sheetName === 'Users' ? '' : '\n'}Checking "${sheetName}" sheet...`);
+      const schema = await schemaService.getSchema(sheetName);
+      console.log(`✅ ${sheetName} sheet exists`);
+      console.log('   Columns:', schema.headers.length);
+
+      if (sheetName === 'DB') {
+        // Count rows
+        const allRows = await sheetsService.readSheet('DB', 'A:A');
+        console.log('   Total bookings:', allRows.length - 1); // -1 for header
+      }
     }
 
     console.log('\n✅ All sheets validated successfully!');
     console.log('\n📝 Next steps:');
-    console.log('1. Run: npm run dev');
-    console.log('2. Open: http://localhost:3000');
-    console.log('3. Sign up and start using the dashboard\n');
+    console.log('1. First install only: ADMIN_PASSWORD=... npm run bootstrap-admin -- <email> "<name>"');
+    console.log('2. Run: npm run dev');
+    console.log('3. Open: http://localhost:3000');
+    console.log('4. Log in and invite your team');
+    console.log('5. Link existing bookings to their agents: npm run link-booking-agents -- --dry-run');
+    console.log('6. Link existing bookings to customer profiles: npm run link-booking-customers -- --dry-run\n');
 
   } catch (error) {
     console.error('\n❌ Validation failed:', error.message);
@@ -54,7 +38,8 @@ async function validateSheets() {
     console.log('1. Check config/google-credentials.json exists');
     console.log('2. Verify GOOGLE_SHEET_ID in .env');
     console.log('3. Ensure service account has access to the sheet');
-    console.log('4. Verify sheet names match exactly:\n   - Users\n   - Intake\n   - DB\n');
+    console.log('4. Verify sheet names match exactly:\n   - Users\n   - Intake\n   - DB');
+    console.log('5. Verify header names in row 1 match utils/sheetColumns.js\n');
     process.exit(1);
   }
 }